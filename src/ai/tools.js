@@ -1,5 +1,37 @@
 const Incident = require("../models/Incident");
 const Log = require("../models/Log");
+const Service = require("../models/Service");
+const HealthCheckResult = require("../models/HealthCheckResult");
+const { getSloStatus } = require("../services/slo.service");
+const { getSystemStats, getIncidentHistory } = require("../services/incidentStats.service");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Clamp limit/offset arguments to the supported page size
+ */
+function pageArgs({ limit, offset }) {
+    return {
+        limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+        offset: Math.max(parseInt(offset, 10) || 0, 0),
+    };
+}
+
+function pagination(total, { limit, offset }) {
+    const hasMore = offset + limit < total;
+    return {
+        total,
+        limit,
+        offset,
+        hasMore,
+        nextOffset: hasMore ? offset + limit : null,
+    };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
 /**
  * AI Tools Module (READ-ONLY Operations)
@@ -52,6 +84,235 @@ module.exports = {
         }
     },
     
+    /**
+     * Get SLO status for a service (READ-ONLY)
+     * 
+     * @param {object} args - Arguments object
+     * @param {string} args.serviceId - Service MongoDB ObjectId
+     * @returns {Promise<object>} Service summary and per-SLO SLI, error budget and burn rates
+     * @throws {Error} If service not found or query fails
+     */
+    getServiceSloStatus: async ({ serviceId }) => {
+        try {
+            const service = await Service.findById(serviceId);
+            if (!service) {
+                throw new Error("Service not found");
+            }
+            const slos = await getSloStatus(service);
+            return {
+                service: { id: service._id, name: service.name },
+                slos,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get SLO status: ${error.message}`);
+        }
+    },
+    
+    /**
+     * List incidents with optional filters (READ-ONLY)
+     * 
+     * @param {object} args - Arguments object
+     * @param {string} [args.status] - open, investigating or resolved
+     * @param {string} [args.severity] - low, medium or high
+     * @param {string} [args.category] - Incident category
+     * @param {string} [args.serviceId] - Service MongoDB ObjectId
+     * @param {string} [args.assignee] - Assignee email
+     * @param {number} [args.limit] - Page size (1-100, default 20)
+     * @param {number} [args.offset] - Number of incidents to skip
+     * @returns {Promise<object>} Incidents (newest first) and pagination
+     * @throws {Error} If query fails
+     */
+    listIncidents: async (args = {}) => {
+        try {
+            const page = pageArgs(args);
+            const filter = {};
+            for (const field of ["status", "severity", "category", "serviceId", "assignee"]) {
+                if (args[field]) filter[field] = args[field];
+            }
+
+            const [incidents, total] = await Promise.all([
+                Incident.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip(page.offset)
+                    .limit(page.limit)
+                    .select("title status severity category serviceId serviceName assignee acknowledgedAt resolvedAt createdAt"),
+                Incident.countDocuments(filter),
+            ]);
+
+            return { incidents, pagination: pagination(total, page) };
+        } catch (error) {
+            throw new Error(`Failed to list incidents: ${error.message}`);
+        }
+    },
+
+    /**
+     * Search log messages (READ-ONLY)
+     * 
+     * @param {object} args - Arguments object
+     * @param {string} args.query - Text to search for (case-insensitive, literal)
+     * @param {string} [args.incidentId] - Only logs of this incident
+     * @param {string} [args.serviceId] - Only logs of this service
+     * @param {string} [args.level] - info, warning or error
+     * @param {string} [args.since] - ISO date, only logs created at or after it
+     * @param {string} [args.until] - ISO date, only logs created before it
+     * @param {number} [args.limit] - Page size (1-100, default 20)
+     * @param {number} [args.offset] - Number of logs to skip
+     * @returns {Promise<object>} Matching logs (newest first) and pagination
+     * @throws {Error} If query fails
+     */
+    searchLogs: async (args) => {
+        try {
+            const page = pageArgs(args);
+            const filter = { message: { $regex: escapeRegex(args.query), $options: "i" } };
+            if (args.incidentId) filter.incidentId = args.incidentId;
+            if (args.serviceId) filter.serviceId = args.serviceId;
+            if (args.level) filter.level = args.level;
+            if (args.since || args.until) {
+                filter.createdAt = {};
+                if (args.since) filter.createdAt.$gte = new Date(args.since);
+                if (args.until) filter.createdAt.$lt = new Date(args.until);
+            }
+
+            const [logs, total] = await Promise.all([
+                Log.find(filter).sort({ createdAt: -1 }).skip(page.offset).limit(page.limit),
+                Log.countDocuments(filter),
+            ]);
+
+            return { logs, pagination: pagination(total, page) };
+        } catch (error) {
+            throw new Error(`Failed to search logs: ${error.message}`);
+        }
+    },
+
+    /**
+     * List monitored services (READ-ONLY)
+     * 
+     * @param {object} args - Arguments object
+     * @param {string} [args.category] - Service category
+     * @param {string} [args.environment] - production, staging or development
+     * @param {string} [args.healthState] - unknown, healthy, failing or flapping
+     * @param {boolean} [args.enabled] - Only enabled (true) or disabled (false) services
+     * @param {number} [args.limit] - Page size (1-100, default 20)
+     * @param {number} [args.offset] - Number of services to skip
+     * @returns {Promise<object>} Services (by name) and pagination
+     * @throws {Error} If query fails
+     */
+    listServices: async (args = {}) => {
+        try {
+            const page = pageArgs(args);
+            const filter = {};
+            if (args.category) filter.category = args.category;
+            if (args.environment) filter["metadata.environment"] = args.environment;
+            if (args.healthState) filter["health.state"] = args.healthState;
+            if (typeof args.enabled === "boolean") filter.enabled = args.enabled;
+
+            const [services, total] = await Promise.all([
+                Service.find(filter)
+                    .sort({ name: 1 })
+                    .skip(page.offset)
+                    .limit(page.limit)
+                    .select("name url category enabled health.state health.stateChangedAt health.lastCheckedAt metadata"),
+                Service.countDocuments(filter),
+            ]);
+
+            return { services, pagination: pagination(total, page) };
+        } catch (error) {
+            throw new Error(`Failed to list services: ${error.message}`);
+        }
+    },
+
+    /**
+     * Get health state and latest probe results of a service (READ-ONLY)
+     * 
+     * @param {object} args - Arguments object
+     * @param {string} args.serviceId - Service MongoDB ObjectId
+     * @param {number} [args.limit] - Page size (1-100, default 20)
+     * @param {number} [args.offset] - Number of check results to skip
+     * @returns {Promise<object>} Service summary, health state, check results (newest first) and pagination
+     * @throws {Error} If service not found or query fails
+     */
+    getServiceHealth: async (args) => {
+        try {
+            const service = await Service.findById(args.serviceId);
+            if (!service) {
+                throw new Error("Service not found");
+            }
+
+            const page = pageArgs(args);
+            const [checks, total] = await Promise.all([
+                HealthCheckResult.find({ serviceId: service._id })
+                    .sort({ checkedAt: -1 })
+                    .skip(page.offset)
+                    .limit(page.limit),
+                HealthCheckResult.countDocuments({ serviceId: service._id }),
+            ]);
+
+            return {
+                service: { id: service._id, name: service.name, url: service.url, category: service.category },
+                health: service.health,
+                checks,
+                pagination: pagination(total, page),
+            };
+        } catch (error) {
+            throw new Error(`Failed to get service health: ${error.message}`);
+        }
+    },
+
+    /**
+     * Get the timeline, related and similar incidents of an incident (READ-ONLY)
+     * 
+     * Same data as GET /api/incidents/:id/history, with the timeline paginated.
+     * 
+     * @param {object} args - Arguments object
+     * @param {string} args.incidentId - Incident MongoDB ObjectId
+     * @param {number} [args.limit] - Timeline page size (1-100, default 20)
+     * @param {number} [args.offset] - Number of timeline entries to skip (oldest first)
+     * @returns {Promise<object>} Incident timeline page, related/similar incidents and statistics
+     * @throws {Error} If incident not found or query fails
+     */
+    getIncidentHistory: async (args) => {
+        try {
+            const incident = await Incident.findById(args.incidentId);
+            if (!incident) {
+                throw new Error("Incident not found");
+            }
+
+            const page = pageArgs(args);
+            const timeline = incident.timeline || [];
+            const { relatedIncidents, similarIncidents, statistics } = await getIncidentHistory(incident);
+
+            return {
+                incident: {
+                    id: incident._id,
+                    title: incident.title,
+                    timeline: timeline.slice(page.offset, page.offset + page.limit),
+                },
+                pagination: pagination(timeline.length, page),
+                relatedIncidents,
+                similarIncidents,
+                statistics,
+            };
+        } catch (error) {
+            throw new Error(`Failed to get incident history: ${error.message}`);
+        }
+    },
+
+    /**
+     * Get system-wide incident statistics (READ-ONLY)
+     * 
+     * Same data as GET /api/system/stats.
+     * 
+     * @returns {Promise<object>} Incident/log counts, MTTA and MTTR
+     * @throws {Error} If query fails
+     */
+    getSystemStats: async () => {
+        try {
+            return await getSystemStats();
+        } catch (error) {
+            throw new Error(`Failed to get system stats: ${error.message}`);
+        }
+    },
+
     // NOTE: updateIncidentStatus intentionally removed
     // AI agents should NOT modify incident status. Engineers must use:
     // PATCH /api/incidents/:id/status to update status with proper audit trail
@@ -0,0 +1,88 @@
+const express = require("express");
+const ApiKey = require("../models/ApiKey");
+const { requireRole } = require("../middleware/auth");
+const { createApiKey } = require("../services/apiKey.service");
+
+const router = express.Router();
+
+// API key management is admin-only
+router.use(requireRole("admin"));
+
+/**
+ * Get all API keys (including revoked and expired ones)
+ */
+router.get("/", async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find().sort({ createdAt: -1 }).populate("createdBy", "email name");
+
+        res.json({
+            count: apiKeys.length,
+            apiKeys,
+        });
+    } catch (error) {
+        console.error("Error fetching API keys:", error);
+        res.status(500).json({ error: "Failed to fetch API keys" });
+    }
+});
+
+/**
+ * Issue an API key
+ * Body: { name, scopes: ["mcp:tools:getIncidentById", "events:ingest", ...], expiresAt }
+ *
+ * The key is only returned in this response.
+ */
+router.post("/", async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body || {};
+
+        if (expiresAt !== undefined) {
+            const expiry = new Date(expiresAt);
+            if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+                return res.status(400).json({ error: "expiresAt must be a date in the future" });
+            }
+        }
+
+        const { apiKey, key } = await createApiKey({ name, scopes, expiresAt }, req.user);
+
+        res.status(201).json({
+            message: "API key created successfully. Store the key now - it cannot be shown again.",
+            key,
+            apiKey,
+        });
+    } catch (error) {
+        console.error("Error creating API key:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to create API key" });
+    }
+});
+
+/**
+ * Revoke an API key (kept for auditing)
+ */
+router.delete("/:id", async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findById(req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ error: "API key not found" });
+        }
+        if (apiKey.revokedAt) {
+            return res.status(409).json({ error: "API key is already revoked" });
+        }
+
+        apiKey.revokedAt = new Date();
+        apiKey.revokedBy = req.user.email;
+        await apiKey.save();
+
+        res.json({
+            message: "API key revoked successfully",
+            apiKey,
+        });
+    } catch (error) {
+        console.error("Error revoking API key:", error);
+        res.status(500).json({ error: "Failed to revoke API key" });
+    }
+});
+
+module.exports = router;
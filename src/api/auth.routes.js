@@ -0,0 +1,75 @@
+const express = require("express");
+const User = require("../models/User");
+const { authenticate } = require("../middleware/auth");
+const {
+    isConfigured,
+    issueToken,
+    authenticateUser,
+    hashPassword,
+    verifyPassword,
+    validatePassword,
+} = require("../services/auth.service");
+
+const router = express.Router();
+
+// Exchange email + password for an access token
+// Body: { email, password }
+router.post("/login", async (req, res) => {
+    try {
+        if (!isConfigured()) {
+            return res.status(503).json({ error: "Authentication is not configured (JWT_SECRET is not set)" });
+        }
+
+        const { email, password } = req.body || {};
+        if (!email || !password) {
+            return res.status(400).json({ error: "Email and password are required" });
+        }
+
+        const user = await authenticateUser(email, password);
+        if (!user) {
+            return res.status(401).json({ error: "Invalid email or password" });
+        }
+
+        res.json({
+            ...issueToken(user),
+            user,
+        });
+    } catch (error) {
+        console.error("Error logging in:", error);
+        res.status(500).json({ error: "Failed to log in" });
+    }
+});
+
+// Current user
+router.get("/me", authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+// Change own password
+// Body: { currentPassword, newPassword }
+router.post("/me/password", authenticate, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+
+        try {
+            validatePassword(newPassword);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const user = await User.findById(req.user._id).select("+passwordHash");
+        if (!(await verifyPassword(currentPassword || "", user.passwordHash))) {
+            return res.status(403).json({ error: "Current password is incorrect" });
+        }
+
+        user.passwordHash = await hashPassword(newPassword);
+        await user.save();
+
+        res.json({ message: "Password updated successfully" });
+    } catch (error) {
+        console.error("Error changing password:", error);
+        res.status(500).json({ error: "Failed to change password" });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,27 @@
 const express = require("express");
 const Incident = require("../models/Incident");
 const Log = require("../models/Log");
+const NotificationDelivery = require("../models/NotificationDelivery");
+const User = require("../models/User");
+const { notifyIncidentEvent } = require("../services/notification.service");
+const { requireRole } = require("../middleware/auth");
+const { hasRole } = require("../services/auth.service");
+const { getIncidentHistory } = require("../services/incidentStats.service");
+const { changeIncidentStatus, recordApprovedAction } = require("../services/incidentWorkflow.service");
+const Runbook = require("../models/Runbook");
+const RunbookRun = require("../models/RunbookRun");
+const runbookService = require("../services/runbook.service");
+const Analysis = require("../models/Analysis");
+const analysisJobService = require("../services/analysisJob.service");
+const validateBody = require("../middleware/validateBody");
+const {
+    updateStatusSchema,
+    acknowledgeSchema,
+    assignSchema,
+    approveActionSchema,
+    requestAnalysisSchema,
+} = require("../schemas/incident.schema");
+const { startRunSchema } = require("../schemas/runbook.schema");
 
 const router = express.Router();
 
@@ -14,13 +35,14 @@ const router = express.Router();
 // Engineer views incidents with filters
 router.get("/", async (req, res) => {
     try {
-        const { status, severity, category, serviceId, limit = 50 } = req.query;
+        const { status, severity, category, serviceId, assignee, limit = 50 } = req.query;
         
         const filter = {};
         if (status) filter.status = status;
         if (severity) filter.severity = severity;
         if (category) filter.category = category;
         if (serviceId) filter.serviceId = serviceId;
+        if (assignee) filter.assignee = assignee;
 
         const incidents = await Incident.find(filter)
             .sort({ createdAt: -1 })
@@ -69,106 +91,156 @@ router.get("/:id", async (req, res) => {
 });
 
 // Engineer updates status (with timeline tracking)
-router.patch("/:id/status", async (req, res) => {
+router.patch("/:id/status", requireRole("responder"), validateBody(updateStatusSchema), async (req, res) => {
     try {
         const { status, notes } = req.body;
-        const validStatuses = ["open", "investigating", "resolved"];
 
-        if (!status) {
-            return res.status(400).json({ error: "Status is required" });
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: "Incident not found" });
         }
 
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ error: "Invalid status. Must be: open, investigating, or resolved. Auto-resolution is disabled - only engineers can resolve incidents." });
-        }
+        const updatedIncident = await changeIncidentStatus(incident, { status, notes }, req.user);
+
+        res.json(updatedIncident);
+    } catch (error) {
+        console.error("Error updating incident status:", error);
+        res.status(500).json({ error: "Failed to update incident status" });
+    }
+});
+
+// Engineer acknowledges an incident (stops escalation paging)
+// Body: { notes }
+router.post("/:id/acknowledge", requireRole("responder"), validateBody(acknowledgeSchema), async (req, res) => {
+    try {
+        const { notes } = req.body;
+        const user = req.user.email;
 
         const incident = await Incident.findById(req.params.id);
         if (!incident) {
             return res.status(404).json({ error: "Incident not found" });
         }
+        if (incident.status === "resolved") {
+            return res.status(409).json({ error: "Incident is already resolved" });
+        }
+        if (incident.acknowledgedAt) {
+            return res.status(409).json({
+                error: `Incident was already acknowledged by ${incident.acknowledgedBy}`,
+                acknowledgedBy: incident.acknowledgedBy,
+                acknowledgedAt: incident.acknowledgedAt,
+            });
+        }
 
+        const now = new Date();
         const oldStatus = incident.status;
-        
-        // Update status and timeline
+        // Acknowledging moves the incident out of "open", which stops escalation
+        const status = oldStatus === "open" ? "investigating" : oldStatus;
+
         const updateData = {
             status,
-            "metadata.lastUpdatedAt": new Date(),
-        };
-
-        // Track resolution
-        if (status === "resolved" && oldStatus !== "resolved") {
-            updateData.resolvedAt = new Date();
-            updateData.resolutionTime = Date.now() - incident.createdAt;
-            updateData.resolvedBy = "engineer";
-        }
-
-        // Add timeline event
-        const timelineEvent = {
-            timestamp: new Date(),
-            event: "status_change",
-            status: status,
-            actor: "engineer",
-            details: {
-                from: oldStatus,
-                to: status,
-                notes: notes || null,
+            acknowledgedBy: user,
+            acknowledgedAt: now,
+            timeToAcknowledge: now - incident.createdAt,
+            "metadata.lastUpdatedAt": now,
+            $push: {
+                timeline: {
+                    timestamp: now,
+                    event: "acknowledged",
+                    status,
+                    actor: user,
+                    userId: req.user._id,
+                    details: {
+                        from: oldStatus,
+                        to: status,
+                        timeToAcknowledge: now - incident.createdAt,
+                        notes: notes || null,
+                    },
+                },
             },
         };
 
-        updateData.$push = { timeline: timelineEvent };
+        // Whoever acknowledges owns the incident unless it is already assigned
+        if (!incident.assignee) {
+            updateData.assignee = user;
+            updateData.assignedAt = now;
+        }
 
-        const updatedIncident = await Incident.findByIdAndUpdate(
-            req.params.id,
+        // Guard against a concurrent acknowledgement
+        const updatedIncident = await Incident.findOneAndUpdate(
+            { _id: incident._id, acknowledgedAt: { $exists: false } },
             updateData,
             { new: true }
         );
+        if (!updatedIncident) {
+            return res.status(409).json({ error: "Incident was already acknowledged" });
+        }
 
         // System auto-creates log
         await Log.create({
             incidentId: incident._id,
-            message: `Status updated from ${oldStatus} to ${status}${notes ? ` - ${notes}` : ""}`,
+            message: `Incident acknowledged by ${user}${notes ? ` - ${notes}` : ""}`,
             level: "info",
+            actor: user,
         });
 
+        if (status !== oldStatus) {
+            notifyIncidentEvent("status_changed", updatedIncident, {
+                from: oldStatus,
+                to: status,
+                acknowledgedBy: user,
+            });
+        }
+
         res.json(updatedIncident);
     } catch (error) {
-        console.error("Error updating incident status:", error);
-        res.status(500).json({ error: "Failed to update incident status" });
+        console.error("Error acknowledging incident:", error);
+        res.status(500).json({ error: "Failed to acknowledge incident" });
     }
 });
 
-// Approve AI-suggested action (works with on-demand analysis results)
-router.post("/:id/approve-action", async (req, res) => {
+// Engineer assigns (or reassigns) an incident
+// Body: { assignee, notes }
+router.post("/:id/assign", requireRole("responder"), validateBody(assignSchema), async (req, res) => {
     try {
-        const { action } = req.body; // Accept action object directly from frontend
-        const incident = await Incident.findById(req.params.id);
+        const { assignee, notes } = req.body;
+        const user = req.user.email;
 
+        const incident = await Incident.findById(req.params.id);
         if (!incident) {
             return res.status(404).json({ error: "Incident not found" });
         }
+        if (incident.status === "resolved") {
+            return res.status(409).json({ error: "Cannot assign a resolved incident" });
+        }
 
-        if (!action || !action.action || !action.description) {
-            return res.status(400).json({ error: "Action object with 'action' and 'description' fields is required" });
+        const previousAssignee = incident.assignee || null;
+        const assigneeUser = await User.findOne({ email: assignee.toLowerCase(), active: true });
+        if (!assigneeUser || !hasRole(assigneeUser.role, "responder")) {
+            return res.status(400).json({ error: "Assignee must be an active user with the responder or admin role" });
         }
-        
-        // Add timeline event
-        const timelineEvent = {
-            timestamp: new Date(),
-            event: "ai_action_approved",
-            status: incident.status,
-            actor: "engineer",
-            details: {
-                action: action.action,
-                description: action.description,
-                approved: true,
-            },
-        };
+        const newAssignee = assigneeUser.email;
 
-        await Incident.findByIdAndUpdate(
-            req.params.id,
+        const now = new Date();
+        const updatedIncident = await Incident.findByIdAndUpdate(
+            incident._id,
             {
-                $push: { timeline: timelineEvent },
-                "metadata.lastUpdatedAt": new Date(),
+                assignee: newAssignee,
+                assignedAt: now,
+                "metadata.lastUpdatedAt": now,
+                $push: {
+                    timeline: {
+                        timestamp: now,
+                        event: "assigned",
+                        status: incident.status,
+                        actor: user,
+                        userId: req.user._id,
+                        details: {
+                            from: previousAssignee,
+                            to: newAssignee,
+                            notes: notes || null,
+                        },
+                    },
+                },
             },
             { new: true }
         );
@@ -176,14 +248,38 @@ router.post("/:id/approve-action", async (req, res) => {
         // System auto-creates log
         await Log.create({
             incidentId: incident._id,
-            message: `AI action approved: ${action.action} - ${action.description}`,
+            message: `Incident assigned to ${newAssignee} by ${user}${previousAssignee ? ` (was ${previousAssignee})` : ""}${notes ? ` - ${notes}` : ""}`,
             level: "info",
+            actor: user,
         });
 
+        res.json(updatedIncident);
+    } catch (error) {
+        console.error("Error assigning incident:", error);
+        res.status(500).json({ error: "Failed to assign incident" });
+    }
+});
+
+// Approve AI-suggested action (works with on-demand analysis results)
+router.post("/:id/approve-action", requireRole("responder"), validateBody(approveActionSchema), async (req, res) => {
+    try {
+        const { action } = req.body; // Accept action object directly from frontend
+        const incident = await Incident.findById(req.params.id);
+
+        if (!incident) {
+            return res.status(404).json({ error: "Incident not found" });
+        }
+
+        await recordApprovedAction(incident, action, req.user);
+        const runbook = await Runbook.findOne({ action: action.action, enabled: true }).select("action name");
+
         res.json({
             message: "Action approved",
             action,
-            note: "Action execution should be handled by your automation system",
+            runbook,
+            note: runbook
+                ? `Execute it with POST /api/incidents/${incident._id}/runbook-runs { "action": "${runbook.action}" }`
+                : "No runbook is registered for this action - execution should be handled by your automation system",
         });
     } catch (error) {
         console.error("Error approving action:", error);
@@ -191,6 +287,82 @@ router.post("/:id/approve-action", async (req, res) => {
     }
 });
 
+// Run the runbook of an approved action (or dry-run any action)
+// Body: { action, dryRun }
+router.post("/:id/runbook-runs", requireRole("responder"), validateBody(startRunSchema), async (req, res) => {
+    try {
+        const { action, dryRun } = req.body;
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: "Incident not found" });
+        }
+
+        const runbook = await Runbook.findOne({ action, enabled: true });
+        if (!runbook) {
+            return res.status(404).json({ error: `No enabled runbook for action '${action}'` });
+        }
+
+        const approval = runbookService.findApproval(incident, action);
+        if (!dryRun) {
+            if (!approval) {
+                return res.status(403).json({ error: `Action '${action}' has not been approved for this incident` });
+            }
+            if (await runbookService.isApprovalUsed(approval)) {
+                return res.status(409).json({ error: "This approval was already executed - approve the action again to re-run it" });
+            }
+        }
+
+        const run = await runbookService.startRun(runbook, incident, req.user, { dryRun, approval });
+
+        res.status(dryRun ? 200 : 202).json({
+            message: dryRun ? "Dry-run completed" : "Runbook run started",
+            run,
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "This approval was already executed - approve the action again to re-run it" });
+        }
+        console.error("Error starting runbook run:", error);
+        res.status(500).json({ error: "Failed to start runbook run" });
+    }
+});
+
+// Get runbook runs for an incident
+router.get("/:id/runbook-runs", async (req, res) => {
+    try {
+        const runs = await RunbookRun.find({ incidentId: req.params.id }).sort({ createdAt: -1 });
+
+        res.json({
+            count: runs.length,
+            runs,
+        });
+    } catch (error) {
+        console.error("Error fetching runbook runs:", error);
+        res.status(500).json({ error: "Failed to fetch runbook runs" });
+    }
+});
+
+// Get notification delivery log for an incident
+router.get("/:id/notifications", async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: "Incident not found" });
+        }
+
+        const deliveries = await NotificationDelivery.find({ incidentId: incident._id }).sort({ createdAt: -1 });
+
+        res.json({
+            count: deliveries.length,
+            deliveries,
+        });
+    } catch (error) {
+        console.error("Error fetching incident notifications:", error);
+        res.status(500).json({ error: "Failed to fetch incident notifications" });
+    }
+});
+
 // Get incident history and related incidents
 router.get("/:id/history", async (req, res) => {
     try {
@@ -199,25 +371,7 @@ router.get("/:id/history", async (req, res) => {
             return res.status(404).json({ error: "Incident not found" });
         }
 
-        // Get related incidents (same category, open/investigating)
-        const relatedIncidents = await Incident.find({
-            category: incident.category,
-            status: { $in: ["open", "investigating"] },
-            _id: { $ne: incident._id },
-        })
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .select("title status severity createdAt resolvedAt");
-
-        // Get similar incidents (same category, resolved)
-        const similarIncidents = await Incident.find({
-            category: incident.category,
-            status: "resolved",
-            _id: { $ne: incident._id },
-        })
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .select("title status severity createdAt resolvedAt resolutionTime");
+        const { relatedIncidents, similarIncidents, statistics } = await getIncidentHistory(incident);
 
         res.json({
             incident: {
@@ -227,11 +381,7 @@ router.get("/:id/history", async (req, res) => {
             },
             relatedIncidents,
             similarIncidents,
-            statistics: {
-                averageResolutionTime: similarIncidents.length > 0
-                    ? similarIncidents.reduce((sum, inc) => sum + (inc.resolutionTime || 0), 0) / similarIncidents.length
-                    : null,
-            },
+            statistics,
         });
     } catch (error) {
         console.error("Error fetching incident history:", error);
@@ -239,4 +389,124 @@ router.get("/:id/history", async (req, res) => {
     }
 });
 
+// Request an AI analysis (queued; an unchanged incident returns its stored analysis)
+// Body: { force }
+router.post("/:id/analyses", requireRole("responder"), validateBody(requestAnalysisSchema), async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: "Incident not found" });
+        }
+
+        const { analysis, cached, queued } = await analysisJobService.enqueue(
+            incident,
+            { user: req.user },
+            { force: req.body.force }
+        );
+
+        let message = "Analysis queued";
+        if (cached) message = "Incident and logs are unchanged - returning the stored analysis";
+        else if (!queued) message = "An analysis of the same content is already in progress";
+
+        res.status(cached ? 200 : 202).json({ message, cached, analysis });
+    } catch (error) {
+        console.error("Error requesting incident analysis:", error);
+        res.status(500).json({ error: "Failed to request incident analysis" });
+    }
+});
+
+// Stream an AI analysis over Server-Sent Events (?force=true skips the stored analysis)
+// Events: progress (severity, category, rootCause steps), attempt (a root-cause
+// request to a provider/model; earlier tokens are void), token (root-cause text
+// as it is generated), then result { cached, analysis } or error { error }.
+// Stored or rule-based-only analyses arrive as a single result event.
+router.get("/:id/analysis/stream", requireRole("responder"), async (req, res) => {
+    let incident;
+    try {
+        incident = await Incident.findById(req.params.id);
+    } catch (error) {
+        console.error("Error fetching incident for analysis stream:", error);
+        return res.status(500).json({ error: "Failed to analyze incident" });
+    }
+    if (!incident) {
+        return res.status(404).json({ error: "Incident not found" });
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const controller = new AbortController();
+    const emit = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(": keep-alive\n\n");
+    }, 15000);
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) controller.abort();
+    });
+
+    try {
+        const outcome = await analysisJobService.stream(incident, { user: req.user }, emit, {
+            force: req.query.force === "true",
+            signal: controller.signal,
+        });
+        if (outcome) emit("result", outcome);
+    } catch (error) {
+        console.error("Error streaming incident analysis:", error);
+        emit("error", {
+            error: error.message === "Insufficient data for analysis" ? error.message : "Failed to analyze incident",
+        });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+});
+
+// Get stored analyses for an incident (newest version first)
+router.get("/:id/analyses", async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const filter = { incidentId: req.params.id };
+        if (req.query.status) filter.status = req.query.status;
+
+        const [analyses, total] = await Promise.all([
+            Analysis.find(filter).sort({ version: -1 }).skip(offset).limit(limit),
+            Analysis.countDocuments(filter),
+        ]);
+
+        res.json({
+            count: analyses.length,
+            total,
+            analyses,
+        });
+    } catch (error) {
+        console.error("Error fetching incident analyses:", error);
+        res.status(500).json({ error: "Failed to fetch incident analyses" });
+    }
+});
+
+// Get one stored analysis
+router.get("/:id/analyses/:analysisId", async (req, res) => {
+    try {
+        const analysis = await Analysis.findOne({ _id: req.params.analysisId, incidentId: req.params.id });
+        if (!analysis) {
+            return res.status(404).json({ error: "Analysis not found" });
+        }
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error fetching incident analysis:", error);
+        res.status(500).json({ error: "Failed to fetch incident analysis" });
+    }
+});
+
 module.exports = router;
@@ -1,254 +1,152 @@
 const express = require("express");
-const tools = require("../ai/tools");
-const { analyzeIncidentReadOnly } = require("../services/aiAnalysis.service");
+const mcpSessionService = require("../services/mcpSession.service");
+const {
+    SUPPORTED_PROTOCOL_VERSIONS,
+    jsonRpcError,
+    isValidMessage,
+    handleMessage,
+} = require("../mcp/protocol");
 
 const router = express.Router();
 
-/**
- * MCP Server Metadata
- * 
- * Exposes server information via the server/info JSON-RPC method.
- * This follows the Model Context Protocol (MCP) specification for tool discovery.
- */
-const MCP_SERVER_INFO = {
-    name: "ai-incident-mcp",
-    version: "1.0.0",
-    protocol: "mcp-jsonrpc-2.0",
-    transport: "http-jsonrpc",
-    description: "Educational MCP-style JSON-RPC server exposing read-only incident tools",
-};
+function getPrincipal(req) {
+    return req.apiKey ? `apikey:${req.apiKey._id}` : `user:${req.user._id}`;
+}
 
-/**
- * MCP Tool Registry (READ-ONLY Operations Only)
- * 
- * All tools exposed via MCP are strictly read-only to follow security best practices.
- * This ensures AI agents can analyze incidents but cannot modify system state.
- * 
- * Architecture:
- * - Tools defined as array for maintainability
- * - Converted to lookup map for O(1) validation during tool calls
- */
-const TOOL_DEFINITIONS = [
-    {
-        name: "getIncidentById",
-        description: "Fetch a single incident by its MongoDB ID",
-        inputSchema: {
-            type: "object",
-            properties: {
-                id: { type: "string", description: "Incident MongoDB ObjectId" },
-            },
-            required: ["id"],
-            additionalProperties: false,
-        },
-        implementation: async (args) => tools.getIncidentById(args),
-    },
-    {
-        name: "getLogsByIncident",
-        description: "Fetch logs associated with a specific incident",
-        inputSchema: {
-            type: "object",
-            properties: {
-                incidentId: { type: "string", description: "Incident MongoDB ObjectId" },
-            },
-            required: ["incidentId"],
-            additionalProperties: false,
-        },
-        implementation: async (args) => tools.getLogsByIncident(args),
-    },
-    {
-        name: "analyzeIncident",
-        description: "Run READ-ONLY NVIDIA NIM AI analysis on an incident and its logs. Returns analysis results without modifying database state.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                incidentId: { type: "string", description: "Incident MongoDB ObjectId" },
-            },
-            required: ["incidentId"],
-            additionalProperties: false,
-        },
-        implementation: async (args) => analyzeIncidentReadOnly(args.incidentId),
-    },
-];
-
-const MCP_TOOLS = TOOL_DEFINITIONS.reduce((acc, tool) => {
-    acc[tool.name] = tool;
-    return acc;
-}, {});
+function isInitializeRequest(body) {
+    return isValidMessage(body) && body.method === "initialize" && body.id !== undefined;
+}
 
-/**
- * Format response payload as MCP JSON content
- * 
- * MCP protocol requires responses to be wrapped in a content array
- * with type and data fields for consistent client parsing.
- */
-function wrapJsonContent(payload) {
-    return {
-        content: [
-            {
-                type: "json",
-                data: payload,
-            },
-        ],
-    };
+function getContext(req) {
+    return { transport: "streamable-http", apiKey: req.apiKey, user: req.user, session: req.mcpSession };
 }
 
 /**
- * Validate tool arguments against schema
- * 
- * Ensures required parameters are present before executing tool.
- * Throws descriptive errors for invalid input to aid debugging.
+ * Resolve the Mcp-Session-Id header of a request
+ *
+ * Sends the error response and returns false if the header names a session
+ * that does not exist (expired or owned by someone else).
  */
-function validateArgsOrThrow(tool, args) {
-    const required = tool.inputSchema?.required || [];
-
-    if (!args || typeof args !== "object") {
-        throw new Error(`Invalid arguments for tool '${tool.name}' (expected object)`);
+function loadSession(req, res) {
+    const sessionId = req.get("mcp-session-id");
+    if (!sessionId) return true;
+
+    const session = mcpSessionService.get(sessionId, getPrincipal(req));
+    if (!session) {
+        res.status(404).json(jsonRpcError(null, -32000, "Session not found - send a new initialize request"));
+        return false;
     }
 
-    const missing = required.filter((key) => !(key in args));
-    if (missing.length > 0) {
-        throw new Error(
-            `Missing required argument(s) for tool '${tool.name}': ${missing.join(", ")}`
-        );
-    }
+    req.mcpSession = session;
+    return true;
 }
 
 /**
- * Format JSON-RPC error response
- * 
- * Follows JSON-RPC 2.0 error specification with standard error codes:
- * - -32600: Invalid Request
- * - -32601: Method not found
- * - -32602: Invalid params
- * - -32603: Internal error
+ * Reject requests announcing a protocol version we don't speak
  */
-function jsonRpcError(id, code, message, data) {
-    return {
-        jsonrpc: "2.0",
-        id: id ?? null,
-        error: {
-            code,
-            message,
-            ...(data ? { data } : {}),
-        },
-    };
+function checkProtocolVersionHeader(req, res, next) {
+    const version = req.get("mcp-protocol-version");
+    if (version && !SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+        return res.status(400).json(
+            jsonRpcError(null, -32600, `Unsupported MCP-Protocol-Version '${version}'`, { supported: SUPPORTED_PROTOCOL_VERSIONS })
+        );
+    }
+    next();
 }
 
 /**
- * MCP JSON-RPC Endpoint
+ * MCP JSON-RPC Endpoint (Streamable HTTP transport)
  * 
  * POST /api/mcp/jsonrpc
  * 
  * Implements Model Context Protocol (MCP) JSON-RPC 2.0 interface.
- * All tools are READ-ONLY to prevent AI agents from modifying system state.
+ * All tools are READ-ONLY to prevent AI agents from modifying system state;
+ * propose* tools only record proposals that engineers approve (/api/proposals).
  * 
  * Supported methods:
- * - server/info: Returns server metadata and capabilities
- * - tools/list: Lists all available read-only tools
- * - tools/call: Executes a specific tool (read-only operations only)
+ * - initialize: Protocol version negotiation and capability advertisement
+ * - ping: Liveness check
+ * - server/info: Returns server metadata (legacy)
+ * - tools/list: Lists all available tools
+ * - tools/call: Executes a specific tool (read-only operations or proposals)
+ *
+ * Accepts a single message or a batch (array). Notifications (no `id`) get
+ * no response; a body made only of notifications is answered with 202.
+ *
+ * An `initialize` request starts a session: its id is returned in the
+ * `Mcp-Session-Id` header and should be sent with every later request.
+ * Requests without the header are handled statelessly.
+ *
+ * API key callers only see and call the tools their scopes allow.
  */
-router.post("/jsonrpc", async (req, res) => {
-    const { jsonrpc, id, method, params } = req.body || {};
+router.post("/jsonrpc", checkProtocolVersionHeader, async (req, res) => {
+    const body = req.body;
+
+    if (isInitializeRequest(body)) {
+        req.mcpSession = mcpSessionService.create(getPrincipal(req));
+        res.set("Mcp-Session-Id", req.mcpSession.id);
+    } else if (!loadSession(req, res)) {
+        return;
+    }
+
+    if (Array.isArray(body)) {
+        if (body.length === 0) {
+            return res.status(400).json(jsonRpcError(null, -32600, "Invalid Request (empty batch)"));
+        }
+
+        const responses = [];
+        for (const message of body) {
+            const response = await handleMessage(message, getContext(req));
+            if (response) responses.push(response);
+        }
 
-    if (jsonrpc !== "2.0") {
+        return responses.length > 0 ? res.json(responses) : res.status(202).end();
+    }
+
+    if (!isValidMessage(body)) {
         return res.status(400).json(
-            jsonRpcError(id, -32600, "Invalid JSON-RPC version (expected '2.0')")
+            jsonRpcError(body?.id, -32600, "Invalid Request (expected a JSON-RPC 2.0 message with a method)")
         );
     }
 
-    try {
-        if (method === "server/info") {
-            return res.json({
-                jsonrpc: "2.0",
-                id,
-                result: {
-                    ...MCP_SERVER_INFO,
-                    toolCount: TOOL_DEFINITIONS.length,
-                },
-            });
-        }
+    const response = await handleMessage(body, getContext(req));
+    return response ? res.json(response) : res.status(202).end();
+});
 
-        if (method === "tools/list") {
-            // Return all available tools with explicit read-only safety level
-            // This helps clients understand that no write operations are available
-            const toolsList = TOOL_DEFINITIONS.map((tool) => ({
-                name: tool.name,
-                description: tool.description,
-                inputSchema: tool.inputSchema,
-                safetyLevel: "read-only", // Explicitly mark all tools as read-only
-            }));
-
-            return res.json({
-                jsonrpc: "2.0",
-                id,
-                result: {
-                    tools: toolsList,
-                },
-            });
-        }
+/**
+ * Server-to-client SSE stream
+ *
+ * GET /api/mcp/jsonrpc  (Accept: text/event-stream, Mcp-Session-Id required)
+ *
+ * Delivers server-initiated notifications (e.g. notifications/resources/updated
+ * when an incident is opened or a log is appended). Reconnect with
+ * `Last-Event-ID` to receive the events missed while disconnected.
+ */
+router.get("/jsonrpc", checkProtocolVersionHeader, (req, res) => {
+    if (!(req.get("accept") || "").includes("text/event-stream")) {
+        return res.status(406).json(jsonRpcError(null, -32600, "GET requires 'Accept: text/event-stream'"));
+    }
+    if (!req.get("mcp-session-id")) {
+        return res.status(400).json(jsonRpcError(null, -32600, "Mcp-Session-Id header is required - send an initialize request first"));
+    }
+    if (!loadSession(req, res)) return;
 
-        if (method === "tools/call") {
-            // Execute a read-only tool
-            // All tools in MCP_TOOLS are guaranteed to be read-only (no database mutations)
-            const { name, arguments: args } = params || {};
-
-            if (!name || typeof name !== "string") {
-                return res
-                    .status(400)
-                    .json(jsonRpcError(id, -32602, "Tool name must be a non-empty string"));
-            }
-
-            const tool = MCP_TOOLS[name];
-            if (!tool) {
-                return res
-                    .status(400)
-                    .json(
-                        jsonRpcError(
-                            id,
-                            -32601,
-                            `Unknown tool '${name}'`,
-                            Object.keys(MCP_TOOLS)
-                        )
-                    );
-            }
-
-            // Validate arguments before execution
-            validateArgsOrThrow(tool, args);
-
-            // Execute tool implementation (all are read-only)
-            const resultData = await tool.implementation(args);
-
-            return res.json({
-                jsonrpc: "2.0",
-                id,
-                result: wrapJsonContent(resultData),
-            });
-        }
+    mcpSessionService.attachStream(req.mcpSession, res, req.get("last-event-id"));
+});
 
-        // Method not supported
-        return res
-            .status(400)
-            .json(
-                jsonRpcError(
-                    id,
-                    -32601,
-                    `Unsupported method '${method}'. Use 'server/info', 'tools/list' or 'tools/call'.`
-                )
-            );
-    } catch (error) {
-        console.error("[MCP] Request failed:", error);
-        return res
-            .status(500)
-            .json(
-                jsonRpcError(
-                    id,
-                    -32603,
-                    "Internal MCP server error",
-                    process.env.NODE_ENV === "production" ? undefined : error.message
-                )
-            );
+/**
+ * Terminate a session
+ *
+ * DELETE /api/mcp/jsonrpc  (Mcp-Session-Id required)
+ */
+router.delete("/jsonrpc", (req, res) => {
+    if (!req.get("mcp-session-id")) {
+        return res.status(400).json(jsonRpcError(null, -32600, "Mcp-Session-Id header is required"));
     }
+    if (!loadSession(req, res)) return;
+
+    mcpSessionService.close(req.mcpSession.id);
+    res.status(204).end();
 });
 
 module.exports = router;
-
@@ -0,0 +1,135 @@
+const express = require("express");
+const NotificationChannel = require("../models/NotificationChannel");
+const { sendTestNotification } = require("../services/notification.service");
+const { requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+// Channel configs hold receiver URLs and credentials - admin-only
+router.use(requireRole("admin"));
+
+const CHANNEL_FIELDS = ["name", "type", "enabled", "events", "filters", "config"];
+
+function pickChannelFields(body) {
+    const data = {};
+    for (const field of CHANNEL_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+}
+
+/**
+ * Get all notification channels
+ */
+router.get("/channels", async (req, res) => {
+    try {
+        const channels = await NotificationChannel.find().sort({ createdAt: -1 });
+
+        res.json({
+            count: channels.length,
+            channels,
+        });
+    } catch (error) {
+        console.error("Error fetching notification channels:", error);
+        res.status(500).json({ error: "Failed to fetch notification channels" });
+    }
+});
+
+/**
+ * Create a notification channel
+ */
+router.post("/channels", async (req, res) => {
+    try {
+        const channel = await NotificationChannel.create(pickChannelFields(req.body || {}));
+
+        res.status(201).json({
+            message: "Notification channel created successfully",
+            channel,
+        });
+    } catch (error) {
+        console.error("Error creating notification channel:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to create notification channel" });
+    }
+});
+
+/**
+ * Update a notification channel
+ */
+router.patch("/channels/:id", async (req, res) => {
+    try {
+        const channel = await NotificationChannel.findById(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ error: "Notification channel not found" });
+        }
+
+        const updates = pickChannelFields(req.body || {});
+        // Keep the existing secret unless a new one is provided (a config read
+        // back from the API carries the mask, not the secret)
+        if (updates.config && [undefined, NotificationChannel.SECRET_MASK].includes(updates.config.secret)) {
+            updates.config.secret = channel.config?.secret;
+        }
+        channel.set(updates);
+        await channel.save();
+
+        res.json({
+            message: "Notification channel updated successfully",
+            channel,
+        });
+    } catch (error) {
+        console.error("Error updating notification channel:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update notification channel" });
+    }
+});
+
+/**
+ * Delete a notification channel
+ */
+router.delete("/channels/:id", async (req, res) => {
+    try {
+        const channel = await NotificationChannel.findByIdAndDelete(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ error: "Notification channel not found" });
+        }
+
+        res.json({
+            message: "Notification channel deleted successfully",
+            channel,
+        });
+    } catch (error) {
+        console.error("Error deleting notification channel:", error);
+        res.status(500).json({ error: "Failed to delete notification channel" });
+    }
+});
+
+/**
+ * Send a test message through a channel
+ */
+router.post("/channels/:id/test", async (req, res) => {
+    try {
+        const channel = await NotificationChannel.findById(req.params.id);
+
+        if (!channel) {
+            return res.status(404).json({ error: "Notification channel not found" });
+        }
+
+        const result = await sendTestNotification(channel);
+
+        res.status(result.delivered ? 200 : 502).json({
+            channel: channel.name,
+            ...result,
+        });
+    } catch (error) {
+        console.error("Error testing notification channel:", error);
+        res.status(500).json({ error: "Failed to test notification channel" });
+    }
+});
+
+module.exports = router;
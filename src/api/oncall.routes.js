@@ -0,0 +1,148 @@
+const express = require("express");
+const Schedule = require("../models/Schedule");
+const EscalationPolicy = require("../models/EscalationPolicy");
+const Service = require("../models/Service");
+const { getOnCall, findPolicyForService } = require("../services/oncall.service");
+const { requireRole } = require("../middleware/auth");
+
+const router = express.Router();
+
+const SCHEDULE_FIELDS = ["name", "description", "rotation", "overrides"];
+const POLICY_FIELDS = ["name", "description", "teams", "owners", "levels", "repeat"];
+
+function pick(body, fields) {
+    const data = {};
+    for (const field of fields) {
+        if (body?.[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+}
+
+/**
+ * Register CRUD routes for an on-call model
+ *
+ * @param {string} path - Collection path, e.g. "schedules"
+ * @param {string} key - Response key for a single item, e.g. "schedule"
+ */
+function crudRoutes(path, key, Model, fields, label) {
+    router.get(`/${path}`, async (req, res) => {
+        try {
+            const items = await Model.find().sort({ createdAt: -1 });
+            res.json({ count: items.length, [path]: items });
+        } catch (error) {
+            console.error(`Error fetching ${path}:`, error);
+            res.status(500).json({ error: `Failed to fetch ${path}` });
+        }
+    });
+
+    router.get(`/${path}/:id`, async (req, res) => {
+        try {
+            const item = await Model.findById(req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+            res.json(item);
+        } catch (error) {
+            console.error(`Error fetching ${label.toLowerCase()}:`, error);
+            res.status(500).json({ error: `Failed to fetch ${label.toLowerCase()}` });
+        }
+    });
+
+    router.post(`/${path}`, requireRole("admin"), async (req, res) => {
+        try {
+            const item = await Model.create(pick(req.body, fields));
+            res.status(201).json({ message: `${label} created successfully`, [key]: item });
+        } catch (error) {
+            console.error(`Error creating ${label.toLowerCase()}:`, error);
+            if (error.name === "ValidationError") {
+                return res.status(400).json({ error: error.message });
+            }
+            res.status(500).json({ error: `Failed to create ${label.toLowerCase()}` });
+        }
+    });
+
+    router.patch(`/${path}/:id`, requireRole("admin"), async (req, res) => {
+        try {
+            const item = await Model.findById(req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+            item.set(pick(req.body, fields));
+            await item.save();
+            res.json({ message: `${label} updated successfully`, [key]: item });
+        } catch (error) {
+            console.error(`Error updating ${label.toLowerCase()}:`, error);
+            if (error.name === "ValidationError") {
+                return res.status(400).json({ error: error.message });
+            }
+            res.status(500).json({ error: `Failed to update ${label.toLowerCase()}` });
+        }
+    });
+
+    router.delete(`/${path}/:id`, requireRole("admin"), async (req, res) => {
+        try {
+            const item = await Model.findByIdAndDelete(req.params.id);
+            if (!item) {
+                return res.status(404).json({ error: `${label} not found` });
+            }
+            res.json({ message: `${label} deleted successfully`, [key]: item });
+        } catch (error) {
+            console.error(`Error deleting ${label.toLowerCase()}:`, error);
+            res.status(500).json({ error: `Failed to delete ${label.toLowerCase()}` });
+        }
+    });
+}
+
+/**
+ * Who is on call for a schedule
+ * Query: at=<ISO date> (default: now)
+ */
+router.get("/schedules/:id/oncall", async (req, res) => {
+    try {
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (Number.isNaN(at.getTime())) {
+            return res.status(400).json({ error: "Invalid 'at' date" });
+        }
+
+        const schedule = await Schedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found" });
+        }
+
+        res.json({
+            schedule: { id: schedule._id, name: schedule.name },
+            at,
+            ...getOnCall(schedule, at),
+        });
+    } catch (error) {
+        console.error("Error resolving on-call:", error);
+        res.status(500).json({ error: "Failed to resolve on-call" });
+    }
+});
+
+/**
+ * Escalation policy that covers a service (via metadata.team / metadata.owner)
+ */
+router.get("/services/:serviceId/policy", async (req, res) => {
+    try {
+        const service = await Service.findById(req.params.serviceId);
+        if (!service) {
+            return res.status(404).json({ error: "Service not found" });
+        }
+
+        const policy = await findPolicyForService(service);
+        if (!policy) {
+            return res.status(404).json({ error: "No escalation policy matches this service's team or owner" });
+        }
+
+        res.json(policy);
+    } catch (error) {
+        console.error("Error fetching service escalation policy:", error);
+        res.status(500).json({ error: "Failed to fetch service escalation policy" });
+    }
+});
+
+crudRoutes("schedules", "schedule", Schedule, SCHEDULE_FIELDS, "Schedule");
+crudRoutes("policies", "policy", EscalationPolicy, POLICY_FIELDS, "Escalation policy");
+
+module.exports = router;
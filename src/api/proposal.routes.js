@@ -0,0 +1,153 @@
+const express = require("express");
+const Incident = require("../models/Incident");
+const Proposal = require("../models/Proposal");
+const Runbook = require("../models/Runbook");
+const { requireRole } = require("../middleware/auth");
+const validateBody = require("../middleware/validateBody");
+const { decisionSchema } = require("../schemas/proposal.schema");
+const { approveProposal, rejectProposal } = require("../services/proposal.service");
+
+const router = express.Router();
+
+/**
+ * Load a proposal and its incident for a decision
+ *
+ * Sends the error response and returns null if the proposal doesn't exist
+ * or is no longer pending.
+ */
+async function loadPendingProposal(req, res) {
+    const proposal = await Proposal.findById(req.params.id);
+    if (!proposal) {
+        res.status(404).json({ error: "Proposal not found" });
+        return null;
+    }
+    if (proposal.status !== "pending") {
+        res.status(409).json({ error: `Proposal was already ${proposal.status} by ${proposal.decidedBy}` });
+        return null;
+    }
+
+    const incident = await Incident.findById(proposal.incidentId);
+    if (!incident) {
+        res.status(404).json({ error: "Incident not found" });
+        return null;
+    }
+    return { proposal, incident };
+}
+
+/**
+ * Get proposals (newest first)
+ * Query: status=pending|approved|rejected, incidentId, type=status_change|action, limit
+ */
+router.get("/", async (req, res) => {
+    try {
+        const { status, incidentId, type, limit = 50 } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (incidentId) filter.incidentId = incidentId;
+        if (type) filter.type = type;
+
+        const proposals = await Proposal.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .populate("incidentId", "title status severity serviceName");
+
+        res.json({
+            count: proposals.length,
+            proposals,
+        });
+    } catch (error) {
+        console.error("Error fetching proposals:", error);
+        res.status(500).json({ error: "Failed to fetch proposals" });
+    }
+});
+
+/**
+ * Get single proposal by ID
+ */
+router.get("/:id", async (req, res) => {
+    try {
+        const proposal = await Proposal.findById(req.params.id)
+            .populate("incidentId", "title status severity serviceName");
+
+        if (!proposal) {
+            return res.status(404).json({ error: "Proposal not found" });
+        }
+
+        res.json(proposal);
+    } catch (error) {
+        console.error("Error fetching proposal:", error);
+        res.status(500).json({ error: "Failed to fetch proposal" });
+    }
+});
+
+/**
+ * Approve a proposal - applies the proposed change as the approving engineer
+ * Body: { notes }
+ */
+router.post("/:id/approve", requireRole("responder"), validateBody(decisionSchema), async (req, res) => {
+    try {
+        const { notes } = req.body;
+
+        const loaded = await loadPendingProposal(req, res);
+        if (!loaded) return;
+        const { proposal, incident } = loaded;
+
+        // The incident may have moved on since the agent proposed the change
+        if (proposal.type === "status_change" && incident.status === proposal.payload.status) {
+            return res.status(409).json({ error: `Incident is already ${incident.status}; reject the proposal instead` });
+        }
+        if (proposal.type === "action" && incident.status === "resolved") {
+            return res.status(409).json({ error: "Incident is already resolved; reject the proposal instead" });
+        }
+
+        const result = await approveProposal(proposal, incident, req.user, notes);
+        if (!result) {
+            return res.status(409).json({ error: "Proposal was decided by someone else" });
+        }
+
+        // Approved actions can be executed through their runbook (POST /api/incidents/:id/runbook-runs)
+        const runbook = proposal.type === "action"
+            ? await Runbook.findOne({ action: proposal.payload.action, enabled: true }).select("action name")
+            : null;
+
+        res.json({
+            message: "Proposal approved and applied",
+            proposal: result.proposal,
+            incident: result.incident,
+            runbook,
+        });
+    } catch (error) {
+        console.error("Error approving proposal:", error);
+        res.status(500).json({ error: "Failed to approve proposal" });
+    }
+});
+
+/**
+ * Reject a proposal - nothing is applied
+ * Body: { notes }
+ */
+router.post("/:id/reject", requireRole("responder"), validateBody(decisionSchema), async (req, res) => {
+    try {
+        const { notes } = req.body;
+
+        const loaded = await loadPendingProposal(req, res);
+        if (!loaded) return;
+        const { proposal, incident } = loaded;
+
+        const rejected = await rejectProposal(proposal, incident, req.user, notes);
+        if (!rejected) {
+            return res.status(409).json({ error: "Proposal was decided by someone else" });
+        }
+
+        res.json({
+            message: "Proposal rejected",
+            proposal: rejected,
+        });
+    } catch (error) {
+        console.error("Error rejecting proposal:", error);
+        res.status(500).json({ error: "Failed to reject proposal" });
+    }
+});
+
+module.exports = router;
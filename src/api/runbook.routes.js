@@ -0,0 +1,208 @@
+const express = require("express");
+const Runbook = require("../models/Runbook");
+const RunbookRun = require("../models/RunbookRun");
+const runbookService = require("../services/runbook.service");
+const { requireRole } = require("../middleware/auth");
+const validateBody = require("../middleware/validateBody");
+const { createRunbookSchema, updateRunbookSchema } = require("../schemas/runbook.schema");
+
+const router = express.Router();
+
+const RUNBOOK_FIELDS = ["action", "name", "description", "enabled", "executor", "timeout"];
+
+function pickRunbookFields(body) {
+    const data = {};
+    for (const field of RUNBOOK_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+}
+
+/**
+ * Get runbook runs (newest first)
+ * Query: incidentId, action, status, limit
+ */
+router.get("/runs", async (req, res) => {
+    try {
+        const { incidentId, action, status, limit = 50 } = req.query;
+
+        const filter = {};
+        if (incidentId) filter.incidentId = incidentId;
+        if (action) filter.action = action;
+        if (status) filter.status = status;
+
+        const runs = await RunbookRun.find(filter).sort({ createdAt: -1 }).limit(parseInt(limit));
+
+        res.json({
+            count: runs.length,
+            runs,
+        });
+    } catch (error) {
+        console.error("Error fetching runbook runs:", error);
+        res.status(500).json({ error: "Failed to fetch runbook runs" });
+    }
+});
+
+/**
+ * Get a single runbook run (poll for its outcome)
+ */
+router.get("/runs/:runId", async (req, res) => {
+    try {
+        const run = await RunbookRun.findById(req.params.runId);
+
+        if (!run) {
+            return res.status(404).json({ error: "Runbook run not found" });
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error("Error fetching runbook run:", error);
+        res.status(500).json({ error: "Failed to fetch runbook run" });
+    }
+});
+
+/**
+ * Cancel a pending or running runbook run
+ */
+router.post("/runs/:runId/cancel", requireRole("responder"), async (req, res) => {
+    try {
+        const run = await RunbookRun.findById(req.params.runId);
+
+        if (!run) {
+            return res.status(404).json({ error: "Runbook run not found" });
+        }
+
+        const cancelled = await runbookService.cancel(run, req.user);
+        if (!cancelled) {
+            return res.status(409).json({ error: `Runbook run already ${run.status}` });
+        }
+
+        res.json({
+            message: "Runbook run cancelled",
+            run: cancelled,
+        });
+    } catch (error) {
+        console.error("Error cancelling runbook run:", error);
+        res.status(500).json({ error: "Failed to cancel runbook run" });
+    }
+});
+
+/**
+ * Get all runbooks
+ * Executor configs hold endpoints and credentials - admin-only
+ */
+router.get("/", requireRole("admin"), async (req, res) => {
+    try {
+        const runbooks = await Runbook.find().sort({ action: 1 });
+
+        res.json({
+            count: runbooks.length,
+            runbooks,
+        });
+    } catch (error) {
+        console.error("Error fetching runbooks:", error);
+        res.status(500).json({ error: "Failed to fetch runbooks" });
+    }
+});
+
+/**
+ * Get single runbook by ID
+ */
+router.get("/:id", requireRole("admin"), async (req, res) => {
+    try {
+        const runbook = await Runbook.findById(req.params.id);
+
+        if (!runbook) {
+            return res.status(404).json({ error: "Runbook not found" });
+        }
+
+        res.json(runbook);
+    } catch (error) {
+        console.error("Error fetching runbook:", error);
+        res.status(500).json({ error: "Failed to fetch runbook" });
+    }
+});
+
+/**
+ * Register a runbook for an action
+ */
+router.post("/", requireRole("admin"), validateBody(createRunbookSchema), async (req, res) => {
+    try {
+        const runbook = await Runbook.create(pickRunbookFields(req.body));
+
+        res.status(201).json({
+            message: "Runbook created successfully",
+            runbook,
+        });
+    } catch (error) {
+        console.error("Error creating runbook:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A runbook for this action already exists" });
+        }
+        res.status(500).json({ error: "Failed to create runbook" });
+    }
+});
+
+/**
+ * Update a runbook
+ */
+router.patch("/:id", requireRole("admin"), validateBody(updateRunbookSchema), async (req, res) => {
+    try {
+        const runbook = await Runbook.findById(req.params.id);
+
+        if (!runbook) {
+            return res.status(404).json({ error: "Runbook not found" });
+        }
+
+        const { executor, ...updates } = pickRunbookFields(req.body);
+        runbook.set(updates);
+
+        // Set executor keys one by one so a partial executor keeps the rest; a
+        // secret read back from the API carries the mask - keep the existing one
+        for (const [key, value] of Object.entries(executor || {})) {
+            if (key === "secret" && value === Runbook.SECRET_MASK) continue;
+            runbook.set(`executor.${key}`, value);
+        }
+        await runbook.save();
+
+        res.json({
+            message: "Runbook updated successfully",
+            runbook,
+        });
+    } catch (error) {
+        console.error("Error updating runbook:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A runbook for this action already exists" });
+        }
+        res.status(500).json({ error: "Failed to update runbook" });
+    }
+});
+
+/**
+ * Delete a runbook (its runs are kept)
+ */
+router.delete("/:id", requireRole("admin"), async (req, res) => {
+    try {
+        const runbook = await Runbook.findByIdAndDelete(req.params.id);
+
+        if (!runbook) {
+            return res.status(404).json({ error: "Runbook not found" });
+        }
+
+        res.json({
+            message: "Runbook deleted successfully",
+            runbook,
+        });
+    } catch (error) {
+        console.error("Error deleting runbook:", error);
+        res.status(500).json({ error: "Failed to delete runbook" });
+    }
+});
+
+module.exports = router;
@@ -1,18 +1,22 @@
 const express = require("express");
 const Service = require("../models/Service");
-const axios = require("axios");
-const dns = require("dns");
+const { normalizeLocalhostUrl, runServiceProbes } = require("../services/healthProbe.service");
+const monitoringService = require("../services/monitoring.service");
+const { getUptime, WINDOWS } = require("../services/healthHistory.service");
+const { getSloStatus } = require("../services/slo.service");
+const { requireRole } = require("../middleware/auth");
+const validateBody = require("../middleware/validateBody");
+const { createServiceSchema, updateServiceSchema } = require("../schemas/service.schema");
 
 const router = express.Router();
 
-// Configure DNS to prefer IPv4
-dns.setDefaultResultOrder("ipv4first");
+const MONITORING_FIELDS = ["interval", "jitter", "timeout", "failureThreshold", "recoveryThreshold", "flapDetection"];
 
-// Helper function to normalize localhost URLs to use 127.0.0.1
-function normalizeLocalhostUrl(url) {
-    if (!url) return url;
-    // Replace localhost with 127.0.0.1 to avoid IPv6 resolution issues
-    return url.replace(/localhost/g, "127.0.0.1").replace(/::1/g, "127.0.0.1");
+// Pick up added/changed/removed services right away instead of on the next sync
+function refreshMonitoringSchedule() {
+    if (monitoringService.isRunning) {
+        monitoringService.syncSchedule();
+    }
 }
 
 /**
@@ -58,16 +62,64 @@ router.get("/:id", async (req, res) => {
 });
 
 /**
- * Register a new service
+ * Get uptime and latency history for a service
+ * Query: window=24h|7d|30d (default 24h)
  */
-router.post("/", async (req, res) => {
+router.get("/:id/uptime", async (req, res) => {
     try {
-        const { name, url, healthEndpoint, description, category, metadata } = req.body;
+        const { window = "24h" } = req.query;
+
+        if (!WINDOWS[window]) {
+            return res.status(400).json({ error: `Invalid window. Must be one of: ${Object.keys(WINDOWS).join(", ")}` });
+        }
+
+        const service = await Service.findById(req.params.id);
+        if (!service) {
+            return res.status(404).json({ error: "Service not found" });
+        }
+
+        const uptime = await getUptime(service._id, window);
+
+        res.json({
+            service: { id: service._id, name: service.name },
+            ...uptime,
+        });
+    } catch (error) {
+        console.error("Error fetching service uptime:", error);
+        res.status(500).json({ error: "Failed to fetch service uptime" });
+    }
+});
 
-        if (!name || !url) {
-            return res.status(400).json({ error: "Name and URL are required" });
+/**
+ * Get SLO status for a service: SLI, remaining error budget and burn rates
+ */
+router.get("/:id/slo", async (req, res) => {
+    try {
+        const service = await Service.findById(req.params.id);
+        if (!service) {
+            return res.status(404).json({ error: "Service not found" });
         }
 
+        const slos = await getSloStatus(service);
+
+        res.json({
+            service: { id: service._id, name: service.name },
+            count: slos.length,
+            slos,
+        });
+    } catch (error) {
+        console.error("Error fetching service SLO status:", error);
+        res.status(500).json({ error: "Failed to fetch service SLO status" });
+    }
+});
+
+/**
+ * Register a new service
+ */
+router.post("/", requireRole("admin"), validateBody(createServiceSchema), async (req, res) => {
+    try {
+        const { name, url, healthEndpoint, probes, monitoring, slos, description, category, metadata } = req.body;
+
         // Check if service with this URL already exists
         const existing = await Service.findOne({ url });
         if (existing) {
@@ -81,18 +133,26 @@ router.post("/", async (req, res) => {
             name,
             url: normalizedUrl,
             healthEndpoint: healthEndpoint || "/health",
+            probes,
+            monitoring,
+            slos,
             description,
             category: category || "api",
             metadata: metadata || {},
             enabled: true,
         });
 
+        refreshMonitoringSchedule();
+
         res.status(201).json({
             message: "Service registered successfully",
             service,
         });
     } catch (error) {
         console.error("Error registering service:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
         if (error.code === 11000) {
             return res.status(400).json({ error: "Service with this URL already exists" });
         }
@@ -103,14 +163,30 @@ router.post("/", async (req, res) => {
 /**
  * Update service
  */
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", requireRole("admin"), validateBody(updateServiceSchema), async (req, res) => {
     try {
-        const { name, url, healthEndpoint, description, category, enabled, metadata } = req.body;
+        const { name, url, healthEndpoint, probes, monitoring, slos, description, category, enabled, metadata } = req.body;
 
         const updateData = {};
         if (name) updateData.name = name;
         if (url) updateData.url = normalizeLocalhostUrl(url.trim());
         if (healthEndpoint) updateData.healthEndpoint = healthEndpoint;
+        if (probes !== undefined) updateData.probes = probes; // [] reverts to the default health probe
+        if (monitoring) {
+            for (const field of MONITORING_FIELDS) {
+                const value = monitoring[field];
+                if (value === undefined) continue;
+                if (value && typeof value === "object") {
+                    // Set nested keys one by one so a partial threshold keeps the others
+                    for (const [key, nested] of Object.entries(value)) {
+                        updateData[`monitoring.${field}.${key}`] = nested;
+                    }
+                } else {
+                    updateData[`monitoring.${field}`] = value;
+                }
+            }
+        }
+        if (slos !== undefined) updateData.slos = slos;
         if (description !== undefined) updateData.description = description;
         if (category) updateData.category = category;
         if (enabled !== undefined) updateData.enabled = enabled;
@@ -126,12 +202,17 @@ router.patch("/:id", async (req, res) => {
             return res.status(404).json({ error: "Service not found" });
         }
 
+        refreshMonitoringSchedule();
+
         res.json({
             message: "Service updated successfully",
             service,
         });
     } catch (error) {
         console.error("Error updating service:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
         if (error.code === 11000) {
             return res.status(400).json({ error: "Service with this URL already exists" });
         }
@@ -142,7 +223,7 @@ router.patch("/:id", async (req, res) => {
 /**
  * Delete service
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireRole("admin"), async (req, res) => {
     try {
         const service = await Service.findByIdAndDelete(req.params.id);
 
@@ -150,6 +231,8 @@ router.delete("/:id", async (req, res) => {
             return res.status(404).json({ error: "Service not found" });
         }
 
+        refreshMonitoringSchedule();
+
         res.json({
             message: "Service deleted successfully",
             service,
@@ -161,9 +244,9 @@ router.delete("/:id", async (req, res) => {
 });
 
 /**
- * Test service health check - checks multiple endpoints
+ * Test service health check - runs the service's configured probes
  */
-router.post("/:id/test", async (req, res) => {
+router.post("/:id/test", requireRole("responder"), async (req, res) => {
     try {
         const service = await Service.findById(req.params.id);
 
@@ -171,58 +254,10 @@ router.post("/:id/test", async (req, res) => {
             return res.status(404).json({ error: "Service not found" });
         }
 
-        // Check multiple endpoints for comprehensive testing
-        const endpointsToCheck = [
-            { path: "/health", name: "overall health" },
-            { path: "/api", name: "API subsystem" },
-            { path: "/db", name: "database subsystem" },
-            { path: "/auth", name: "auth subsystem" }
-        ];
-
-        // Normalize URL to use 127.0.0.1 instead of localhost
+        // Same probes and success criteria as the monitoring service
         const baseUrl = normalizeLocalhostUrl(service.url.replace(/\/$/, "")); // Remove trailing slash
-        const results = [];
-        let allHealthy = true;
-
-        for (const endpoint of endpointsToCheck) {
-            const healthUrl = `${baseUrl}${endpoint.path}`;
-            const startTime = Date.now();
-
-            try {
-                const response = await axios.get(healthUrl, {
-                    timeout: 5000,
-                    validateStatus: () => true,
-                });
-                const responseTime = Date.now() - startTime;
-
-                const isHealthy = response.status === 200 && 
-                                 (response.data?.status === "healthy" || response.data?.status === "degraded");
-
-                if (!isHealthy) {
-                    allHealthy = false;
-                }
-
-                results.push({
-                    endpoint: endpoint.path,
-                    name: endpoint.name,
-                    url: healthUrl,
-                    status: response.status,
-                    responseTime,
-                    healthy: isHealthy,
-                    data: response.data,
-                });
-            } catch (error) {
-                allHealthy = false;
-                results.push({
-                    endpoint: endpoint.path,
-                    name: endpoint.name,
-                    url: healthUrl,
-                    status: "error",
-                    error: error.message,
-                    healthy: false,
-                });
-            }
-        }
+        const results = await runServiceProbes(service);
+        const allHealthy = results.every(r => r.healthy);
 
         res.json({
             service: service.name,
@@ -1,34 +1,50 @@
 const express = require("express");
-const Incident = require("../models/Incident");
-const Log = require("../models/Log");
+const { getSystemStats } = require("../services/incidentStats.service");
 const monitoringService = require("../services/monitoring.service");
+const { ingestEvents, MAX_BATCH_SIZE } = require("../services/eventIngestion.service");
+const systemAuth = require("../middleware/systemAuth");
+const { authenticate, requireRole } = require("../middleware/auth");
+const validateBody = require("../middleware/validateBody");
+const { resetBreakersSchema } = require("../schemas/llm.schema");
+const { llmRouter } = require("../llm/router");
 
 const router = express.Router();
 
 // Get simplified system statistics (essential metrics only)
-router.get("/stats", async (req, res) => {
+router.get("/stats", authenticate, async (req, res) => {
     try {
-        const totalIncidents = await Incident.countDocuments();
-        const openIncidents = await Incident.countDocuments({ status: { $in: ["open", "investigating"] } });
-        const resolvedIncidents = await Incident.countDocuments({ status: "resolved", resolvedBy: "engineer" });
-        const totalLogs = await Log.countDocuments();
-
-        res.json({
-            summary: {
-                totalIncidents,
-                openIncidents,
-                resolvedIncidents,
-                totalLogs,
-            },
-        });
+        res.json(await getSystemStats());
     } catch (error) {
         console.error("Error fetching system stats:", error);
         res.status(500).json({ error: "Failed to fetch system statistics" });
     }
 });
 
+// Push-based event ingestion (machine callers)
+// Body: { events: [{ serviceId | service, level, message, tags, timestamp }] }
+router.post("/events", systemAuth, async (req, res) => {
+    try {
+        const { events } = req.body || {};
+
+        if (!Array.isArray(events) || events.length === 0) {
+            return res.status(400).json({ error: "'events' must be a non-empty array" });
+        }
+
+        if (events.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({ error: `Too many events in one batch (max ${MAX_BATCH_SIZE})` });
+        }
+
+        const result = await ingestEvents(events);
+
+        res.status(result.accepted > 0 || result.skipped > 0 ? 202 : 400).json(result);
+    } catch (error) {
+        console.error("Error ingesting system events:", error);
+        res.status(500).json({ error: "Failed to ingest system events" });
+    }
+});
+
 // Monitoring service control
-router.post("/monitoring/start", async (req, res) => {
+router.post("/monitoring/start", authenticate, requireRole("admin"), async (req, res) => {
     try {
         monitoringService.start();
         res.json({ message: "Monitoring service started" });
@@ -38,7 +54,7 @@ router.post("/monitoring/start", async (req, res) => {
     }
 });
 
-router.post("/monitoring/stop", async (req, res) => {
+router.post("/monitoring/stop", authenticate, requireRole("admin"), async (req, res) => {
     try {
         monitoringService.stop();
         res.json({ message: "Monitoring service stopped" });
@@ -48,17 +64,58 @@ router.post("/monitoring/stop", async (req, res) => {
     }
 });
 
-router.get("/monitoring/status", async (req, res) => {
+router.get("/monitoring/status", authenticate, async (req, res) => {
     try {
-        res.json({
-            isRunning: monitoringService.isRunning,
-            checkInterval: monitoringService.checkInterval,
-            healthCheckInterval: monitoringService.healthCheckInterval,
-        });
+        res.json(monitoringService.getStatus());
     } catch (error) {
         console.error("Error getting monitoring status:", error);
         res.status(500).json({ error: "Failed to get monitoring status" });
     }
 });
 
+// LLM providers: per provider/model circuit breaker state, error rate and last failure
+router.get("/llm/status", authenticate, async (req, res) => {
+    try {
+        res.json(llmRouter.getStatus());
+    } catch (error) {
+        console.error("Error getting LLM status:", error);
+        res.status(500).json({ error: "Failed to get LLM status" });
+    }
+});
+
+// Close circuit breakers after fixing a provider (e.g. a key rotated through
+// LLM_CONFIG_FILE and reloaded) instead of waiting for the half-open probe
+// Body: { model?: "provider/model" } - all breakers when omitted
+router.post("/llm/reset", authenticate, requireRole("admin"), validateBody(resetBreakersSchema), async (req, res) => {
+    try {
+        const { model } = req.body;
+
+        if (!llmRouter.resetBreakers(model)) {
+            return res.status(404).json({ error: `No circuit breaker for '${model}'` });
+        }
+
+        res.json({ message: model ? `Circuit breaker for '${model}' reset` : "All circuit breakers reset", status: llmRouter.getStatus() });
+    } catch (error) {
+        console.error("Error resetting LLM circuit breakers:", error);
+        res.status(500).json({ error: "Failed to reset LLM circuit breakers" });
+    }
+});
+
+// Reload the LLM configuration; breakers start closed. Only LLM_CONFIG_FILE
+// can change while the process runs (LLM_CONFIG and the apiKeyEnv variables
+// are the environment the process was started with), so a key rotated there
+// needs a restart
+router.post("/llm/reload", authenticate, requireRole("admin"), async (req, res) => {
+    try {
+        llmRouter.reload();
+        res.json({ message: "LLM configuration reloaded", status: llmRouter.getStatus() });
+    } catch (error) {
+        if (error.message.startsWith("Invalid LLM configuration") || error instanceof SyntaxError || error.code === "ENOENT") {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Error reloading LLM configuration:", error);
+        res.status(500).json({ error: "Failed to reload LLM configuration" });
+    }
+});
+
 module.exports = router;
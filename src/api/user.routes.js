@@ -0,0 +1,140 @@
+const express = require("express");
+const User = require("../models/User");
+const { requireRole } = require("../middleware/auth");
+const { hashPassword, validatePassword } = require("../services/auth.service");
+
+const router = express.Router();
+
+// User management is admin-only
+router.use(requireRole("admin"));
+
+const USER_FIELDS = ["email", "name", "role", "active"];
+
+function pickUserFields(body) {
+    const data = {};
+    for (const field of USER_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+}
+
+/**
+ * Get all users
+ */
+router.get("/", async (req, res) => {
+    try {
+        const users = await User.find().sort({ createdAt: -1 });
+
+        res.json({
+            count: users.length,
+            users,
+        });
+    } catch (error) {
+        console.error("Error fetching users:", error);
+        res.status(500).json({ error: "Failed to fetch users" });
+    }
+});
+
+/**
+ * Create a user
+ * Body: { email, name, role, password }
+ */
+router.post("/", async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        try {
+            validatePassword(password);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const user = await User.create({
+            ...pickUserFields(req.body),
+            passwordHash: await hashPassword(password),
+        });
+
+        res.status(201).json({
+            message: "User created successfully",
+            user,
+        });
+    } catch (error) {
+        console.error("Error creating user:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A user with this email already exists" });
+        }
+        res.status(500).json({ error: "Failed to create user" });
+    }
+});
+
+/**
+ * Update a user (role, name, active, or reset the password)
+ */
+router.patch("/:id", async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        const updates = pickUserFields(req.body || {});
+        const isSelf = user._id.equals(req.user._id);
+        if (isSelf && ((updates.role && updates.role !== "admin") || updates.active === false)) {
+            return res.status(400).json({ error: "Admins cannot demote or disable themselves" });
+        }
+
+        if (req.body.password !== undefined) {
+            try {
+                validatePassword(req.body.password);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            updates.passwordHash = await hashPassword(req.body.password);
+        }
+
+        user.set(updates);
+        await user.save();
+
+        res.json({
+            message: "User updated successfully",
+            user,
+        });
+    } catch (error) {
+        console.error("Error updating user:", error);
+        if (error.name === "ValidationError") {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A user with this email already exists" });
+        }
+        res.status(500).json({ error: "Failed to update user" });
+    }
+});
+
+/**
+ * Delete a user
+ */
+router.delete("/:id", async (req, res) => {
+    try {
+        if (req.user._id.equals(req.params.id)) {
+            return res.status(400).json({ error: "Admins cannot delete themselves" });
+        }
+
+        const user = await User.findByIdAndDelete(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: "User not found" });
+        }
+
+        res.json({
+            message: "User deleted successfully",
+            user,
+        });
+    } catch (error) {
+        console.error("Error deleting user:", error);
+        res.status(500).json({ error: "Failed to delete user" });
+    }
+});
+
+module.exports = router;
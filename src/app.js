@@ -6,6 +6,14 @@ const logRoutes = require("./api/log.routes");
 const systemRoutes = require("./api/system.routes");
 const serviceRoutes = require("./api/service.routes");
 const mcpRoutes = require("./api/mcp.routes");
+const notificationRoutes = require("./api/notification.routes");
+const oncallRoutes = require("./api/oncall.routes");
+const authRoutes = require("./api/auth.routes");
+const userRoutes = require("./api/user.routes");
+const apiKeyRoutes = require("./api/apiKey.routes");
+const proposalRoutes = require("./api/proposal.routes");
+const runbookRoutes = require("./api/runbook.routes");
+const { authenticate, authenticateUserOrApiKey } = require("./middleware/auth");
 
 const app = express();
 
@@ -13,15 +21,33 @@ const app = express();
 // For production, you can specify: origin: process.env.FRONTEND_URL
 app.use(cors({
     origin: process.env.FRONTEND_URL || "*",
-    credentials: true
+    credentials: true,
+    exposedHeaders: ["Mcp-Session-Id"], // MCP Streamable HTTP clients read the session id
 }));
 app.use(express.json());
 
-app.use("/api/system", systemRoutes);   // machine
-app.use("/api/incidents", incidentRoutes); // engineer
-app.use("/api/logs", logRoutes);
-app.use("/api/services", serviceRoutes); // service management
-app.use("/api/mcp", mcpRoutes); // MCP JSON-RPC tools (read-only)
+app.use("/api/auth", authRoutes); // login (public) & current user
+app.use("/api/system", systemRoutes);   // machine (auth per route)
+
+// Everything below requires a logged-in user; routers enforce roles per route
+app.use("/api/incidents", authenticate, incidentRoutes); // engineer
+app.use("/api/logs", authenticate, logRoutes);
+app.use("/api/services", authenticate, serviceRoutes); // service management
+app.use("/api/proposals", authenticate, proposalRoutes); // AI proposals awaiting engineer approval
+app.use("/api/runbooks", authenticate, runbookRoutes); // remediation runbooks & their runs
+app.use("/api/mcp", authenticateUserOrApiKey, mcpRoutes); // MCP JSON-RPC tools (read-only + proposals, users or scoped API keys)
+app.use("/api/notifications", authenticate, notificationRoutes); // notification channels
+app.use("/api/oncall", authenticate, oncallRoutes); // schedules & escalation policies
+app.use("/api/users", authenticate, userRoutes); // user management (admin)
+app.use("/api/api-keys", authenticate, apiKeyRoutes); // API key management (admin)
+
+// Malformed JSON sent to the MCP endpoint gets a JSON-RPC parse error
+app.use("/api/mcp", (err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+    }
+    next(err);
+});
 
 app.get("/", (_, res) => {
     res.status(200).json({
@@ -0,0 +1,173 @@
+/**
+ * Circuit Breaker
+ *
+ * One breaker per provider/model keeps a failing model out of the chain for a
+ * while instead of disabling it until the process restarts:
+ * - closed: requests go through; `failureThreshold` consecutive failures open it
+ * - open: requests are skipped until the cooldown has passed
+ * - half_open: one probe request is let through; success closes the breaker,
+ *   failure opens it again with a doubled cooldown (up to `maxCooldown`)
+ *
+ * Some failures open the breaker immediately:
+ * - 401/403 (bad or rotated key): `authCooldown`, then probed like any other
+ * - 429 and 5xx: the provider's Retry-After when it sends one, otherwise the
+ *   backed-off cooldown
+ *
+ * Each breaker also keeps the outcomes of its last `windowSize` requests for
+ * the error rate and average latency shown by the status route.
+ */
+
+const DEFAULT_OPTIONS = {
+    failureThreshold: 3,
+    cooldown: 30 * 1000,
+    maxCooldown: 10 * 60 * 1000,
+    authCooldown: 5 * 60 * 1000,
+    windowSize: 20,
+};
+
+/**
+ * Retry-After header in milliseconds (delta-seconds or an HTTP date)
+ *
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.state = "closed";
+        this.consecutiveFailures = 0;
+        this.openCount = 0; // consecutive openings, for the backoff
+        this.openedAt = null;
+        this.nextAttemptAt = null;
+        this.probing = false;
+        this.lastFailure = null;
+        this.lastSuccessAt = null;
+        this.outcomes = []; // [{ ok, latency }] of the last windowSize requests
+        this.totals = { requests: 0, failures: 0 };
+    }
+
+    /**
+     * Whether a request may be sent now (claims the probe slot when half-open)
+     */
+    allowRequest(now = Date.now()) {
+        if (this.state === "open" && now >= this.nextAttemptAt) {
+            this.state = "half_open";
+        }
+        if (this.state === "half_open") {
+            if (this.probing) return false;
+            this.probing = true;
+            return true;
+        }
+        return this.state === "closed";
+    }
+
+    /**
+     * Whether a request would be allowed, without claiming anything
+     */
+    isAvailable(now = Date.now()) {
+        if (this.state === "closed") return true;
+        if (this.state === "half_open") return !this.probing;
+        return now >= this.nextAttemptAt;
+    }
+
+    /**
+     * Give back a claimed probe without an outcome (the request was cancelled)
+     */
+    release() {
+        this.probing = false;
+    }
+
+    recordSuccess(latency) {
+        this.record(true, latency);
+        this.state = "closed";
+        this.consecutiveFailures = 0;
+        this.openCount = 0;
+        this.openedAt = null;
+        this.nextAttemptAt = null;
+        this.probing = false;
+        this.lastSuccessAt = new Date();
+    }
+
+    /**
+     * @param {Error} error - Provider error (status and retryAfter when it came from an HTTP response)
+     * @param {number} latency - Request duration in ms
+     */
+    recordFailure(error, latency) {
+        this.record(false, latency);
+        this.consecutiveFailures++;
+        this.lastFailure = {
+            at: new Date(),
+            status: error.status || null,
+            message: error.message,
+        };
+
+        const { status } = error;
+        if (status === 401 || status === 403) {
+            this.open(this.options.authCooldown);
+        } else if (status === 429 || status >= 500) {
+            this.open(error.retryAfter ?? this.backoff());
+        } else if (this.state === "half_open" || this.consecutiveFailures >= this.options.failureThreshold) {
+            this.open(this.backoff());
+        }
+        this.probing = false;
+    }
+
+    backoff() {
+        return Math.min(this.options.cooldown * 2 ** this.openCount, this.options.maxCooldown);
+    }
+
+    open(cooldown) {
+        const now = Date.now();
+        this.state = "open";
+        this.openCount++;
+        this.openedAt = new Date(now);
+        this.nextAttemptAt = now + cooldown;
+    }
+
+    record(ok, latency) {
+        this.totals.requests++;
+        if (!ok) this.totals.failures++;
+        this.outcomes.push({ ok, latency });
+        if (this.outcomes.length > this.options.windowSize) this.outcomes.shift();
+    }
+
+    getStatus() {
+        const failures = this.outcomes.filter((outcome) => !outcome.ok).length;
+        const latencies = this.outcomes.map((outcome) => outcome.latency).filter((latency) => latency !== undefined);
+
+        return {
+            name: this.name,
+            state: this.state === "open" && Date.now() >= this.nextAttemptAt ? "half_open" : this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            errorRate: this.outcomes.length ? Math.round((failures / this.outcomes.length) * 100) / 100 : 0,
+            averageLatency: latencies.length
+                ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+                : null,
+            window: this.outcomes.length,
+            totals: { ...this.totals },
+            openedAt: this.openedAt,
+            nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt) : null,
+            lastFailure: this.lastFailure,
+            lastSuccessAt: this.lastSuccessAt,
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    parseRetryAfter,
+};
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const { validate, describeErrors } = require("../services/validation.service");
+
+/**
+ * LLM Configuration
+ *
+ * Providers and the per-task fallback chains come from (first match wins):
+ * - LLM_CONFIG: inline JSON
+ * - LLM_CONFIG_FILE: path to a JSON file
+ * - the default: NVIDIA NIM (NIM_BASE_URL, NVIDIA_NIM_API_KEY) with
+ *   Llama 3.1 8B Instruct, then Mistral 7B Instruct, for every task
+ *
+ * Shape:
+ * {
+ *   "providers": [
+ *     { "name": "nim", "baseUrl": "https://integrate.api.nvidia.com/v1", "apiKeyEnv": "NVIDIA_NIM_API_KEY", "timeout": 15000 },
+ *     { "name": "ollama", "baseUrl": "http://localhost:11434/v1", "timeout": 60000 }
+ *   ],
+ *   "tasks": {
+ *     "severity": [{ "provider": "nim", "model": "meta/llama-3.1-8b-instruct" }, { "provider": "ollama", "model": "llama3.1" }],
+ *     "default": [{ "provider": "ollama", "model": "llama3.1" }]
+ *   }
+ * }
+ *
+ * Tasks: "analysis" (the whole analysis as one JSON object) and the
+ * per-field fallbacks "severity", "category" and "rootCause". Tasks without
+ * their own chain use "default". Chain entries may override timeout,
+ * temperature and maxTokens, and set "jsonMode": true to send
+ * response_format json_object to servers that support it. The rule-based analysis stays the final
+ * tier after every chain.
+ *
+ * An optional "circuitBreaker" object overrides the breaker options
+ * (failureThreshold, cooldown, maxCooldown, authCooldown in ms, windowSize)
+ * for every provider/model.
+ */
+
+const TASKS = ["analysis", "severity", "category", "rootCause"];
+
+// Request defaults per task (a chain entry or provider timeout overrides them)
+const TASK_DEFAULTS = {
+    analysis: { temperature: 0.2, maxTokens: 600, timeout: 30000 },
+    severity: { temperature: 0.3, maxTokens: 10, timeout: 15000 },
+    category: { temperature: 0.3, maxTokens: 20, timeout: 15000 },
+    rootCause: { temperature: 0.3, maxTokens: 200, timeout: 20000 },
+    default: { temperature: 0.3, maxTokens: 200, timeout: 20000 },
+};
+
+const chainSchema = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            provider: { type: "string", minLength: 1 },
+            model: { type: "string", minLength: 1 },
+            timeout: { type: "integer", minimum: 100 },
+            temperature: { type: "number", minimum: 0, maximum: 2 },
+            maxTokens: { type: "integer", minimum: 1 },
+            jsonMode: { type: "boolean" },
+        },
+        required: ["provider", "model"],
+        additionalProperties: false,
+    },
+};
+
+const configSchema = {
+    type: "object",
+    properties: {
+        providers: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string", minLength: 1 },
+                    type: { type: "string", enum: ["openai-compatible"], default: "openai-compatible" },
+                    baseUrl: { type: "string", pattern: "^https?://" },
+                    apiKey: { type: "string" },
+                    apiKeyEnv: { type: "string", minLength: 1 },
+                    headers: { type: "object", additionalProperties: { type: "string" } },
+                    timeout: { type: "integer", minimum: 100 },
+                },
+                required: ["name", "baseUrl"],
+                additionalProperties: false,
+            },
+        },
+        tasks: {
+            type: "object",
+            properties: Object.fromEntries([...TASKS, "default"].map((task) => [task, chainSchema])),
+            additionalProperties: false,
+        },
+        circuitBreaker: {
+            type: "object",
+            properties: {
+                failureThreshold: { type: "integer", minimum: 1 },
+                cooldown: { type: "integer", minimum: 0 },
+                maxCooldown: { type: "integer", minimum: 0 },
+                authCooldown: { type: "integer", minimum: 0 },
+                windowSize: { type: "integer", minimum: 1 },
+            },
+            additionalProperties: false,
+        },
+    },
+    required: ["providers", "tasks"],
+    additionalProperties: false,
+};
+
+function defaultConfig(env) {
+    const nimChain = (timeout) => [
+        { provider: "nim", model: "meta/llama-3.1-8b-instruct", timeout }, // best for classification + reasoning
+        { provider: "nim", model: "mistralai/mistral-7b-instruct", timeout }, // backup for quick classification
+    ];
+
+    return {
+        providers: [{
+            name: "nim",
+            type: "openai-compatible",
+            baseUrl: env.NIM_BASE_URL || "https://integrate.api.nvidia.com/v1",
+            apiKeyEnv: "NVIDIA_NIM_API_KEY",
+        }],
+        tasks: {
+            analysis: nimChain(30000),
+            severity: nimChain(15000),
+            category: nimChain(15000),
+            rootCause: nimChain(20000),
+        },
+    };
+}
+
+/**
+ * Load and validate the LLM configuration
+ *
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {{providers: array, tasks: object, source: string}}
+ * @throws {Error} If the configuration is not valid JSON or doesn't match the schema
+ */
+function loadLlmConfig(env = process.env) {
+    let config;
+    let source;
+
+    if (env.LLM_CONFIG) {
+        config = JSON.parse(env.LLM_CONFIG);
+        source = "LLM_CONFIG";
+    } else if (env.LLM_CONFIG_FILE) {
+        config = JSON.parse(fs.readFileSync(env.LLM_CONFIG_FILE, "utf8"));
+        source = env.LLM_CONFIG_FILE;
+    } else {
+        config = defaultConfig(env);
+        source = "default";
+    }
+
+    const { valid, errors } = validate(configSchema, config);
+    if (!valid) {
+        throw new Error(`Invalid LLM configuration (${source}): ${describeErrors(errors)}`);
+    }
+
+    const names = new Set(config.providers.map((provider) => provider.name));
+    for (const [task, chain] of Object.entries(config.tasks)) {
+        const unknown = chain.find((entry) => !names.has(entry.provider));
+        if (unknown) {
+            throw new Error(`Invalid LLM configuration (${source}): task '${task}' uses unknown provider '${unknown.provider}'`);
+        }
+    }
+
+    return { ...config, source };
+}
+
+module.exports = {
+    TASKS,
+    TASK_DEFAULTS,
+    loadLlmConfig,
+};
@@ -0,0 +1,177 @@
+const axios = require("axios");
+const { parseRetryAfter } = require("./circuitBreaker");
+
+/**
+ * LLM Provider Adapters
+ *
+ * An adapter turns a provider config into an object with
+ *   chat({ model, messages, temperature, maxTokens, timeout, jsonMode, signal }) -> Promise<{ text, usage }>
+ * that resolves to the assistant message text and the token usage
+ * ({ promptTokens, completionTokens, totalTokens }, or null when the server
+ * doesn't report it), or throws, and
+ *   chatStream({ ...the same, onToken }) -> Promise<{ text, usage }>
+ * which requests `stream: true` and calls onToken(delta) for each piece of
+ * content as it arrives. HTTP errors keep the response status on
+ * `error.status` and Retry-After (ms) on `error.retryAfter`.
+ *
+ * openai-compatible: POST {baseUrl}/chat/completions - NVIDIA NIM, vLLM,
+ * Ollama, OpenAI and anything else speaking the chat-completions API. The key
+ * is looked up on every request (`apiKey`, else the `apiKeyEnv` variable).
+ */
+
+function toUsage(usage) {
+    return usage
+        ? {
+            promptTokens: usage.prompt_tokens ?? null,
+            completionTokens: usage.completion_tokens ?? null,
+            totalTokens: usage.total_tokens ?? null,
+        }
+        : null;
+}
+
+function withResponseStatus(error) {
+    error.status = error.response?.status;
+    error.retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+    return error;
+}
+
+/**
+ * Chat-completions chunks of a `stream: true` response body
+ *
+ * Yields the parsed JSON of each "data:" line until "data: [DONE]".
+ */
+async function* readEventStream(stream) {
+    let buffer = "";
+    for await (const chunk of stream) {
+        buffer += chunk.toString("utf8");
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith("data:")) continue;
+            const data = line.slice(5).trim();
+            if (data === "[DONE]") return;
+            try {
+                yield JSON.parse(data);
+            } catch {
+                // Ignore keep-alive or malformed lines
+            }
+        }
+    }
+}
+
+function createOpenAICompatibleProvider(config, env = process.env) {
+    const getApiKey = () => config.apiKey || (config.apiKeyEnv ? env[config.apiKeyEnv] : "");
+    const baseUrl = config.baseUrl.replace(/\/$/, "");
+
+    const buildRequest = ({ model, messages, temperature, maxTokens, jsonMode }) => ({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(jsonMode && { response_format: { type: "json_object" } }),
+    });
+
+    const buildHeaders = () => {
+        const headers = { "Content-Type": "application/json", ...config.headers };
+        const apiKey = getApiKey();
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+        return headers;
+    };
+
+    return {
+        name: config.name,
+        type: "openai-compatible",
+        baseUrl,
+        // A provider that expects a key from the environment is unusable without it
+        get configured() {
+            return !config.apiKeyEnv || Boolean(getApiKey());
+        },
+
+        async chat(options) {
+            let data;
+            try {
+                ({ data } = await axios.post(
+                    `${baseUrl}/chat/completions`,
+                    buildRequest(options),
+                    {
+                        headers: buildHeaders(),
+                        timeout: options.timeout || config.timeout,
+                        signal: options.signal,
+                    }
+                ));
+            } catch (error) {
+                throw withResponseStatus(error);
+            }
+
+            const content = data?.choices?.[0]?.message?.content;
+            if (typeof content !== "string") {
+                throw new Error("Invalid response format (no choices[0].message.content)");
+            }
+            return { text: content, usage: toUsage(data.usage) };
+        },
+
+        async chatStream(options) {
+            const { signal, onToken } = options;
+
+            // axios' timeout stops applying once the response starts; bound the whole stream
+            const controller = new AbortController();
+            const timeout = options.timeout || config.timeout;
+            const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+            const abort = () => controller.abort();
+            signal?.addEventListener("abort", abort);
+
+            let text = "";
+            let usage = null;
+            try {
+                const response = await axios.post(
+                    `${baseUrl}/chat/completions`,
+                    { ...buildRequest(options), stream: true },
+                    {
+                        headers: buildHeaders(),
+                        responseType: "stream",
+                        signal: controller.signal,
+                    }
+                );
+
+                for await (const chunk of readEventStream(response.data)) {
+                    const delta = chunk?.choices?.[0]?.delta?.content;
+                    if (typeof delta === "string" && delta) {
+                        text += delta;
+                        onToken?.(delta);
+                    }
+                    if (chunk?.usage) usage = toUsage(chunk.usage);
+                }
+            } catch (error) {
+                if (controller.signal.aborted && !signal?.aborted) {
+                    error.message = `timeout of ${timeout}ms exceeded`;
+                }
+                throw withResponseStatus(error);
+            } finally {
+                clearTimeout(timer);
+                signal?.removeEventListener("abort", abort);
+            }
+
+            return { text, usage };
+        },
+    };
+}
+
+const ADAPTERS = {
+    "openai-compatible": createOpenAICompatibleProvider,
+};
+
+/**
+ * Create a provider from its config
+ */
+function createProvider(config, env) {
+    const adapter = ADAPTERS[config.type || "openai-compatible"];
+    if (!adapter) {
+        throw new Error(`Unknown LLM provider type '${config.type}'`);
+    }
+    return adapter(config, env);
+}
+
+module.exports = {
+    createProvider,
+};
@@ -0,0 +1,225 @@
+const { TASK_DEFAULTS, loadLlmConfig } = require("./config");
+const { createProvider } = require("./providers");
+const { CircuitBreaker } = require("./circuitBreaker");
+
+/**
+ * LLM Router
+ *
+ * Runs a task (analysis, severity, category, rootCause) through its ordered fallback
+ * chain of provider/model entries (see src/llm/config.js):
+ * - each entry is tried in turn until one returns a response the caller's
+ *   parser accepts
+ * - providers missing their API key are skipped
+ * - each provider/model has a circuit breaker (see ./circuitBreaker.js);
+ *   entries whose breaker is open are skipped until it lets a probe through
+ * - if every entry fails, complete() returns null and the caller uses its
+ *   rule-based fallback
+ */
+class LlmRouter {
+    constructor(config) {
+        this.configure(config);
+    }
+
+    /**
+     * (Re)build providers from a configuration
+     */
+    configure(config) {
+        this.config = config;
+        this.providers = new Map(config.providers.map((providerConfig) => [
+            providerConfig.name,
+            { config: providerConfig, adapter: createProvider(providerConfig) },
+        ]));
+        this.breakers = new Map(); // "provider/model" -> CircuitBreaker
+    }
+
+    getBreaker(entry) {
+        const key = `${entry.provider}/${entry.model}`;
+        if (!this.breakers.has(key)) {
+            this.breakers.set(key, new CircuitBreaker(key, this.config.circuitBreaker));
+        }
+        return this.breakers.get(key);
+    }
+
+    /**
+     * Close circuit breakers (e.g. after fixing a provider)
+     *
+     * @param {string} [key] - "provider/model"; all breakers when omitted
+     * @returns {boolean} false if the given breaker doesn't exist
+     */
+    resetBreakers(key) {
+        if (!key) {
+            this.breakers.forEach((breaker) => breaker.reset());
+            return true;
+        }
+        const breaker = this.breakers.get(key);
+        breaker?.reset();
+        return Boolean(breaker);
+    }
+
+    /**
+     * Reload the configuration (re-reads LLM_CONFIG_FILE; environment
+     * variables keep the values the process started with)
+     */
+    reload() {
+        this.configure(loadLlmConfig());
+    }
+
+    getChain(task) {
+        return this.config.tasks[task] || this.config.tasks.default || [];
+    }
+
+    /**
+     * Whether any entry of the task's chain can be tried
+     */
+    isAvailable(task) {
+        return this.getChain(task).some((entry) => {
+            const provider = this.providers.get(entry.provider);
+            return provider.adapter.configured && this.getBreaker(entry).isAvailable();
+        });
+    }
+
+    /**
+     * Providers, the tasks using each model and the models' breaker states
+     */
+    getStatus() {
+        const models = new Map();
+        for (const [task, chain] of Object.entries(this.config.tasks)) {
+            for (const entry of chain) {
+                const key = `${entry.provider}/${entry.model}`;
+                if (!models.has(key)) {
+                    models.set(key, { provider: entry.provider, model: entry.model, tasks: [] });
+                }
+                models.get(key).tasks.push(task);
+            }
+        }
+
+        return {
+            source: this.config.source,
+            providers: [...this.providers.values()].map(({ config, adapter }) => ({
+                name: config.name,
+                type: adapter.type,
+                baseUrl: adapter.baseUrl,
+                configured: adapter.configured,
+            })),
+            models: [...models.values()].map((model) => ({
+                ...model,
+                configured: this.providers.get(model.provider).adapter.configured,
+                ...this.getBreaker(model).getStatus(),
+            })),
+        };
+    }
+
+    /**
+     * Complete a prompt with the task's fallback chain
+     *
+     * @param {string} task - "analysis", "severity", "category" or "rootCause"
+     * @param {string|array} prompt - User prompt, or a chat messages array
+     * @param {function} [parse] - Maps the response text to a result; null/undefined tries the next entry
+     * @param {object} [options]
+     * @param {array} [options.calls] - Each attempted request is appended to it
+     *   ({ task, provider, model, ok, latency, usage, error })
+     * @param {function} [options.onToken] - Streams the response: called with each content delta
+     * @param {function} [options.onAttempt] - Called with { task, provider, model } before each
+     *   request (tokens streamed by an earlier attempt are then void)
+     * @param {AbortSignal} [options.signal] - Stops the chain and cancels the request in flight
+     *   (e.g. the client disconnected)
+     * @returns {Promise<{result: *, provider: string, model: string, latency: number, usage: object|null}|null>} null if every entry failed
+     */
+    async complete(task, prompt, parse = (text) => text, { calls, onToken, onAttempt, signal } = {}) {
+        const defaults = TASK_DEFAULTS[task] || TASK_DEFAULTS.default;
+        const messages = typeof prompt === "string" ? [{ role: "user", content: prompt }] : prompt;
+
+        for (const entry of this.getChain(task)) {
+            if (signal?.aborted) return null;
+
+            const provider = this.providers.get(entry.provider);
+            const breaker = this.getBreaker(entry);
+            const label = breaker.name;
+
+            if (!provider.adapter.configured) {
+                console.log(`⏭️ [LLM] Skipping ${label} for ${task} (not configured)`);
+                continue;
+            }
+            if (!breaker.allowRequest()) {
+                console.log(`⏭️ [LLM] Skipping ${label} for ${task} (circuit ${breaker.state})`);
+                continue;
+            }
+
+            console.log(`🤖 [LLM] Trying ${label} for ${task}${breaker.state === "half_open" ? " (probe)" : ""}...`);
+            const startedAt = Date.now();
+            const call = { task, provider: entry.provider, model: entry.model, ok: false, latency: null, usage: null };
+            calls?.push(call);
+            onAttempt?.({ task, provider: entry.provider, model: entry.model });
+            try {
+                const request = {
+                    model: entry.model,
+                    messages,
+                    temperature: entry.temperature ?? defaults.temperature,
+                    maxTokens: entry.maxTokens ?? defaults.maxTokens,
+                    timeout: entry.timeout || provider.config.timeout || defaults.timeout,
+                    jsonMode: entry.jsonMode,
+                    signal,
+                };
+                const { text, usage } = onToken
+                    ? await provider.adapter.chatStream({ ...request, onToken })
+                    : await provider.adapter.chat(request);
+                call.latency = Date.now() - startedAt;
+                call.usage = usage;
+                // The model answered; an unparseable answer isn't a provider failure
+                breaker.recordSuccess(call.latency);
+
+                const result = parse(text.trim());
+                if (result !== null && result !== undefined) {
+                    call.ok = true;
+                    console.log(`✅ [LLM] ${label} answered ${task}`);
+                    return { result, provider: entry.provider, model: entry.model, latency: call.latency, usage };
+                }
+                call.error = "Unexpected response";
+                console.log(`❌ [LLM] ${label} returned an unexpected response for ${task}: "${text.trim().slice(0, 100)}"`);
+            } catch (error) {
+                call.latency = Date.now() - startedAt;
+                call.error = error.message;
+                if (signal?.aborted) {
+                    // Cancelled by the caller, not a provider failure
+                    breaker.release();
+                    console.log(`⏹️ [LLM] ${label} - Cancelled`);
+                    return null;
+                }
+                breaker.recordFailure(error, call.latency);
+                const circuit = breaker.state === "open"
+                    ? ` Circuit open until ${new Date(breaker.nextAttemptAt).toISOString()}.`
+                    : "";
+
+                if (error.status === 401 || error.status === 403) {
+                    console.log(`❌ [LLM] ${label} - Authentication failed (${error.status}).${circuit}`);
+                } else if (error.status === 429) {
+                    console.log(`❌ [LLM] ${label} - Rate limited (429).${circuit}`);
+                } else if (error.status) {
+                    console.log(`❌ [LLM] ${label} - API error (${error.status}): ${error.message}${circuit}`);
+                } else {
+                    console.log(`❌ [LLM] ${label} - Request failed: ${error.message}${circuit}`);
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Create a router (e.g. pointed at a local mock server)
+ *
+ * @param {object} [config] - Configuration; loaded from the environment when omitted
+ */
+function createLlmRouter(config = loadLlmConfig()) {
+    return new LlmRouter(config);
+}
+
+// Shared instance configured from the environment
+const llmRouter = createLlmRouter();
+
+module.exports = {
+    LlmRouter,
+    createLlmRouter,
+    llmRouter,
+};
@@ -0,0 +1,95 @@
+const { validate, describeErrors } = require("../services/validation.service");
+
+/**
+ * Structured Output Parsing
+ *
+ * Models asked for JSON don't always answer with bare JSON: they wrap it in
+ * ```json fences, add a sentence before or after it, or use smart quotes.
+ * extractJson() finds the first complete JSON object in the text and
+ * parseStructured() validates it against a JSON Schema, so callers get either
+ * a valid object or null (and try the next model or their fallback).
+ */
+
+/**
+ * First balanced {...} in a text, skipping braces inside strings
+ *
+ * @returns {string|null}
+ */
+function findJsonObject(text) {
+    const start = text.indexOf("{");
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === "\\") escaped = true;
+            else if (char === "\"") inString = false;
+        } else if (char === "\"") {
+            inString = true;
+        } else if (char === "{") {
+            depth++;
+        } else if (char === "}" && --depth === 0) {
+            return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse the JSON object in a model response
+ *
+ * @param {string} text - Raw response
+ * @returns {object|null} null if there's no parseable object
+ */
+function extractJson(text) {
+    if (typeof text !== "string") return null;
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidates = [fenced?.[1], text]
+        .filter(Boolean)
+        .map((candidate) => findJsonObject(candidate.replace(/[“”]/g, "\"")))
+        .filter(Boolean);
+
+    for (const candidate of candidates) {
+        try {
+            const value = JSON.parse(candidate);
+            if (value && typeof value === "object" && !Array.isArray(value)) return value;
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Extract and validate a JSON object from a model response
+ *
+ * @param {string} text - Raw response
+ * @param {object} schema - JSON Schema (defaults are applied)
+ * @param {function} [normalize] - Applied to the parsed object before validation
+ * @returns {object|null}
+ */
+function parseStructured(text, schema, normalize = (value) => value) {
+    const value = extractJson(text);
+    if (!value) {
+        console.log("❌ [LLM] Response contains no JSON object");
+        return null;
+    }
+
+    const normalized = normalize(value);
+    const { valid, errors } = validate(schema, normalized);
+    if (!valid) {
+        console.log(`❌ [LLM] Response doesn't match the schema: ${describeErrors(errors)}`);
+        return null;
+    }
+    return normalized;
+}
+
+module.exports = {
+    extractJson,
+    parseStructured,
+};
@@ -0,0 +1,305 @@
+const mongoose = require("mongoose");
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+
+/**
+ * MCP Prompt Registry (READ-ONLY)
+ *
+ * Parameterised prompts for common incident workflows. Each prompt is filled
+ * server-side from the incident, its timeline and its logs, so agents get
+ * the same context every time instead of hand-pasted summaries.
+ *
+ * - triage-incident
+ * - draft-status-update
+ * - write-postmortem
+ * - compare-similar-incidents
+ */
+
+const MAX_LOGS = 50;
+const MAX_SIMILAR = 5;
+
+const INCIDENT_ID_ARGUMENT = {
+    name: "incidentId",
+    description: "Incident MongoDB ObjectId",
+    required: true,
+};
+
+/**
+ * Error for prompt arguments that are missing or don't resolve
+ */
+function invalidPromptArgument(message) {
+    const error = new Error(message);
+    error.invalidPromptArgument = true;
+    return error;
+}
+
+async function loadIncident(incidentId) {
+    if (!mongoose.isValidObjectId(incidentId)) {
+        throw invalidPromptArgument(`Invalid incidentId '${incidentId}'`);
+    }
+
+    const incident = await Incident.findById(incidentId);
+    if (!incident) {
+        throw invalidPromptArgument(`Incident not found: ${incidentId}`);
+    }
+    return incident;
+}
+
+async function loadLogs(incident, limit = MAX_LOGS) {
+    const logs = await Log.find({ incidentId: incident._id }).sort({ createdAt: -1 }).limit(limit);
+    return logs.reverse(); // oldest first reads naturally
+}
+
+function formatDuration(ms) {
+    if (typeof ms !== "number") return "n/a";
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return `${hours}h ${minutes % 60}m`;
+}
+
+function formatIncident(incident) {
+    const lines = [
+        `Title: ${incident.title}`,
+        `ID: ${incident._id}`,
+        `Service: ${incident.serviceName || "-"}`,
+        `Status: ${incident.status}`,
+        `Severity: ${incident.severity}`,
+        `Category: ${incident.category || "-"}`,
+        `Opened: ${incident.createdAt?.toISOString?.() || "-"}`,
+    ];
+    if (incident.assignee) lines.push(`Assignee: ${incident.assignee}`);
+    if (incident.acknowledgedAt) {
+        lines.push(`Acknowledged: ${incident.acknowledgedAt.toISOString()} by ${incident.acknowledgedBy} (after ${formatDuration(incident.timeToAcknowledge)})`);
+    }
+    if (incident.resolvedAt) {
+        lines.push(`Resolved: ${incident.resolvedAt.toISOString()} (after ${formatDuration(incident.resolutionTime)})`);
+    }
+    if (incident.description) lines.push("", `Description: ${incident.description}`);
+    return lines.join("\n");
+}
+
+function formatTimeline(incident) {
+    const timeline = incident.timeline || [];
+    if (timeline.length === 0) return "(no timeline events)";
+
+    return timeline.map((entry) => {
+        const notes = entry.details?.notes ? ` - ${entry.details.notes}` : "";
+        const change = entry.details?.from !== undefined && entry.details?.to !== undefined
+            ? ` (${entry.details.from} -> ${entry.details.to})`
+            : "";
+        return `- ${entry.timestamp?.toISOString?.() || "?"} [${entry.actor}] ${entry.event}${change}${notes}`;
+    }).join("\n");
+}
+
+function formatLogs(logs) {
+    if (logs.length === 0) return "(no logs)";
+    return logs.map((log) => `- ${log.createdAt?.toISOString?.() || "?"} ${log.level.toUpperCase()}: ${log.message}`).join("\n");
+}
+
+function userMessage(text) {
+    return { role: "user", content: { type: "text", text } };
+}
+
+const PROMPT_DEFINITIONS = [
+    {
+        name: "triage-incident",
+        title: "Triage incident",
+        description: "Assess severity, likely root cause and the next investigation steps for an incident",
+        arguments: [INCIDENT_ID_ARGUMENT],
+        build: async ({ incidentId }) => {
+            const incident = await loadIncident(incidentId);
+            const logs = await loadLogs(incident);
+
+            return {
+                description: `Triage: ${incident.title}`,
+                messages: [userMessage([
+                    "You are the on-call engineer triaging a production incident. Using only the data below:",
+                    "1. Say whether the current severity and category look right, and why.",
+                    "2. List the most likely root causes, most likely first, with the evidence for each.",
+                    "3. Propose the next 3-5 concrete investigation steps.",
+                    "4. Say what additional data would change your assessment.",
+                    "",
+                    "## Incident",
+                    formatIncident(incident),
+                    "",
+                    "## Timeline",
+                    formatTimeline(incident),
+                    "",
+                    `## Logs (last ${MAX_LOGS}, oldest first)`,
+                    formatLogs(logs),
+                ].join("\n"))],
+            };
+        },
+    },
+    {
+        name: "draft-status-update",
+        title: "Draft status page update",
+        description: "Draft a status page update for an incident",
+        arguments: [
+            INCIDENT_ID_ARGUMENT,
+            {
+                name: "audience",
+                description: "\"customers\" (default) or \"internal\"",
+                required: false,
+            },
+        ],
+        build: async ({ incidentId, audience = "customers" }) => {
+            if (!["customers", "internal"].includes(audience)) {
+                throw invalidPromptArgument("audience must be 'customers' or 'internal'");
+            }
+            const incident = await loadIncident(incidentId);
+
+            const guidance = audience === "customers"
+                ? "Write for customers: plain language, no internal hostnames, log lines or blame. Describe impact, what we are doing, and when the next update will come."
+                : "Write for internal stakeholders: include the affected service, current hypothesis, owner and next steps.";
+
+            return {
+                description: `Status update (${audience}): ${incident.title}`,
+                messages: [userMessage([
+                    `Draft a status page update for the incident below. ${guidance}`,
+                    "Keep it under 120 words and start with a one-line headline. Use the incident status to pick the phase (open: Investigating, investigating: Identified/Monitoring, resolved: Resolved).",
+                    "",
+                    "## Incident",
+                    formatIncident(incident),
+                    "",
+                    "## Timeline",
+                    formatTimeline(incident),
+                ].join("\n"))],
+            };
+        },
+    },
+    {
+        name: "write-postmortem",
+        title: "Write postmortem",
+        description: "Write a blameless postmortem for an incident from its timeline and logs",
+        arguments: [INCIDENT_ID_ARGUMENT],
+        build: async ({ incidentId }) => {
+            const incident = await loadIncident(incidentId);
+            const logs = await loadLogs(incident);
+
+            return {
+                description: `Postmortem: ${incident.title}`,
+                messages: [userMessage([
+                    "Write a blameless postmortem for the incident below with these sections:",
+                    "Summary, Impact, Detection, Timeline (UTC), Root Cause, Resolution, What Went Well, What Went Wrong, Action Items (owner + priority).",
+                    "Base every statement on the data provided and mark anything you infer as an assumption.",
+                    ...(incident.status !== "resolved" ? ["Note: the incident is not resolved yet - mark the postmortem as a draft."] : []),
+                    "",
+                    "## Incident",
+                    formatIncident(incident),
+                    "",
+                    "## Timeline",
+                    formatTimeline(incident),
+                    "",
+                    `## Logs (last ${MAX_LOGS}, oldest first)`,
+                    formatLogs(logs),
+                ].join("\n"))],
+            };
+        },
+    },
+    {
+        name: "compare-similar-incidents",
+        title: "Compare with similar past incidents",
+        description: "Compare an incident with resolved incidents of the same service or category",
+        arguments: [
+            INCIDENT_ID_ARGUMENT,
+            {
+                name: "limit",
+                description: `How many past incidents to include (1-${MAX_SIMILAR}, default ${MAX_SIMILAR})`,
+                required: false,
+            },
+        ],
+        build: async ({ incidentId, limit }) => {
+            const count = limit === undefined ? MAX_SIMILAR : parseInt(limit, 10);
+            if (!(count >= 1 && count <= MAX_SIMILAR)) {
+                throw invalidPromptArgument(`limit must be between 1 and ${MAX_SIMILAR}`);
+            }
+            const incident = await loadIncident(incidentId);
+
+            // A null serviceId would match every incident without a service
+            const matches = [{ category: incident.category }];
+            if (incident.serviceId) matches.unshift({ serviceId: incident.serviceId });
+
+            const similar = await Incident.find({
+                _id: { $ne: incident._id },
+                status: "resolved",
+                $or: matches,
+            })
+                .sort({ resolvedAt: -1 })
+                .limit(count);
+
+            const pastSections = similar.length > 0
+                ? similar.map((past, i) => [
+                    `### Past incident ${i + 1}`,
+                    formatIncident(past),
+                    "",
+                    "Timeline:",
+                    formatTimeline(past),
+                ].join("\n")).join("\n\n")
+                : "(no resolved incidents for this service or category)";
+
+            return {
+                description: `Similar incidents: ${incident.title}`,
+                messages: [userMessage([
+                    "Compare the current incident with the resolved incidents below.",
+                    "For each past incident say how similar it is (symptoms, service, category) and what resolved it.",
+                    "Then say whether any past resolution is likely to apply now, and what to try first.",
+                    "",
+                    "## Current incident",
+                    formatIncident(incident),
+                    "",
+                    "## Current timeline",
+                    formatTimeline(incident),
+                    "",
+                    "## Resolved incidents",
+                    pastSections,
+                ].join("\n"))],
+            };
+        },
+    },
+];
+
+const MCP_PROMPTS = PROMPT_DEFINITIONS.reduce((acc, prompt) => {
+    acc[prompt.name] = prompt;
+    return acc;
+}, {});
+
+/**
+ * Prompt metadata for prompts/list
+ */
+function listPrompts() {
+    return PROMPT_DEFINITIONS.map(({ name, title, description, arguments: args }) => ({
+        name,
+        title,
+        description,
+        arguments: args,
+    }));
+}
+
+/**
+ * Fill a prompt
+ *
+ * @param {string} name - Prompt name
+ * @param {object} args - Prompt arguments (string values)
+ * @returns {Promise<{description: string, messages: array}>} MCP prompts/get result
+ * @throws {Error} With `invalidPromptArgument` set for unknown prompts or bad arguments
+ */
+async function getPrompt(name, args = {}) {
+    const prompt = MCP_PROMPTS[name];
+    if (!prompt) {
+        throw invalidPromptArgument(`Unknown prompt '${name}'`);
+    }
+
+    const missing = prompt.arguments.filter((arg) => arg.required && !args[arg.name]).map((arg) => arg.name);
+    if (missing.length > 0) {
+        throw invalidPromptArgument(`Missing required argument(s) for prompt '${name}': ${missing.join(", ")}`);
+    }
+
+    return prompt.build(args);
+}
+
+module.exports = {
+    listPrompts,
+    getPrompt,
+};
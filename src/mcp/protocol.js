@@ -0,0 +1,430 @@
+const { TOOL_DEFINITIONS, MCP_TOOLS } = require("./toolRegistry");
+const { RESOURCE_TEMPLATES, listResources, isKnownResourceUri, readResource } = require("./resources");
+const { listPrompts, getPrompt } = require("./prompts");
+const { hasScope } = require("../services/apiKey.service");
+const { validate, describeErrors } = require("../services/validation.service");
+
+/**
+ * MCP Protocol Core (transport-independent)
+ *
+ * JSON-RPC message handling shared by the HTTP transport
+ * (api/mcp.routes.js) and the stdio entry point (mcp/stdio.js).
+ *
+ * Handlers receive a context object describing the caller:
+ * - transport: "streamable-http" or "stdio"
+ * - apiKey: ApiKey document for key callers (tools are filtered by scope)
+ * - user: User document for logged-in HTTP callers
+ * - session: MCP session state (protocol version, client info, initialized,
+ *   resource subscriptions) - absent for stateless HTTP requests
+ */
+
+/**
+ * MCP Server Metadata
+ * 
+ * Returned from initialize (serverInfo) and the legacy server/info method.
+ */
+const MCP_SERVER_INFO = {
+    name: "ai-incident-mcp",
+    version: "1.0.0",
+    protocol: "mcp-jsonrpc-2.0",
+    description: "Read-only MCP server exposing incident, log and SLO tools for incident analysis",
+};
+
+// Newest first - the first entry is offered when the client asks for an unknown version
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+/**
+ * Capabilities advertised in initialize
+ *
+ * Resource subscriptions need a transport that can push notifications, i.e.
+ * a Streamable HTTP session (the stdio process does not see changes made by
+ * the HTTP server).
+ */
+function getServerCapabilities(context) {
+    return {
+        tools: { listChanged: false },
+        prompts: { listChanged: false },
+        resources: {
+            subscribe: context.transport === "streamable-http",
+            listChanged: context.transport === "streamable-http",
+        },
+    };
+}
+
+/**
+ * Whether the caller may use a tool
+ *
+ * Logged-in users and local stdio clients may use every tool; API keys
+ * need `mcp:tools:<name>` (or `mcp:tools:*`) for read-only tools and
+ * `mcp:propose:<name>` (or `mcp:propose:*`) for proposal tools, so a
+ * read-only key can't start proposing changes.
+ */
+function getToolScope(tool) {
+    return `mcp:${tool.proposal ? "propose" : "tools"}:${tool.name}`;
+}
+
+function canUseTool(context, tool) {
+    return !context.apiKey || hasScope(context.apiKey.scopes, getToolScope(tool));
+}
+
+function getVisibleTools(context) {
+    return TOOL_DEFINITIONS.filter((tool) => canUseTool(context, tool));
+}
+
+/**
+ * Resources and prompts (which embed incident data) need the
+ * `mcp:resources` scope for API keys
+ */
+function assertCanReadResources(context) {
+    if (context.apiKey && !hasScope(context.apiKey.scopes, "mcp:resources")) {
+        throw rpcError(-32001, "API key is missing the 'mcp:resources' scope");
+    }
+}
+
+/**
+ * Validate the uri param of resources/* requests
+ */
+function getResourceUri(params) {
+    const uri = params?.uri;
+    if (!uri || typeof uri !== "string") {
+        throw rpcError(-32602, "Resource uri must be a non-empty string");
+    }
+    return uri;
+}
+
+/**
+ * Subscriptions live on the session
+ */
+function getSubscriptions(context) {
+    if (!context.session?.subscriptions || !getServerCapabilities(context).resources.subscribe) {
+        throw rpcError(-32602, "Resource subscriptions require an MCP session (send initialize and use the Mcp-Session-Id header)");
+    }
+    return context.session.subscriptions;
+}
+
+/**
+ * Format a tool result as MCP content
+ *
+ * The payload is returned both as a `text` block (JSON, for clients that
+ * only render text) and as `structuredContent` (always an object - arrays
+ * are wrapped as `{ items }`).
+ */
+function toolResult(payload) {
+    const data = JSON.parse(JSON.stringify(payload ?? null));
+    const structuredContent = data !== null && typeof data === "object" && !Array.isArray(data)
+        ? data
+        : Array.isArray(data) ? { items: data } : { value: data };
+
+    return {
+        content: [
+            {
+                type: "text",
+                text: JSON.stringify(data, null, 2),
+            },
+        ],
+        structuredContent,
+        isError: false,
+    };
+}
+
+/**
+ * Format a tool execution failure as MCP content
+ *
+ * Tool failures are results with `isError: true` (so the model can see and
+ * react to them), not JSON-RPC protocol errors.
+ */
+function toolError(message) {
+    return {
+        content: [
+            {
+                type: "text",
+                text: message,
+            },
+        ],
+        isError: true,
+    };
+}
+
+/**
+ * Validate tool arguments against the tool's inputSchema
+ * 
+ * Full JSON Schema validation (types, formats such as ObjectId patterns,
+ * ranges, enums, additionalProperties). Defaults from the schema are
+ * applied to `args`. Invalid arguments become -32602 errors whose `data`
+ * lists every failing field, so bad IDs never reach a Mongoose cast.
+ */
+function validateArgsOrThrow(tool, args) {
+    if (!args || typeof args !== "object" || Array.isArray(args)) {
+        throw rpcError(-32602, `Invalid arguments for tool '${tool.name}' (expected object)`);
+    }
+
+    const { valid, errors } = validate(tool.inputSchema, args);
+    if (!valid) {
+        throw rpcError(-32602, `Invalid arguments for tool '${tool.name}': ${describeErrors(errors)}`, { errors });
+    }
+}
+
+/**
+ * Format JSON-RPC error response
+ * 
+ * Follows JSON-RPC 2.0 error specification with standard error codes:
+ * - -32700: Parse error
+ * - -32600: Invalid Request
+ * - -32601: Method not found
+ * - -32602: Invalid params
+ * - -32603: Internal error
+ * - -32000: Unknown or expired MCP session (server-defined)
+ * - -32001: Tool or resources not permitted for the calling API key (server-defined)
+ * - -32002: Resource not found (MCP)
+ */
+function jsonRpcError(id, code, message, data) {
+    return {
+        jsonrpc: "2.0",
+        id: id ?? null,
+        error: {
+            code,
+            message,
+            ...(data ? { data } : {}),
+        },
+    };
+}
+
+function jsonRpcResult(id, result) {
+    return { jsonrpc: "2.0", id, result };
+}
+
+/**
+ * Pick the protocol version for a session
+ *
+ * Echo the client's version when we support it, otherwise offer our latest
+ * and let the client decide whether to continue.
+ */
+function negotiateProtocolVersion(requested) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+        ? requested
+        : SUPPORTED_PROTOCOL_VERSIONS[0];
+}
+
+/**
+ * JSON-RPC method handlers
+ *
+ * Each handler receives (params, context) and returns the `result` object, or
+ * throws an error with a JSON-RPC `code` for protocol errors.
+ */
+function rpcError(code, message, data) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    error.rpcData = data;
+    return error;
+}
+
+const METHOD_HANDLERS = {
+    initialize: async (params, context) => {
+        if (!params || typeof params !== "object") {
+            throw rpcError(-32602, "initialize requires params with protocolVersion, capabilities and clientInfo");
+        }
+
+        const protocolVersion = negotiateProtocolVersion(params.protocolVersion);
+        if (context.session) {
+            context.session.protocolVersion = protocolVersion;
+            context.session.clientInfo = params.clientInfo || null;
+        }
+
+        return {
+            protocolVersion,
+            capabilities: getServerCapabilities(context),
+            serverInfo: {
+                name: MCP_SERVER_INFO.name,
+                version: MCP_SERVER_INFO.version,
+            },
+            instructions: MCP_SERVER_INFO.description,
+        };
+    },
+
+    ping: async () => ({}),
+
+    // Legacy discovery method (pre-dates the initialize handshake)
+    "server/info": async (params, context) => ({
+        ...MCP_SERVER_INFO,
+        transport: context.transport,
+        protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+        toolCount: getVisibleTools(context).length,
+    }),
+
+    "tools/list": async (params, context) => ({
+        // Explicit safety level and annotations: tools either read, or only record a
+        // proposal that an engineer has to approve - nothing is modified directly
+        tools: getVisibleTools(context).map((tool) => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema,
+            annotations: tool.proposal
+                ? { readOnlyHint: false, destructiveHint: false, idempotentHint: false }
+                : { readOnlyHint: true },
+            safetyLevel: tool.proposal ? "proposal" : "read-only",
+        })),
+    }),
+
+    // Execute a tool
+    // Tools in MCP_TOOLS are read-only; propose* tools only record a pending Proposal
+    "tools/call": async (params, context) => {
+        const { name, arguments: args = {} } = params || {};
+
+        if (!name || typeof name !== "string") {
+            throw rpcError(-32602, "Tool name must be a non-empty string");
+        }
+
+        const tool = MCP_TOOLS[name];
+        if (!tool) {
+            throw rpcError(-32602, `Unknown tool '${name}'`, getVisibleTools(context).map((t) => t.name));
+        }
+
+        if (!canUseTool(context, tool)) {
+            throw rpcError(-32001, `API key is missing the '${getToolScope(tool)}' scope`);
+        }
+
+        validateArgsOrThrow(tool, args);
+
+        try {
+            return toolResult(await tool.implementation(args, context));
+        } catch (error) {
+            console.error(`[MCP] Tool '${name}' failed:`, error.message);
+            return toolError(error.message);
+        }
+    },
+
+    "prompts/list": async (params, context) => {
+        assertCanReadResources(context);
+        return { prompts: listPrompts() };
+    },
+
+    "prompts/get": async (params, context) => {
+        assertCanReadResources(context);
+        const { name, arguments: args = {} } = params || {};
+
+        if (!name || typeof name !== "string") {
+            throw rpcError(-32602, "Prompt name must be a non-empty string");
+        }
+        if (typeof args !== "object" || Array.isArray(args)) {
+            throw rpcError(-32602, "Prompt arguments must be an object");
+        }
+
+        try {
+            return await getPrompt(name, args);
+        } catch (error) {
+            if (error.invalidPromptArgument) {
+                throw rpcError(-32602, error.message);
+            }
+            throw error;
+        }
+    },
+
+    "resources/list": async (params, context) => {
+        assertCanReadResources(context);
+        return { resources: await listResources() };
+    },
+
+    "resources/templates/list": async (params, context) => {
+        assertCanReadResources(context);
+        return { resourceTemplates: RESOURCE_TEMPLATES };
+    },
+
+    "resources/read": async (params, context) => {
+        assertCanReadResources(context);
+        const uri = getResourceUri(params);
+
+        try {
+            return await readResource(uri);
+        } catch (error) {
+            if (error.resourceNotFound) {
+                throw rpcError(-32002, error.message, { uri });
+            }
+            throw error;
+        }
+    },
+
+    "resources/subscribe": async (params, context) => {
+        assertCanReadResources(context);
+        const uri = getResourceUri(params);
+        const subscriptions = getSubscriptions(context);
+
+        if (!isKnownResourceUri(uri)) {
+            throw rpcError(-32002, `Resource not found: ${uri}`, { uri });
+        }
+
+        subscriptions.add(uri);
+        return {};
+    },
+
+    "resources/unsubscribe": async (params, context) => {
+        const uri = getResourceUri(params);
+        getSubscriptions(context).delete(uri);
+        return {};
+    },
+};
+
+// Notifications from the client (no response is sent)
+const NOTIFICATION_HANDLERS = {
+    "notifications/initialized": (params, context) => {
+        // Server-initiated notifications start once the client is ready for them
+        if (context.session) context.session.initialized = true;
+    },
+    "notifications/cancelled": () => {},
+};
+
+function isValidMessage(message) {
+    return message !== null
+        && typeof message === "object"
+        && !Array.isArray(message)
+        && message.jsonrpc === "2.0"
+        && typeof message.method === "string";
+}
+
+/**
+ * Handle a single JSON-RPC message
+ *
+ * @returns {Promise<object|null>} Response, or null for notifications
+ */
+async function handleMessage(message, context = {}) {
+    if (!isValidMessage(message)) {
+        return jsonRpcError(message?.id, -32600, "Invalid Request (expected a JSON-RPC 2.0 message with a method)");
+    }
+
+    const { id, method, params } = message;
+
+    // Notification: act on it if we know it, never respond
+    if (id === undefined) {
+        const handler = NOTIFICATION_HANDLERS[method];
+        if (handler) handler(params, context);
+        return null;
+    }
+
+    const handler = METHOD_HANDLERS[method];
+    if (!handler) {
+        return jsonRpcError(id, -32601, `Method not found: '${method}'`, { supported: Object.keys(METHOD_HANDLERS) });
+    }
+
+    try {
+        return jsonRpcResult(id, await handler(params, context));
+    } catch (error) {
+        if (error.rpcCode) {
+            return jsonRpcError(id, error.rpcCode, error.message, error.rpcData);
+        }
+
+        console.error("[MCP] Request failed:", error);
+        return jsonRpcError(
+            id,
+            -32603,
+            "Internal MCP server error",
+            process.env.NODE_ENV === "production" ? undefined : error.message
+        );
+    }
+}
+
+module.exports = {
+    MCP_SERVER_INFO,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    jsonRpcError,
+    isValidMessage,
+    handleMessage,
+};
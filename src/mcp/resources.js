@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+const Service = require("../models/Service");
+const HealthCheckResult = require("../models/HealthCheckResult");
+const { getUptime } = require("../services/healthHistory.service");
+
+/**
+ * MCP Resource Registry (READ-ONLY)
+ *
+ * Incident, log and service context exposed as MCP resources:
+ * - incidents://open          open and investigating incidents (newest first)
+ * - incident://{id}           one incident with its timeline
+ * - incident://{id}/logs      logs of an incident (newest first)
+ * - service://{id}/health     health state, last check and 24h uptime of a service
+ *
+ * All resources are JSON documents (application/json).
+ */
+
+const MIME_TYPE = "application/json";
+const LIST_LIMIT = 100;
+const LOG_LIMIT = 200;
+
+const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: "incident://{id}",
+        name: "incident",
+        title: "Incident",
+        description: "A single incident with its timeline, escalation and ownership",
+        mimeType: MIME_TYPE,
+    },
+    {
+        uriTemplate: "incident://{id}/logs",
+        name: "incident-logs",
+        title: "Incident logs",
+        description: `Logs attached to an incident, newest first (up to ${LOG_LIMIT})`,
+        mimeType: MIME_TYPE,
+    },
+    {
+        uriTemplate: "service://{id}/health",
+        name: "service-health",
+        title: "Service health",
+        description: "Health state, most recent check and 24h uptime of a monitored service",
+        mimeType: MIME_TYPE,
+    },
+];
+
+const OPEN_INCIDENTS_RESOURCE = {
+    uri: "incidents://open",
+    name: "open-incidents",
+    title: "Open incidents",
+    description: "Incidents that are open or under investigation, newest first",
+    mimeType: MIME_TYPE,
+};
+
+// URI patterns -> readers
+const RESOURCE_ROUTES = [
+    { pattern: /^incidents:\/\/open$/, read: readOpenIncidents },
+    { pattern: /^incident:\/\/([^/]+)$/, read: readIncident },
+    { pattern: /^incident:\/\/([^/]+)\/logs$/, read: readIncidentLogs },
+    { pattern: /^service:\/\/([^/]+)\/health$/, read: readServiceHealth },
+];
+
+/**
+ * Error for URIs that don't name an existing resource
+ */
+function resourceNotFound(uri) {
+    const error = new Error(`Resource not found: ${uri}`);
+    error.resourceNotFound = true;
+    return error;
+}
+
+function assertObjectId(id, uri) {
+    if (!mongoose.isValidObjectId(id)) throw resourceNotFound(uri);
+}
+
+async function readOpenIncidents() {
+    const incidents = await Incident.find({ status: { $in: ["open", "investigating"] } })
+        .sort({ createdAt: -1 })
+        .limit(LIST_LIMIT)
+        .select("title status severity category serviceId serviceName assignee acknowledgedAt createdAt metadata");
+
+    return { count: incidents.length, incidents };
+}
+
+async function readIncident(uri, id) {
+    assertObjectId(id, uri);
+    const incident = await Incident.findById(id);
+    if (!incident) throw resourceNotFound(uri);
+    return incident;
+}
+
+async function readIncidentLogs(uri, id) {
+    assertObjectId(id, uri);
+    if (!(await Incident.exists({ _id: id }))) throw resourceNotFound(uri);
+
+    const logs = await Log.find({ incidentId: id }).sort({ createdAt: -1 }).limit(LOG_LIMIT);
+    return { incidentId: id, count: logs.length, logs };
+}
+
+async function readServiceHealth(uri, id) {
+    assertObjectId(id, uri);
+    const service = await Service.findById(id);
+    if (!service) throw resourceNotFound(uri);
+
+    const [lastCheck, uptime] = await Promise.all([
+        HealthCheckResult.findOne({ serviceId: service._id }).sort({ checkedAt: -1 }),
+        getUptime(service._id, "24h"),
+    ]);
+
+    return {
+        service: { id: service._id, name: service.name, url: service.url, category: service.category },
+        health: service.health,
+        lastCheck,
+        uptime,
+    };
+}
+
+/**
+ * Concrete resources to advertise in resources/list
+ *
+ * The open-incident list, every open incident (with its logs) and every
+ * service's health.
+ */
+async function listResources() {
+    const [incidents, services] = await Promise.all([
+        Incident.find({ status: { $in: ["open", "investigating"] } })
+            .sort({ createdAt: -1 })
+            .limit(LIST_LIMIT)
+            .select("title"),
+        Service.find().sort({ name: 1 }).limit(LIST_LIMIT).select("name"),
+    ]);
+
+    return [
+        OPEN_INCIDENTS_RESOURCE,
+        ...incidents.flatMap((incident) => [
+            {
+                uri: `incident://${incident._id}`,
+                name: `incident-${incident._id}`,
+                title: incident.title,
+                mimeType: MIME_TYPE,
+            },
+            {
+                uri: `incident://${incident._id}/logs`,
+                name: `incident-${incident._id}-logs`,
+                title: `Logs: ${incident.title}`,
+                mimeType: MIME_TYPE,
+            },
+        ]),
+        ...services.map((service) => ({
+            uri: `service://${service._id}/health`,
+            name: `service-${service._id}-health`,
+            title: `Health: ${service.name}`,
+            mimeType: MIME_TYPE,
+        })),
+    ];
+}
+
+/**
+ * Whether a URI matches one of the resource patterns
+ */
+function isKnownResourceUri(uri) {
+    return RESOURCE_ROUTES.some((route) => route.pattern.test(uri));
+}
+
+/**
+ * Read a resource
+ *
+ * @param {string} uri
+ * @returns {Promise<{contents: array}>} MCP resources/read result
+ * @throws {Error} With `resourceNotFound` set if the URI names no resource
+ */
+async function readResource(uri) {
+    for (const route of RESOURCE_ROUTES) {
+        const match = route.pattern.exec(uri);
+        if (!match) continue;
+
+        const data = await route.read(uri, ...match.slice(1));
+        return {
+            contents: [
+                {
+                    uri,
+                    mimeType: MIME_TYPE,
+                    text: JSON.stringify(data, null, 2),
+                },
+            ],
+        };
+    }
+
+    throw resourceNotFound(uri);
+}
+
+module.exports = {
+    RESOURCE_TEMPLATES,
+    listResources,
+    isKnownResourceUri,
+    readResource,
+};
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * MCP stdio Entry Point
+ *
+ * Runs the incident MCP server over stdin/stdout for local agent hosts
+ * (desktop assistants, CLIs) without the HTTP server:
+ *
+ *   MONGODB_URI=mongodb://... node src/mcp/stdio.js
+ *
+ * Messages are newline-delimited JSON-RPC (a single message or a batch per
+ * line). stdout carries protocol messages only - all logging goes to stderr.
+ * The local user is trusted: every tool is available (propose* tools still
+ * need an engineer's approval through the REST API).
+ */
+// Keep stdout clean for the protocol: services log with console.log
+console.log = console.error;
+console.info = console.error;
+
+require("dotenv").config({ quiet: true });
+
+const readline = require("readline");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { jsonRpcError, handleMessage } = require("./protocol");
+
+const session = { protocolVersion: null, clientInfo: null, initialized: false };
+const context = { transport: "stdio", session };
+
+function write(message) {
+    process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+async function handleLine(line) {
+    if (!line.trim()) return;
+
+    let body;
+    try {
+        body = JSON.parse(line);
+    } catch (error) {
+        write(jsonRpcError(null, -32700, "Parse error"));
+        return;
+    }
+
+    if (Array.isArray(body)) {
+        if (body.length === 0) {
+            write(jsonRpcError(null, -32600, "Invalid Request (empty batch)"));
+            return;
+        }
+
+        const responses = [];
+        for (const message of body) {
+            const response = await handleMessage(message, context);
+            if (response) responses.push(response);
+        }
+        if (responses.length > 0) write(responses);
+        return;
+    }
+
+    const response = await handleMessage(body, context);
+    if (response) write(response);
+}
+
+async function main() {
+    const dbConnected = await connectDB();
+    if (!dbConnected) {
+        console.error("❌ Failed to connect to database. MCP stdio server cannot start.");
+        process.exit(1);
+    }
+
+    // Handle messages one at a time, in order
+    let queue = Promise.resolve();
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+
+    input.on("line", (line) => {
+        queue = queue.then(() => handleLine(line)).catch((error) => {
+            console.error("❌ [MCP stdio] Error handling message:", error);
+        });
+    });
+
+    input.on("close", async () => {
+        await queue;
+        await mongoose.disconnect();
+        process.exit(0);
+    });
+
+    console.error("✅ MCP stdio server ready");
+}
+
+main();
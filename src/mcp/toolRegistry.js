@@ -0,0 +1,217 @@
+const tools = require("../ai/tools");
+const analysisJobService = require("../services/analysisJob.service");
+const { createProposal } = require("../services/proposal.service");
+
+/**
+ * MCP Tool Registry (READ-ONLY Operations Only)
+ * 
+ * All tools exposed via MCP are strictly read-only to follow security best practices.
+ * This ensures AI agents can analyze incidents but cannot modify system state.
+ * The exception are `proposal` tools: they record a pending Proposal that an
+ * engineer approves or rejects (POST /api/proposals/:id/approve|reject);
+ * the incident itself only changes after approval.
+ * 
+ * Architecture:
+ * - Tools defined as array for maintainability
+ * - Converted to lookup map for O(1) validation during tool calls
+ * - List tools page with `limit` (1-100, default 20) and `offset` and return
+ *   `pagination { total, limit, offset, hasMore, nextOffset }`
+ */
+const OBJECT_ID = { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+
+const PAGINATION_PROPERTIES = {
+    limit: { type: "integer", minimum: 1, maximum: 100, default: 20, description: "Page size" },
+    offset: { type: "integer", minimum: 0, default: 0, description: "Number of items to skip" },
+};
+
+const TOOL_DEFINITIONS = [
+    {
+        name: "getIncidentById",
+        description: "Fetch a single incident by its MongoDB ID",
+        inputSchema: {
+            type: "object",
+            properties: {
+                id: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+            },
+            required: ["id"],
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.getIncidentById(args),
+    },
+    {
+        name: "getLogsByIncident",
+        description: "Fetch logs associated with a specific incident",
+        inputSchema: {
+            type: "object",
+            properties: {
+                incidentId: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+            },
+            required: ["incidentId"],
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.getLogsByIncident(args),
+    },
+    {
+        name: "getServiceSloStatus",
+        description: "Fetch SLO status for a service: SLI, remaining error budget and multi-window burn rates",
+        inputSchema: {
+            type: "object",
+            properties: {
+                serviceId: { ...OBJECT_ID, description: "Service MongoDB ObjectId" },
+            },
+            required: ["serviceId"],
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.getServiceSloStatus(args),
+    },
+    {
+        name: "listIncidents",
+        description: "List incidents, newest first, optionally filtered by status, severity, category, service or assignee",
+        inputSchema: {
+            type: "object",
+            properties: {
+                status: { type: "string", enum: ["open", "investigating", "resolved"] },
+                severity: { type: "string", enum: ["low", "medium", "high"] },
+                category: { type: "string", enum: ["performance", "database", "authentication", "network", "deployment"] },
+                serviceId: { ...OBJECT_ID, description: "Service MongoDB ObjectId" },
+                assignee: { type: "string", format: "email", description: "Assignee email" },
+                ...PAGINATION_PROPERTIES,
+            },
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.listIncidents(args),
+    },
+    {
+        name: "searchLogs",
+        description: "Search log messages (case-insensitive text match), newest first, optionally filtered by incident, service, level and time range",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: { type: "string", minLength: 1, maxLength: 200, description: "Text to search for" },
+                incidentId: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+                serviceId: { ...OBJECT_ID, description: "Service MongoDB ObjectId" },
+                level: { type: "string", enum: ["info", "warning", "error"] },
+                since: { type: "string", format: "date-time", description: "Only logs created at or after this time" },
+                until: { type: "string", format: "date-time", description: "Only logs created before this time" },
+                ...PAGINATION_PROPERTIES,
+            },
+            required: ["query"],
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.searchLogs(args),
+    },
+    {
+        name: "listServices",
+        description: "List monitored services by name with their current health state",
+        inputSchema: {
+            type: "object",
+            properties: {
+                category: { type: "string", enum: ["api", "database", "cache", "queue", "storage", "monitoring", "other"] },
+                environment: { type: "string", enum: ["production", "staging", "development"] },
+                healthState: { type: "string", enum: ["unknown", "healthy", "failing", "flapping"] },
+                enabled: { type: "boolean" },
+                ...PAGINATION_PROPERTIES,
+            },
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.listServices(args),
+    },
+    {
+        name: "getServiceHealth",
+        description: "Fetch the health state of a service and its latest health check results with per-probe outcomes, newest first",
+        inputSchema: {
+            type: "object",
+            properties: {
+                serviceId: { ...OBJECT_ID, description: "Service MongoDB ObjectId" },
+                ...PAGINATION_PROPERTIES,
+            },
+            required: ["serviceId"],
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.getServiceHealth(args),
+    },
+    {
+        name: "getIncidentHistory",
+        description: "Fetch the timeline of an incident (oldest first), related open incidents, similar resolved incidents and their resolution statistics",
+        inputSchema: {
+            type: "object",
+            properties: {
+                incidentId: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+                ...PAGINATION_PROPERTIES,
+            },
+            required: ["incidentId"],
+            additionalProperties: false,
+        },
+        implementation: async (args) => tools.getIncidentHistory(args),
+    },
+    {
+        name: "getSystemStats",
+        description: "Fetch system-wide incident and log counts with MTTA and MTTR",
+        inputSchema: {
+            type: "object",
+            properties: {},
+            additionalProperties: false,
+        },
+        implementation: async () => tools.getSystemStats(),
+    },
+    {
+        name: "analyzeIncident",
+        description: "Run READ-ONLY LLM analysis on an incident and its logs. Returns analysis results without modifying incident state; the result is stored in the incident's analysis history and reused while the incident and its logs are unchanged (see analysisRecord.cached).",
+        inputSchema: {
+            type: "object",
+            properties: {
+                incidentId: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+            },
+            required: ["incidentId"],
+            additionalProperties: false,
+        },
+        implementation: async (args, context) => analysisJobService.analyzeNow(args.incidentId, context),
+    },
+    {
+        name: "proposeStatusChange",
+        description: "Propose changing the status of an incident. Creates a pending proposal only - the status changes after an engineer approves it.",
+        proposal: true,
+        inputSchema: {
+            type: "object",
+            properties: {
+                incidentId: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+                status: { type: "string", enum: ["open", "investigating", "resolved"] },
+                notes: { type: "string", maxLength: 2000, description: "Notes to record with the status change" },
+                rationale: { type: "string", minLength: 1, maxLength: 2000, description: "Why the change is proposed" },
+            },
+            required: ["incidentId", "status", "rationale"],
+            additionalProperties: false,
+        },
+        implementation: async ({ incidentId, rationale, ...payload }, context) =>
+            createProposal({ incidentId, type: "status_change", payload, rationale }, context),
+    },
+    {
+        name: "proposeAction",
+        description: "Propose a remediation action for an incident. Creates a pending proposal only - nothing is executed until an engineer approves it.",
+        proposal: true,
+        inputSchema: {
+            type: "object",
+            properties: {
+                incidentId: { ...OBJECT_ID, description: "Incident MongoDB ObjectId" },
+                action: { type: "string", minLength: 1, maxLength: 200, description: "Short action name, e.g. restart_service" },
+                description: { type: "string", minLength: 1, maxLength: 2000, description: "What the action does and why" },
+                confidence: { type: "number", minimum: 0, maximum: 1 },
+                rationale: { type: "string", maxLength: 2000, description: "Evidence supporting the action" },
+            },
+            required: ["incidentId", "action", "description"],
+            additionalProperties: false,
+        },
+        implementation: async ({ incidentId, rationale, ...payload }, context) =>
+            createProposal({ incidentId, type: "action", payload, rationale }, context),
+    },
+];
+
+const MCP_TOOLS = TOOL_DEFINITIONS.reduce((acc, tool) => {
+    acc[tool.name] = tool;
+    return acc;
+}, {});
+
+module.exports = {
+    TOOL_DEFINITIONS,
+    MCP_TOOLS,
+};
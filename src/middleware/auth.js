@@ -0,0 +1,116 @@
+const User = require("../models/User");
+const { isConfigured, verifyToken, hasRole } = require("../services/auth.service");
+const { isApiKey, hasScope, findActiveApiKey, touchApiKey } = require("../services/apiKey.service");
+
+/**
+ * Auth Middleware
+ *
+ * authenticate: requires `Authorization: Bearer <JWT>` and sets `req.user`
+ * to the (active) user. The user is re-loaded on every request so role
+ * changes and deactivation take effect immediately.
+ *
+ * requireRole(minRole): allows the request if the user's role is at least
+ * `minRole` (viewer < responder < admin).
+ *
+ * authenticateApiKey(scope): requires an API key (`Authorization: Bearer iak_...`
+ * or `X-API-Key`) and sets `req.apiKey`. With a scope, the key must grant it.
+ *
+ * authenticateUserOrApiKey: accepts either; routes check `req.apiKey.scopes`
+ * for key callers.
+ *
+ * If JWT_SECRET is not configured user authentication is disabled (503)
+ * rather than left open.
+ */
+function extractToken(req) {
+    const authHeader = req.get("authorization") || "";
+    if (authHeader.toLowerCase().startsWith("bearer ")) {
+        return authHeader.slice(7).trim();
+    }
+    return req.get("x-api-key") || "";
+}
+
+async function authenticate(req, res, next) {
+    if (!isConfigured()) {
+        return res.status(503).json({ error: "Authentication is not configured (JWT_SECRET is not set)" });
+    }
+
+    const authHeader = req.get("authorization") || "";
+    if (!authHeader.toLowerCase().startsWith("bearer ")) {
+        return res.status(401).json({ error: "Missing bearer token" });
+    }
+
+    let payload;
+    try {
+        payload = verifyToken(authHeader.slice(7).trim());
+    } catch (error) {
+        return res.status(401).json({ error: error.name === "TokenExpiredError" ? "Token expired" : "Invalid token" });
+    }
+
+    try {
+        const user = await User.findById(payload.sub);
+        if (!user || !user.active) {
+            return res.status(401).json({ error: "User is disabled or no longer exists" });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error("Error authenticating request:", error);
+        res.status(500).json({ error: "Failed to authenticate request" });
+    }
+}
+
+function requireRole(minRole) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: "Authentication required" });
+        }
+        if (!hasRole(req.user.role, minRole)) {
+            return res.status(403).json({ error: `This action requires the '${minRole}' role` });
+        }
+        next();
+    };
+}
+
+function authenticateApiKey(requiredScope) {
+    return async (req, res, next) => {
+        const key = extractToken(req);
+        if (!key) {
+            return res.status(401).json({ error: "Missing API key" });
+        }
+        if (!isApiKey(key)) {
+            return res.status(401).json({ error: "Invalid API key" });
+        }
+
+        try {
+            const { apiKey, reason } = await findActiveApiKey(key);
+            if (!apiKey) {
+                return res.status(401).json({ error: reason });
+            }
+            if (requiredScope && !hasScope(apiKey.scopes, requiredScope)) {
+                return res.status(403).json({ error: `API key is missing the '${requiredScope}' scope` });
+            }
+
+            touchApiKey(apiKey, req.ip);
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            console.error("Error authenticating API key:", error);
+            res.status(500).json({ error: "Failed to authenticate request" });
+        }
+    };
+}
+
+function authenticateUserOrApiKey(req, res, next) {
+    return isApiKey(extractToken(req))
+        ? authenticateApiKey()(req, res, next)
+        : authenticate(req, res, next);
+}
+
+module.exports = {
+    extractToken,
+    authenticate,
+    authenticateApiKey,
+    authenticateUserOrApiKey,
+    requireRole,
+};
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const { extractToken, authenticateApiKey } = require("./auth");
+const { isApiKey } = require("../services/apiKey.service");
+
+/**
+ * System Auth Middleware
+ *
+ * Protects machine-to-machine endpoints (e.g. POST /api/system/events).
+ * Callers send either:
+ * - an API key with the `events:ingest` scope, or
+ * - the legacy shared token from SYSTEM_EVENTS_TOKEN
+ * as `Authorization: Bearer <token>` or as an `X-API-Key` header.
+ *
+ * If SYSTEM_EVENTS_TOKEN is not configured only API keys are accepted.
+ */
+const requireIngestKey = authenticateApiKey("events:ingest");
+
+function tokensMatch(provided, expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = (req, res, next) => {
+    const provided = extractToken(req);
+    if (!provided) {
+        return res.status(401).json({ error: "Missing API key or system token" });
+    }
+
+    if (isApiKey(provided)) {
+        return requireIngestKey(req, res, next);
+    }
+
+    const expected = process.env.SYSTEM_EVENTS_TOKEN;
+    if (!expected || !tokensMatch(provided, expected)) {
+        return res.status(403).json({ error: "Invalid system token" });
+    }
+
+    next();
+};
@@ -0,0 +1,23 @@
+const { validate } = require("../services/validation.service");
+
+/**
+ * Request Body Validation Middleware
+ *
+ * validateBody(schema): validates `req.body` against a JSON Schema (see
+ * src/schemas) before the route handler runs. Invalid bodies get
+ *   400 { error: "Invalid request body", details: [{ field, message, keyword }] }
+ * A missing body is validated as `{}`, so required fields are reported.
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        if (req.body === undefined) req.body = {};
+
+        const { valid, errors } = validate(schema, req.body);
+        if (!valid) {
+            return res.status(400).json({ error: "Invalid request body", details: errors });
+        }
+        next();
+    };
+}
+
+module.exports = validateBody;
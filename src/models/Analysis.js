@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+
+// One LLM request made while computing an analysis
+const llmCallSchema = new mongoose.Schema(
+    {
+        task: String, // analysis, severity, category, rootCause
+        provider: String,
+        model: String,
+        ok: Boolean, // false: request failed or the response was unusable
+        latency: Number, // in milliseconds
+        usage: {
+            promptTokens: Number,
+            completionTokens: Number,
+            totalTokens: Number,
+        },
+        error: String,
+    },
+    { _id: false }
+);
+
+// A stored AI analysis of an incident (what the AI said at the time)
+const analysisSchema = new mongoose.Schema(
+    {
+        incidentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Incident",
+            required: true,
+        },
+
+        // Per-incident sequence number (1, 2, ...)
+        version: {
+            type: Number,
+            required: true,
+        },
+
+        status: {
+            type: String,
+            enum: ["queued", "running", "succeeded", "failed"],
+            default: "queued",
+        },
+
+        // sha256 of the prompt version, the LLM chain and the incident/log
+        // content the analysis was computed from (see analysisJob.service)
+        contentHash: {
+            type: String,
+            required: true,
+        },
+        promptVersion: {
+            type: String,
+            required: true,
+        },
+
+        // Where it was requested from
+        source: {
+            type: String,
+            enum: ["rest", "mcp", "stream"],
+            default: "rest",
+        },
+        requestedBy: String, // User email or API key name
+        requestedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+        // Result of analyzeIncidentData (severity, category, root cause, actions, ...)
+        result: mongoose.Schema.Types.Mixed,
+        analysisMode: {
+            type: String,
+            enum: ["structured", "per_field", "rule_based"],
+        },
+        provider: String, // Provider/model that produced the result (none when rule-based)
+        model: String,
+
+        llmCalls: [llmCallSchema],
+        usage: {
+            promptTokens: { type: Number, default: 0 },
+            completionTokens: { type: Number, default: 0 },
+            totalTokens: { type: Number, default: 0 },
+        },
+        latency: Number, // Total LLM time in milliseconds
+
+        error: String,
+        queuedAt: { type: Date, default: Date.now },
+        startedAt: Date,
+        finishedAt: Date,
+        duration: Number, // in milliseconds
+    },
+    { timestamps: true }
+);
+
+analysisSchema.index({ incidentId: 1, version: -1 }, { unique: true });
+analysisSchema.index({ incidentId: 1, contentHash: 1, status: 1 });
+analysisSchema.index({ status: 1, queuedAt: 1 });
+
+module.exports = mongoose.model("Analysis", analysisSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// "*" (everything), "events:ingest", "mcp:resources", "mcp:tools:*", "mcp:tools:<toolName>",
+// "mcp:propose:*" or "mcp:propose:<toolName>"
+const SCOPE_PATTERN = /^(\*|events:ingest|mcp:resources|mcp:(tools|propose):(\*|[A-Za-z0-9_]+))$/;
+
+const apiKeySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        // First characters of the key, shown in listings to identify it
+        prefix: {
+            type: String,
+            required: true,
+        },
+
+        // SHA-256 of the full key - the key itself is only shown once, at creation
+        keyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+
+        scopes: {
+            type: [{
+                type: String,
+                match: [SCOPE_PATTERN, "Invalid scope '{VALUE}'"],
+            }],
+            validate: {
+                validator: (scopes) => scopes.length > 0,
+                message: "At least one scope is required",
+            },
+        },
+
+        expiresAt: Date, // no expiry when unset
+        revokedAt: Date,
+        revokedBy: String, // User email
+
+        lastUsedAt: Date,
+        lastUsedIp: String,
+
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    { timestamps: true }
+);
+
+// Never return the key hash from the API
+apiKeySchema.set("toJSON", {
+    transform: (_, ret) => {
+        delete ret.keyHash;
+        return ret;
+    },
+});
+
+apiKeySchema.statics.SCOPE_PATTERN = SCOPE_PATTERN;
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
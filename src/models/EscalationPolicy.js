@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const escalationPolicySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        description: String,
+
+        // Services link to a policy through Service.metadata.team / metadata.owner
+        teams: [String],
+        owners: [String],
+
+        // Levels are paged in order while an incident stays "open"
+        levels: {
+            type: [{
+                _id: false,
+                // Minutes to wait for acknowledgement (status -> investigating) before the next level
+                timeoutMinutes: {
+                    type: Number,
+                    required: true,
+                    min: 1,
+                    default: 15,
+                },
+                targets: [{
+                    _id: false,
+                    type: {
+                        type: String,
+                        enum: ["schedule", "person", "channel"],
+                        required: true,
+                    },
+                    scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: "Schedule" },
+                    person: {
+                        name: String,
+                        email: String,
+                    },
+                    channelId: { type: mongoose.Schema.Types.ObjectId, ref: "NotificationChannel" },
+                }],
+            }],
+            validate: [(v) => v.length > 0, "At least one escalation level is required"],
+        },
+
+        // Start again at the first level after the last one times out (0 = don't)
+        repeat: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 5,
+        },
+    },
+    { timestamps: true }
+);
+
+// Index for faster queries
+escalationPolicySchema.index({ teams: 1 });
+escalationPolicySchema.index({ owners: 1 });
+
+module.exports = mongoose.model("EscalationPolicy", escalationPolicySchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { emitSafely } = require("../services/resourceEvents");
+
+// Raw check results are kept for this long; older data survives only as hourly rollups
+const RETENTION_DAYS = parseInt(process.env.HEALTH_CHECK_RETENTION_DAYS, 10) || 7;
+
+const healthCheckResultSchema = new mongoose.Schema(
+    {
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: true,
+        },
+        checkedAt: {
+            type: Date,
+            required: true,
+            default: Date.now,
+        },
+        healthy: {
+            type: Boolean,
+            required: true,
+        },
+        responseTime: Number, // Slowest probe of the check, in milliseconds
+
+        // Individual probe outcomes
+        probes: [{
+            _id: false,
+            name: String,
+            endpoint: String,
+            method: String,
+            healthy: Boolean,
+            status: Number,
+            responseTime: Number,
+            error: String,
+            data: mongoose.Schema.Types.Mixed,
+        }],
+    },
+    { timestamps: false }
+);
+
+// Index for faster queries
+healthCheckResultSchema.index({ serviceId: 1, checkedAt: -1 });
+// TTL retention for raw results
+healthCheckResultSchema.index({ checkedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+healthCheckResultSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+// Publish recorded checks to the resource event feed
+healthCheckResultSchema.post("save", function (doc) {
+    emitSafely("service.checked", doc.serviceId);
+});
+
+module.exports = mongoose.model("HealthCheckResult", healthCheckResultSchema);
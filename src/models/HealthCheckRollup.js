@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Hourly rollups outlive raw results so 30-day windows stay answerable
+const ROLLUP_RETENTION_DAYS = parseInt(process.env.HEALTH_ROLLUP_RETENTION_DAYS, 10) || 90;
+
+// Upper bounds (ms) of the latency histogram buckets; the last bucket is open-ended
+const LATENCY_BUCKETS = [25, 50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000];
+
+const healthCheckRollupSchema = new mongoose.Schema(
+    {
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: true,
+        },
+        bucketStart: {
+            type: Date,
+            required: true,
+        },
+        checks: { type: Number, default: 0 },
+        healthyChecks: { type: Number, default: 0 },
+        latencySum: { type: Number, default: 0 },
+        latencyMin: Number,
+        latencyMax: Number,
+        // Check counts per latency bucket, keyed "le_<ms>" or "le_inf"
+        latencyHistogram: {
+            type: Map,
+            of: Number,
+            default: {},
+        },
+    },
+    { timestamps: false }
+);
+
+// Index for faster queries
+healthCheckRollupSchema.index({ serviceId: 1, bucketStart: 1 }, { unique: true });
+// TTL retention for rollups
+healthCheckRollupSchema.index({ bucketStart: 1 }, { expireAfterSeconds: ROLLUP_RETENTION_DAYS * 24 * 60 * 60 });
+
+healthCheckRollupSchema.statics.LATENCY_BUCKETS = LATENCY_BUCKETS;
+
+module.exports = mongoose.model("HealthCheckRollup", healthCheckRollupSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { emitSafely } = require("../services/resourceEvents");
 
 const incidentSchema = new mongoose.Schema(
     {
@@ -36,15 +37,41 @@ const incidentSchema = new mongoose.Schema(
             default: "open",
         },
 
+        // Set while the service oscillates between healthy and unhealthy
+        flapping: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Escalation progress (maintained by the EscalationService while status is "open")
+        escalation: {
+            policyId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "EscalationPolicy",
+            },
+            level: Number, // index into policy.levels
+            cycle: { type: Number, default: 0 }, // how many times the policy has repeated
+            levelStartedAt: Date,
+            exhausted: { type: Boolean, default: false },
+        },
+
         // Timeline tracking
         timeline: [{
             timestamp: { type: Date, default: Date.now },
             event: String,
             status: String,
-            actor: { type: String, enum: ["system", "engineer", "ai"], default: "system" },
+            actor: { type: String, default: "system" }, // "system", "ai", or the email of the user who acted
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Set for user actions
             details: mongoose.Schema.Types.Mixed,
         }],
 
+        // Ownership tracking
+        assignee: String, // User email
+        assignedAt: Date,
+        acknowledgedBy: String, // User email
+        acknowledgedAt: Date,
+        timeToAcknowledge: Number, // in milliseconds (MTTA source)
+
         // Resolution tracking
         resolvedAt: Date,
         resolutionTime: Number, // in milliseconds
@@ -68,4 +95,23 @@ const incidentSchema = new mongoose.Schema(
 incidentSchema.index({ status: 1, createdAt: -1 });
 incidentSchema.index({ category: 1, severity: 1 });
 
+// Publish changes to the resource event feed
+incidentSchema.pre("save", function () {
+    this.$locals.wasNew = this.isNew;
+});
+incidentSchema.post("save", function (doc) {
+    if (doc.$locals.wasNew) {
+        emitSafely("incident.created", doc);
+    } else {
+        emitSafely("incident.updated", doc._id);
+    }
+});
+incidentSchema.post("findOneAndUpdate", function (doc) {
+    if (doc) emitSafely("incident.updated", doc._id);
+});
+incidentSchema.post("updateOne", function (result) {
+    const id = this.getFilter()._id;
+    if (id && result?.modifiedCount > 0) emitSafely("incident.updated", id);
+});
+
 module.exports = mongoose.model("Incident", incidentSchema);
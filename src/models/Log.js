@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { emitSafely } = require("../services/resourceEvents");
 
 const logSchema = new mongoose.Schema(
     {
@@ -13,8 +14,28 @@ const logSchema = new mongoose.Schema(
             enum: ["info", "warning", "error"],
             default: "info",
         },
+        actor: {
+            type: String,
+            default: "system", // or the email of the user whose action produced the log
+        },
+
+        // Set for logs pushed through POST /api/system/events
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+        },
+        tags: [String],
+        occurredAt: Date, // When the event happened at the source (createdAt is when we stored it)
     },
     { timestamps: true }
 );
 
+// Publish new logs to the resource event feed
+logSchema.post("save", function (doc) {
+    emitSafely("log.created", doc);
+});
+logSchema.post("insertMany", function (docs) {
+    for (const doc of docs) emitSafely("log.created", doc);
+});
+
 module.exports = mongoose.model("Log", logSchema);
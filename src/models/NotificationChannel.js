@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const NOTIFICATION_EVENTS = ["opened", "severity_escalated", "status_changed", "resolved", "escalated"];
+
+const notificationChannelSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        type: {
+            type: String,
+            enum: ["webhook", "slack", "email"],
+            required: true,
+        },
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+
+        // Incident lifecycle events this channel receives
+        events: {
+            type: [{ type: String, enum: NOTIFICATION_EVENTS }],
+            default: () => [...NOTIFICATION_EVENTS],
+        },
+
+        // Optional filters; empty means "all"
+        filters: {
+            serviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+            minSeverity: {
+                type: String,
+                enum: ["low", "medium", "high"],
+                default: "low",
+            },
+        },
+
+        // Target configuration
+        config: {
+            url: String, // webhook / slack incoming-webhook URL
+            secret: String, // webhook: HMAC-SHA256 signing secret
+            headers: {
+                type: Map,
+                of: String,
+            },
+            to: [String], // email recipients
+        },
+    },
+    { timestamps: true }
+);
+
+// Target config depends on the channel type
+notificationChannelSchema.pre("validate", function () {
+    if (this.type !== "email" && !/^https?:\/\//.test(this.config?.url || "")) {
+        this.invalidate("config.url", "config.url (http/https) is required for webhook and slack channels");
+    }
+    if (this.type === "email" && !(this.config?.to?.length > 0)) {
+        this.invalidate("config.to", "config.to is required for email channels");
+    }
+});
+
+// Never return the signing secret from the API
+const SECRET_MASK = "********";
+
+notificationChannelSchema.set("toJSON", {
+    transform: (_, ret) => {
+        if (ret.config?.secret) ret.config.secret = SECRET_MASK;
+        return ret;
+    },
+});
+
+// Index for faster queries
+notificationChannelSchema.index({ enabled: 1 });
+
+notificationChannelSchema.statics.EVENTS = NOTIFICATION_EVENTS;
+notificationChannelSchema.statics.SECRET_MASK = SECRET_MASK;
+
+module.exports = mongoose.model("NotificationChannel", notificationChannelSchema);
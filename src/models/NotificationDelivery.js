@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const notificationDeliverySchema = new mongoose.Schema(
+    {
+        incidentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Incident",
+            required: true,
+            index: true,
+        },
+        // Unset for direct on-call emails sent during escalation
+        channelId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "NotificationChannel",
+        },
+        channelName: String, // Denormalized for faster queries
+        channelType: String,
+        event: {
+            type: String,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "delivered", "failed"],
+            default: "pending",
+        },
+        attempts: [{
+            _id: false,
+            at: { type: Date, default: Date.now },
+            success: Boolean,
+            statusCode: Number,
+            error: String,
+        }],
+        deliveredAt: Date,
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model("NotificationDelivery", notificationDeliverySchema);
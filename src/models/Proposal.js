@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A change suggested by an AI agent (MCP propose* tools), applied only after an engineer approves it
+const proposalSchema = new mongoose.Schema(
+    {
+        incidentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Incident",
+            required: true,
+            index: true,
+        },
+
+        // status_change: payload { status, notes }
+        // action: payload { action, description, confidence }
+        type: {
+            type: String,
+            enum: ["status_change", "action"],
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        rationale: String, // Why the agent proposes the change
+
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending",
+        },
+
+        // Who proposed it: the MCP caller
+        proposedBy: {
+            transport: String, // "streamable-http" or "stdio"
+            apiKeyId: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+            apiKeyName: String,
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+            userEmail: String,
+            clientName: String, // MCP clientInfo.name from initialize
+        },
+
+        // Who decided: the engineer
+        decidedBy: String, // User email
+        decidedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        decidedAt: Date,
+        decisionNotes: String,
+    },
+    { timestamps: true }
+);
+
+proposalSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Proposal", proposalSchema);
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+// Maps an action id (as suggested by the AI analysis, e.g. "restart_service") to an executor
+const runbookSchema = new mongoose.Schema(
+    {
+        action: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+            match: /^[a-z0-9_]+$/,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        description: String,
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+
+        // http: any HTTP request; webhook: signed JSON POST of the run; command: allowlisted executable
+        // String values may use {{incident.id}}, {{incident.serviceName}}, {{service.url}}, {{action.action}}, {{run.id}}, ...
+        executor: {
+            type: {
+                type: String,
+                enum: ["http", "webhook", "command"],
+                required: true,
+            },
+            method: {
+                type: String,
+                enum: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+                default: "POST",
+            },
+            url: String, // http / webhook
+            headers: {
+                type: Map,
+                of: String,
+            },
+            body: mongoose.Schema.Types.Mixed, // http
+            secret: String, // webhook: HMAC-SHA256 signing secret
+            command: String, // command: must be listed in RUNBOOK_COMMAND_ALLOWLIST
+            args: [String],
+        },
+
+        timeout: {
+            type: Number,
+            default: 30000, // milliseconds
+            min: 1000,
+            max: 600000,
+        },
+    },
+    { timestamps: true }
+);
+
+// Executor config depends on the executor type
+runbookSchema.pre("validate", function () {
+    const executor = this.executor || {};
+    if (executor.type !== "command" && !/^https?:\/\//.test(executor.url || "")) {
+        this.invalidate("executor.url", "executor.url (http/https) is required for http and webhook runbooks");
+    }
+    if (executor.type === "command" && !executor.command) {
+        this.invalidate("executor.command", "executor.command is required for command runbooks");
+    }
+});
+
+// Never return the signing secret from the API
+const SECRET_MASK = "********";
+
+runbookSchema.set("toJSON", {
+    transform: (_, ret) => {
+        if (ret.executor?.secret) ret.executor.secret = SECRET_MASK;
+        return ret;
+    },
+});
+
+runbookSchema.statics.SECRET_MASK = SECRET_MASK;
+
+module.exports = mongoose.model("Runbook", runbookSchema);
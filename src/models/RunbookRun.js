@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// One execution (or dry-run) of a runbook for an incident
+const runbookRunSchema = new mongoose.Schema(
+    {
+        runbookId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Runbook",
+            required: true,
+        },
+        action: {
+            type: String,
+            required: true,
+        },
+        incidentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Incident",
+            required: true,
+            index: true,
+        },
+
+        // Dry-runs resolve and validate the request but never execute it
+        dryRun: {
+            type: Boolean,
+            default: false,
+        },
+
+        status: {
+            type: String,
+            enum: ["pending", "running", "succeeded", "failed", "cancelled"],
+            default: "pending",
+        },
+
+        // The engineer approval this run executes (the incident's "ai_action_approved" timeline entry)
+        approval: {
+            timelineEntryId: mongoose.Schema.Types.ObjectId,
+            proposalId: { type: mongoose.Schema.Types.ObjectId, ref: "Proposal" },
+            approvedBy: String, // User email
+            approvedAt: Date,
+        },
+
+        // Set while a live run holds its approval (pending, running or
+        // succeeded); cleared when it fails or is cancelled so the approval can
+        // be executed again. Unique per approval, see the index below.
+        claimsApproval: Boolean,
+
+        requestedBy: String, // User email
+        requestedByUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+
+        // What was (or, for dry-runs, would be) executed, with templates resolved
+        request: mongoose.Schema.Types.Mixed,
+
+        // Outcome
+        output: String, // Response body or stdout/stderr, truncated
+        statusCode: Number, // http / webhook
+        exitCode: Number, // command
+        error: String,
+
+        startedAt: Date,
+        finishedAt: Date,
+        duration: Number, // in milliseconds
+
+        cancelledBy: String, // User email
+        cancelledAt: Date,
+    },
+    { timestamps: true }
+);
+
+// Executing a runbook requires an approval record; dry-runs can preview unapproved actions
+runbookRunSchema.pre("validate", function () {
+    if (!this.dryRun && !(this.approval?.timelineEntryId && this.approval?.approvedBy)) {
+        this.invalidate("approval", "An approval is required to execute a runbook");
+    }
+});
+
+runbookRunSchema.index({ status: 1, createdAt: -1 });
+// Each approval is executed at most once: concurrent runs of the same
+// approval fail with a duplicate key error instead of both executing
+runbookRunSchema.index(
+    { "approval.timelineEntryId": 1 },
+    { name: "approval_claim_unique", unique: true, partialFilterExpression: { claimsApproval: true } }
+);
+
+module.exports = mongoose.model("RunbookRun", runbookRunSchema);
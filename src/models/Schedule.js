@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A person who can be on call
+const participantSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        email: {
+            type: String,
+            trim: true,
+        },
+    },
+    { _id: false }
+);
+
+const scheduleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        description: String,
+
+        // Participants take turns, one shift each, starting at rotation.startAt
+        rotation: {
+            participants: {
+                type: [participantSchema],
+                validate: [(v) => v.length > 0, "At least one participant is required"],
+            },
+            startAt: {
+                type: Date,
+                required: true,
+                default: Date.now,
+            },
+            shiftHours: {
+                type: Number,
+                default: 168, // one week
+                min: 1,
+            },
+        },
+
+        // Temporary replacements; the latest matching override wins
+        overrides: [{
+            start: { type: Date, required: true },
+            end: { type: Date, required: true },
+            participant: { type: participantSchema, required: true },
+            reason: String,
+        }],
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model("Schedule", scheduleSchema);
@@ -1,5 +1,114 @@
 const mongoose = require("mongoose");
 
+// A single health probe: which request to send and what counts as healthy
+const probeSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        path: {
+            type: String,
+            required: true,
+            default: "/health",
+        },
+        method: {
+            type: String,
+            enum: ["GET", "HEAD", "POST"],
+            default: "GET",
+        },
+        headers: {
+            type: Map,
+            of: String,
+        },
+        body: mongoose.Schema.Types.Mixed, // Only sent for POST probes
+        expectedStatus: {
+            type: [Number],
+            default: [200],
+        },
+        // Body assertions, e.g. { path: "$.status", operator: "in", value: ["healthy", "degraded"] }
+        assertions: [{
+            _id: false,
+            path: { type: String, required: true },
+            operator: {
+                type: String,
+                enum: ["equals", "notEquals", "in", "exists", "contains", "matches"],
+                default: "equals",
+            },
+            value: mongoose.Schema.Types.Mixed,
+        }],
+        timeout: {
+            type: Number,
+            default: 5000, // milliseconds
+            min: 100,
+            max: 60000,
+        },
+        // Feeds determineSeverityFromEndpoints: critical -> high, major -> medium, minor -> low
+        criticality: {
+            type: String,
+            enum: ["critical", "major", "minor"],
+            default: "major",
+        },
+        // Incident category to use when this probe fails
+        category: {
+            type: String,
+            enum: ["performance", "database", "authentication", "network", "deployment"],
+        },
+    },
+    { _id: false }
+);
+
+// Service level objective evaluated against the health check history
+const sloSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // availability: share of healthy checks; latency: share of healthy checks within latencyThreshold
+    type: {
+        type: String,
+        enum: ["availability", "latency"],
+        default: "availability",
+    },
+    target: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 99.999, // percent, e.g. 99.9
+    },
+    latencyThreshold: {
+        type: Number, // milliseconds
+        min: 1,
+        required: [function () { return this.type === "latency"; }, "latencyThreshold is required for latency SLOs"],
+    },
+    window: {
+        type: String,
+        default: "30d", // rolling window, e.g. "7d", "30d"
+        match: /^\d+[mhd]$/,
+    },
+    // Multi-window burn-rate alerts: alert when both windows burn faster than threshold
+    burnRateAlerts: {
+        type: [{
+            _id: false,
+            longWindow: { type: String, required: true, match: /^\d+[mhd]$/ },
+            shortWindow: { type: String, required: true, match: /^\d+[mhd]$/ },
+            threshold: { type: Number, required: true, min: 0 },
+            severity: { type: String, enum: ["low", "medium", "high"], default: "high" },
+        }],
+        default: () => [
+            { longWindow: "1h", shortWindow: "5m", threshold: 14.4, severity: "high" },
+            { longWindow: "6h", shortWindow: "30m", threshold: 6, severity: "medium" },
+        ],
+    },
+    // Maintained by the MonitoringService to alert once per burn episode
+    alertState: {
+        alerting: { type: Boolean, default: false },
+        since: Date,
+    },
+});
+
 const serviceSchema = new mongoose.Schema(
     {
         name: {
@@ -16,6 +125,58 @@ const serviceSchema = new mongoose.Schema(
             type: String,
             default: "/health",
         },
+        // Custom probes; when empty a single default probe on healthEndpoint is used
+        probes: {
+            type: [probeSchema],
+            default: undefined,
+        },
+        // Per-service scheduling used by the MonitoringService
+        monitoring: {
+            interval: {
+                type: Number,
+                default: 300000, // milliseconds between checks (5 minutes)
+                min: 10000,
+            },
+            jitter: {
+                type: Number,
+                default: 10000, // random extra delay (0..jitter ms) so checks don't line up
+                min: 0,
+            },
+            timeout: {
+                type: Number,
+                default: 10000, // hard cap for a whole check; each probe timeout is clamped to it
+                min: 100,
+                max: 60000,
+            },
+            // Open an incident when `failures` of the last `window` checks failed
+            failureThreshold: {
+                failures: { type: Number, default: 2, min: 1, max: 50 },
+                window: { type: Number, default: 3, min: 1, max: 50 },
+            },
+            // Consider the service recovered when `successes` of the last `window` checks passed
+            recoveryThreshold: {
+                successes: { type: Number, default: 2, min: 1, max: 50 },
+                window: { type: Number, default: 2, min: 1, max: 50 },
+            },
+            // Flapping: share of state changes between consecutive checks in the last `window` checks
+            flapDetection: {
+                enabled: { type: Boolean, default: true },
+                window: { type: Number, default: 10, min: 3, max: 50 },
+                threshold: { type: Number, default: 0.5, min: 0.1, max: 1 },
+            },
+        },
+        // Health state derived from recent checks (maintained by the MonitoringService)
+        health: {
+            state: {
+                type: String,
+                enum: ["unknown", "healthy", "failing", "flapping"],
+                default: "unknown",
+            },
+            history: [Boolean], // Recent check outcomes, oldest first (true = healthy)
+            stateChangedAt: Date,
+            lastCheckedAt: Date,
+        },
+        slos: [sloSchema],
         description: {
             type: String,
             trim: true,
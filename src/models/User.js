@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const USER_ROLES = ["viewer", "responder", "admin"];
+
+const userSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^[^\s@]+@[^\s@]+$/, "Invalid email address"],
+        },
+        name: {
+            type: String,
+            trim: true,
+        },
+
+        // viewer: read-only, responder: works incidents, admin: manages configuration and users
+        role: {
+            type: String,
+            enum: USER_ROLES,
+            default: "viewer",
+        },
+
+        // scrypt hash ("scrypt$<salt>$<hash>"), never returned by queries unless selected
+        passwordHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        lastLoginAt: Date,
+    },
+    { timestamps: true }
+);
+
+// Never return the password hash from the API
+userSchema.set("toJSON", {
+    transform: (_, ret) => {
+        delete ret.passwordHash;
+        return ret;
+    },
+});
+
+userSchema.statics.ROLES = USER_ROLES;
+
+module.exports = mongoose.model("User", userSchema);
@@ -1,135 +1,117 @@
 /**
- * NVIDIA NIM API Client
+ * AI Incident Classification Client
  * 
- * Provides AI-powered incident analysis using NVIDIA NIM (NVIDIA Inference Microservices).
- * This client handles all communication with NVIDIA's hosted LLM inference APIs.
+ * Provides AI-powered incident analysis through the configurable LLM layer
+ * (src/llm): any OpenAI-compatible chat-completions endpoint - NVIDIA NIM by
+ * default, or a local vLLM/Ollama server - with a fallback chain per task.
  * 
  * Architecture:
- * - Primary Model: Llama 3.1 8B Instruct (best for classification + reasoning)
- * - Secondary Model: Mistral 7B Instruct (backup for quick classification)
- * - Fallback: Rule-based pattern matching (always available, no API calls)
+ * - Structured analysis: one call (task "analysis") returning a JSON object
+ *   with severity, category, root cause, confidence, suggested actions and
+ *   evidence log ids, validated against ANALYSIS_SCHEMA
+ * - Per-field calls (tasks severity, category, rootCause): used when the
+ *   structured call fails or returns an invalid object
+ * - LLM tiers: the ordered provider/model chain configured for each task;
+ *   by default NIM Llama 3.1 8B Instruct, then NIM Mistral 7B Instruct
+ * - Final tier: Rule-based pattern matching (always available, no API calls)
  * 
- * API Configuration:
- * - Base URL: https://integrate.api.nvidia.com
- * - Endpoint: /v1/chat/completions
- * - API Key: Set via NVIDIA_NIM_API_KEY environment variable
+ * Configuration: LLM_CONFIG / LLM_CONFIG_FILE, or NVIDIA_NIM_API_KEY (and
+ * NIM_BASE_URL) for the default NIM chain - see src/llm/config.js
  * 
  * Error Handling:
- * - Automatic fallback to secondary model if primary fails
- * - Automatic fallback to rule-based analysis if both models fail
+ * - Automatic fallback to the next provider/model if one fails
+ * - Automatic fallback to rule-based analysis if the whole chain fails
  * - Graceful degradation ensures system always returns results
  */
-const axios = require("axios");
-
-// NVIDIA NIM API Configuration
-const NIM_API_KEY = process.env.NVIDIA_NIM_API_KEY || "";
-const NIM_BASE_URL = "https://integrate.api.nvidia.com";
-
-// Model Configuration
-const PRIMARY_MODEL = "meta/llama-3.1-8b-instruct"; // Primary: Best for classification + reasoning
-const SECONDARY_MODEL = "mistralai/mistral-7b-instruct"; // Secondary: Backup for quick classification
-
-const NIM_HEADERS = {
-    Authorization: `Bearer ${NIM_API_KEY}`,
-    "Content-Type": "application/json",
+const { llmRouter } = require("../llm/router");
+const { extractJson, parseStructured } = require("../llm/structuredOutput");
+
+// Bump when the prompts or ANALYSIS_SCHEMA change; stored analyses record it
+// and the analysis cache only reuses results of the current version
+const PROMPT_VERSION = "2";
+
+const VALID_SEVERITIES = ["high", "medium", "low"];
+const VALID_CATEGORIES = ["database", "network", "authentication", "deployment", "performance"];
+
+// Expected shape of the structured analysis response
+const ANALYSIS_SCHEMA = {
+    type: "object",
+    properties: {
+        severity: { type: "string", enum: VALID_SEVERITIES },
+        category: { type: "string", enum: VALID_CATEGORIES },
+        rootCause: { type: "string", minLength: 10, maxLength: 1000 },
+        confidence: { type: "number", minimum: 0, maximum: 1 },
+        suggestedActions: {
+            type: "array",
+            maxItems: 5,
+            items: {
+                type: "object",
+                properties: {
+                    action: { type: "string", pattern: "^[a-z0-9_]+$", maxLength: 64 },
+                    description: { type: "string", minLength: 1, maxLength: 500 },
+                    confidence: { type: "number", minimum: 0, maximum: 1 },
+                },
+                required: ["action", "description"],
+            },
+            default: [],
+        },
+        evidenceLogIds: {
+            type: "array",
+            maxItems: 20,
+            items: { type: "string" },
+            default: [],
+        },
+    },
+    required: ["severity", "category", "rootCause", "confidence"],
 };
 
-// Check if NVIDIA NIM API is available
-let nimApiAvailable = true;
+/**
+ * First of the given words (whole word, case-insensitive) in a response
+ * 
+ * "highly unlikely to be low" -> "low", not "high"
+ */
+function findFirstWord(response, words) {
+    const match = response.match(new RegExp(`\\b(${words.join("|")})\\b`, "i"));
+    return match ? match[1].toLowerCase() : null;
+}
 
 /**
- * Call NVIDIA NIM API for severity classification
+ * Parse a severity classification response
  * 
- * Makes HTTP POST request to NVIDIA NIM API for severity analysis.
- * Returns null if API call fails (triggers fallback).
+ * Accepts a JSON object ({ "severity": "high" }) or a plain word.
  * 
- * @param {string} model - Model identifier (PRIMARY_MODEL or SECONDARY_MODEL)
- * @param {string} prompt - Formatted prompt text for severity classification
- * @returns {Promise<string|null>} - "high", "medium", "low", or null if failed
+ * @param {string} response - Raw model response
+ * @returns {string|null} - "high", "medium", "low", or null if unrecognized
  */
-async function callNIMForSeverity(model, prompt) {
-    const modelName = model === PRIMARY_MODEL ? "Llama 3.1" : "Mistral";
-    console.log(`🤖 [AI Analysis] Attempting severity analysis with ${modelName}...`);
-    
-    try {
-        const { data } = await axios.post(
-            `${NIM_BASE_URL}/v1/chat/completions`,
-            {
-                model: model,
-                messages: [
-                    {
-                        role: "user",
-                        content: prompt,
-                    },
-                ],
-                temperature: 0.3,
-                max_tokens: 10,
-            },
-            {
-                headers: NIM_HEADERS,
-                timeout: 15000, // 15 second timeout
-            }
-        );
-
-        if (!data || !data.choices || !data.choices[0] || !data.choices[0].message) {
-            console.log(`❌ [AI Analysis] ${modelName} returned invalid response format`);
-            return null;
-        }
-
-        const response = data.choices[0].message.content.trim().toLowerCase();
-
-        // Parse the response
-        let severity = null;
-        if (response.includes("high")) {
-            severity = "high";
-        } else if (response.includes("medium")) {
-            severity = "medium";
-        } else if (response.includes("low")) {
-            severity = "low";
-        }
-
-        if (severity) {
-            console.log(`✅ [AI Analysis] ${modelName} successfully classified severity as: ${severity.toUpperCase()}`);
-            return severity;
-        }
-
-        console.log(`❌ [AI Analysis] ${modelName} returned unexpected response: "${response}"`);
-        return null;
-    } catch (error) {
-        // Check for authentication errors
-        if (error.response?.status === 401 || error.response?.status === 403) {
-            nimApiAvailable = false;
-            console.log(`❌ [AI Analysis] ${modelName} - Authentication failed (${error.response?.status}). Disabling API calls.`);
-        } else if (error.response?.status) {
-            console.log(`❌ [AI Analysis] ${modelName} - API error (${error.response?.status}): ${error.message}`);
-        } else {
-            console.log(`❌ [AI Analysis] ${modelName} - Request failed: ${error.message}`);
-        }
-        // Return null to trigger fallback
-        return null;
+function parseSeverityResponse(response) {
+    const json = extractJson(response);
+    if (json && typeof json.severity === "string") {
+        return findFirstWord(json.severity, VALID_SEVERITIES);
     }
+    return findFirstWord(response, VALID_SEVERITIES);
 }
 
 /**
  * Analyze incident severity with automatic fallback chain
  * 
  * Strategy:
- * 1. Try PRIMARY_MODEL (Llama 3.1) - best for classification
- * 2. Try SECONDARY_MODEL (Mistral) - backup option
- * 3. Fall back to rule-based pattern matching - always available
+ * 1. Try each provider/model of the "severity" chain in order
+ * 2. Fall back to rule-based pattern matching - always available
  * 
  * This ensures the system always returns a severity classification even if
- * NVIDIA APIs are unavailable.
+ * no LLM provider is reachable.
  * 
  * @param {string} text - Incident description and log text
+ * @param {array} [calls] - Collects the LLM requests made (see LlmRouter.complete)
+ * @param {object} [options] - { signal }: cancels the LLM requests (see LlmRouter.complete)
  * @returns {Promise<string>} - "high", "medium", or "low"
  */
-async function analyzeSeverity(text) {
+async function analyzeSeverity(text, calls, { signal } = {}) {
     console.log("📊 [AI Analysis] Starting severity analysis...");
     
     // Use fallback immediately if API is known to be unavailable
-    if (!nimApiAvailable || !NIM_API_KEY) {
-        console.log("⚠️ [AI Analysis] API unavailable, using rule-based fallback for severity");
+    if (!llmRouter.isAvailable("severity")) {
+        console.log("⚠️ [AI Analysis] No LLM provider available, using rule-based fallback for severity");
         return analyzeSeverityFallback(text);
     }
 
@@ -138,7 +120,7 @@ async function analyzeSeverity(text) {
         return analyzeSeverityFallback(text);
     }
 
-    // Truncate text if too long (NIM has token limits)
+    // Truncate text if too long (models have token limits)
     const truncatedText = text.length > 1000 ? text.substring(0, 1000) + "..." : text;
 
     const prompt = `Classify the severity of this incident as HIGH, MEDIUM, or LOW. 
@@ -148,22 +130,14 @@ Incident description: ${truncatedText}
 
 Severity:`;
 
-    // Try PRIMARY model first (Llama 3.1 - best for classification + reasoning)
-    console.log("🔵 [AI Analysis] Trying PRIMARY model: Llama 3.1 8B Instruct");
-    let result = await callNIMForSeverity(PRIMARY_MODEL, prompt);
-    if (result) {
-        return result;
+    const completion = await llmRouter.complete("severity", prompt, parseSeverityResponse, { calls, signal });
+    if (completion) {
+        console.log(`✅ [AI Analysis] ${completion.model} classified severity as: ${completion.result.toUpperCase()}`);
+        return completion.result;
     }
 
-    // Try SECONDARY model (Mistral - backup for quick classification)
-    console.log("🟡 [AI Analysis] Primary model failed, trying SECONDARY model: Mistral 7B Instruct");
-    result = await callNIMForSeverity(SECONDARY_MODEL, prompt);
-    if (result) {
-        return result;
-    }
-
-    // Both models failed - log and use fallback
-    console.log("🟠 [AI Analysis] Both AI models failed. Switching to rule-based pattern matching for severity...");
+    // Every model failed - log and use fallback
+    console.log("🟠 [AI Analysis] All AI models failed. Switching to rule-based pattern matching for severity...");
     const fallbackResult = analyzeSeverityFallback(text);
     console.log(`✅ [AI Analysis] Rule-based analysis classified severity as: ${fallbackResult.toUpperCase()}`);
     
@@ -174,7 +148,7 @@ Severity:`;
 /**
  * Rule-based severity analysis fallback
  * 
- * Used when NVIDIA NIM APIs are unavailable or fail.
+ * Used when no LLM provider is available or every model fails.
  * Uses keyword pattern matching to classify severity.
  * This ensures the system always returns results.
  */
@@ -210,89 +184,39 @@ function analyzeSeverityFallback(text) {
 }
 
 /**
- * Call NVIDIA NIM API for category classification
+ * Parse a category classification response
  * 
- * Classifies incident into one of: database, network, authentication, deployment, performance
- * Returns null if API call fails (triggers fallback).
+ * Accepts a JSON object ({ "category": "network" }) or a plain word.
  * 
- * @param {string} model - Model identifier (PRIMARY_MODEL or SECONDARY_MODEL)
- * @param {string} prompt - Formatted prompt text for category classification
- * @returns {Promise<string|null>} - Category string or null if failed
+ * @param {string} response - Raw model response
+ * @returns {string|null} - One of VALID_CATEGORIES, or null if unrecognized
  */
-async function callNIMForCategory(model, prompt) {
-    const modelName = model === PRIMARY_MODEL ? "Llama 3.1" : "Mistral";
-    console.log(`🤖 [AI Analysis] Attempting category analysis with ${modelName}...`);
-    
-    try {
-        const { data } = await axios.post(
-            `${NIM_BASE_URL}/v1/chat/completions`,
-            {
-                model: model,
-                messages: [
-                    {
-                        role: "user",
-                        content: prompt,
-                    },
-                ],
-                temperature: 0.3,
-                max_tokens: 20,
-            },
-            {
-                headers: NIM_HEADERS,
-                timeout: 15000, // 15 second timeout
-            }
-        );
-
-        if (!data || !data.choices || !data.choices[0] || !data.choices[0].message) {
-            console.log(`❌ [AI Analysis] ${modelName} returned invalid response format`);
-            return null;
-        }
-
-        const response = data.choices[0].message.content.trim().toLowerCase();
-
-        // Validate response is one of the allowed categories
-        const validCategories = ["database", "network", "authentication", "deployment", "performance"];
-        const matchedCategory = validCategories.find((cat) => response.includes(cat));
-
-        if (matchedCategory) {
-            console.log(`✅ [AI Analysis] ${modelName} successfully classified category as: ${matchedCategory.toUpperCase()}`);
-            return matchedCategory;
-        }
-
-        console.log(`❌ [AI Analysis] ${modelName} returned unexpected category: "${response}"`);
-        return null;
-    } catch (error) {
-        // Check for authentication errors
-        if (error.response?.status === 401 || error.response?.status === 403) {
-            nimApiAvailable = false;
-            console.log(`❌ [AI Analysis] ${modelName} - Authentication failed (${error.response?.status}). Disabling API calls.`);
-        } else if (error.response?.status) {
-            console.log(`❌ [AI Analysis] ${modelName} - API error (${error.response?.status}): ${error.message}`);
-        } else {
-            console.log(`❌ [AI Analysis] ${modelName} - Request failed: ${error.message}`);
-        }
-        // Return null to trigger fallback
-        return null;
+function parseCategoryResponse(response) {
+    const json = extractJson(response);
+    if (json && typeof json.category === "string") {
+        return findFirstWord(json.category, VALID_CATEGORIES);
     }
+    return findFirstWord(response, VALID_CATEGORIES);
 }
 
 /**
  * Analyze incident category with automatic fallback chain
  * 
  * Strategy:
- * 1. Try PRIMARY_MODEL (Llama 3.1) - best for classification
- * 2. Try SECONDARY_MODEL (Mistral) - backup option
- * 3. Fall back to rule-based pattern matching - always available
+ * 1. Try each provider/model of the "category" chain in order
+ * 2. Fall back to rule-based pattern matching - always available
  * 
  * @param {string} text - Incident description and log text
+ * @param {array} [calls] - Collects the LLM requests made (see LlmRouter.complete)
+ * @param {object} [options] - { signal }: cancels the LLM requests (see LlmRouter.complete)
  * @returns {Promise<string>} - One of: "database", "network", "authentication", "deployment", "performance"
  */
-async function analyzeCategory(text) {
+async function analyzeCategory(text, calls, { signal } = {}) {
     console.log("📊 [AI Analysis] Starting category analysis...");
     
     // Use fallback immediately if API is known to be unavailable
-    if (!nimApiAvailable || !NIM_API_KEY) {
-        console.log("⚠️ [AI Analysis] API unavailable, using rule-based fallback for category");
+    if (!llmRouter.isAvailable("category")) {
+        console.log("⚠️ [AI Analysis] No LLM provider available, using rule-based fallback for category");
         return analyzeCategoryFallback(text);
     }
 
@@ -318,22 +242,14 @@ Incident description: ${truncatedText}
 
 Category:`;
 
-    // Try PRIMARY model first (Llama 3.1 - best for classification + reasoning)
-    console.log("🔵 [AI Analysis] Trying PRIMARY model: Llama 3.1 8B Instruct");
-    let result = await callNIMForCategory(PRIMARY_MODEL, prompt);
-    if (result) {
-        return result;
-    }
-
-    // Try SECONDARY model (Mistral - backup for quick classification)
-    console.log("🟡 [AI Analysis] Primary model failed, trying SECONDARY model: Mistral 7B Instruct");
-    result = await callNIMForCategory(SECONDARY_MODEL, prompt);
-    if (result) {
-        return result;
+    const completion = await llmRouter.complete("category", prompt, parseCategoryResponse, { calls, signal });
+    if (completion) {
+        console.log(`✅ [AI Analysis] ${completion.model} classified category as: ${completion.result.toUpperCase()}`);
+        return completion.result;
     }
 
-    // Both models failed - log and use fallback
-    console.log("🟠 [AI Analysis] Both AI models failed. Switching to rule-based pattern matching for category...");
+    // Every model failed - log and use fallback
+    console.log("🟠 [AI Analysis] All AI models failed. Switching to rule-based pattern matching for category...");
     const fallbackResult = analyzeCategoryFallback(text);
     console.log(`✅ [AI Analysis] Rule-based analysis classified category as: ${fallbackResult.toUpperCase()}`);
     
@@ -345,7 +261,7 @@ Category:`;
  * Rule-based category analysis fallback
  * 
  * Uses keyword pattern matching to classify incidents into categories.
- * Called when NVIDIA NIM APIs are unavailable or fail.
+ * Called when no LLM provider is available or every model fails.
  */
 function analyzeCategoryFallback(text) {
     if (!text || typeof text !== "string") {
@@ -430,83 +346,29 @@ function analyzeCategoryFallback(text) {
     return "performance"; // Default fallback
 }
 
-/**
- * Call NVIDIA NIM API for root cause analysis
- * 
- * Makes HTTP POST request to NVIDIA NIM API for root cause identification.
- * Returns null if API call fails (triggers fallback).
- * 
- * @param {string} model - Model identifier (PRIMARY_MODEL or SECONDARY_MODEL)
- * @param {string} prompt - Formatted prompt text with incident context
- * @returns {Promise<string|null>} - Root cause text or null if failed
- */
-async function callNIMForRootCause(model, prompt) {
-    const modelName = model === PRIMARY_MODEL ? "Llama 3.1" : "Mistral";
-    console.log(`🤖 [AI Analysis] Attempting root cause analysis with ${modelName}...`);
-    
-    try {
-        const { data } = await axios.post(
-            `${NIM_BASE_URL}/v1/chat/completions`,
-            {
-                model: model,
-                messages: [
-                    {
-                        role: "user",
-                        content: prompt,
-                    },
-                ],
-                temperature: 0.3,
-                max_tokens: 200,
-            },
-            {
-                headers: NIM_HEADERS,
-                timeout: 20000, // 20 second timeout for more complex analysis
-            }
-        );
-
-        if (!data || !data.choices || !data.choices[0] || !data.choices[0].message) {
-            console.log(`❌ [AI Analysis] ${modelName} returned invalid response format`);
-            return null;
-        }
-
-        const response = data.choices[0].message.content.trim();
-        return response;
-    } catch (error) {
-        // Check for authentication errors
-        if (error.response?.status === 401 || error.response?.status === 403) {
-            nimApiAvailable = false;
-            console.log(`❌ [AI Analysis] ${modelName} - Authentication failed (${error.response?.status}). Disabling API calls.`);
-        } else if (error.response?.status) {
-            console.log(`❌ [AI Analysis] ${modelName} - API error (${error.response?.status}): ${error.message}`);
-        } else {
-            console.log(`❌ [AI Analysis] ${modelName} - Request failed: ${error.message}`);
-        }
-        // Return null to trigger fallback
-        return null;
-    }
-}
-
 /**
  * Analyze root cause with automatic fallback chain
  * 
  * Strategy:
- * 1. Try PRIMARY_MODEL (Llama 3.1) - best for reasoning and analysis
- * 2. Try SECONDARY_MODEL (Mistral) - backup option
- * 3. Fall back to rule-based pattern matching - always available
+ * 1. Try each provider/model of the "rootCause" chain in order
+ * 2. Fall back to rule-based pattern matching - always available
  * 
  * This is the most complex analysis task, requiring understanding of incident
  * context and log patterns.
  * 
  * @param {object} incident - Incident document from database
  * @param {array} logs - Array of log documents associated with incident
+ * @param {array} [calls] - Collects the LLM requests made (see LlmRouter.complete)
+ * @param {object} [stream] - { onToken, onAttempt, signal }: stream the response as it is
+ *   generated (see LlmRouter.complete)
  * @returns {Promise<object>} - { rootCause: string, rootCauseProbability: number }
  */
-async function analyzeRootCause(incident, logs) {
+async function analyzeRootCause(incident, logs, calls, { onToken, onAttempt, signal } = {}) {
     console.log("📊 [AI Analysis] Starting root cause analysis...");
     
     // Use fallback immediately if API is known to be unavailable
-    if (!nimApiAvailable || !NIM_API_KEY) {
-        console.log("⚠️ [AI Analysis] API unavailable, using rule-based fallback for root cause");
+    if (!llmRouter.isAvailable("rootCause")) {
+        console.log("⚠️ [AI Analysis] No LLM provider available, using rule-based fallback for root cause");
         return analyzeRootCauseFallback(incident, logs);
     }
 
@@ -541,30 +403,14 @@ ${truncatedText}
 
 ROOT_CAUSE:`;
 
-    // Try PRIMARY model first (Llama 3.1 - best for reasoning and analysis)
-    console.log("🔵 [AI Analysis] Trying PRIMARY model: Llama 3.1 8B Instruct");
-    let aiResponse = await callNIMForRootCause(PRIMARY_MODEL, prompt);
-    if (aiResponse) {
-        const rootCause = parseRootCauseResponse(aiResponse);
-        if (rootCause) {
-            console.log(`✅ [AI Analysis] Llama 3.1 successfully analyzed root cause`);
-            return rootCause;
-        }
+    const completion = await llmRouter.complete("rootCause", prompt, parseRootCauseResponse, { calls, onToken, onAttempt, signal });
+    if (completion) {
+        console.log(`✅ [AI Analysis] ${completion.model} successfully analyzed root cause`);
+        return completion.result;
     }
 
-    // Try SECONDARY model (Mistral - backup)
-    console.log("🟡 [AI Analysis] Primary model failed, trying SECONDARY model: Mistral 7B Instruct");
-    aiResponse = await callNIMForRootCause(SECONDARY_MODEL, prompt);
-    if (aiResponse) {
-        const rootCause = parseRootCauseResponse(aiResponse);
-        if (rootCause) {
-            console.log(`✅ [AI Analysis] Mistral successfully analyzed root cause`);
-            return rootCause;
-        }
-    }
-
-    // Both models failed - use fallback
-    console.log("🟠 [AI Analysis] Both AI models failed. Switching to rule-based pattern matching for root cause...");
+    // Every model failed - use fallback
+    console.log("🟠 [AI Analysis] All AI models failed. Switching to rule-based pattern matching for root cause...");
     const fallbackResult = analyzeRootCauseFallback(incident, logs);
     console.log(`✅ [AI Analysis] Rule-based analysis identified root cause: ${fallbackResult.rootCause}`);
     
@@ -572,46 +418,53 @@ ROOT_CAUSE:`;
 }
 
 /**
- * Parse NVIDIA NIM API response to extract root cause text
+ * Parse an LLM response to extract root cause text
  * 
  * Handles various response formats from LLM:
- * - Responses with "ROOT_CAUSE:" prefix (preferred format)
+ * - JSON objects ({ "rootCause": "...", "confidence": 0.8 })
+ * - Responses with a "ROOT_CAUSE:" prefix, possibly in markdown and spanning
+ *   several lines (preferred text format)
  * - Free-form text responses (fallback parsing)
  * 
- * Estimates confidence probability based on response quality.
+ * Uses the model's confidence when it gives one, otherwise estimates it from
+ * the response quality.
  * 
  * @param {string} response - Raw AI model response text
  * @returns {{rootCause: string, rootCauseProbability: number}|null} - Parsed result or null if invalid
  */
 function parseRootCauseResponse(response) {
-    try {
-        // Try to extract ROOT_CAUSE: from response
-        const rootCauseMatch = response.match(/ROOT_CAUSE:\s*(.+?)(?:\n|$)/i);
-        if (rootCauseMatch && rootCauseMatch[1]) {
-            const rootCause = rootCauseMatch[1].trim();
-            // Estimate probability based on response quality (AI responses typically high confidence)
-            const probability = rootCause.length > 50 ? 0.85 : 0.75;
-            return { rootCause, rootCauseProbability: probability };
-        }
-        
-        // If no ROOT_CAUSE: prefix, use first 300 chars as root cause
-        const rootCause = response.trim().substring(0, 300);
-        if (rootCause.length > 20) {
-            return { rootCause, rootCauseProbability: 0.75 };
-        }
-        
-        return null;
-    } catch (error) {
-        console.error("Error parsing root cause response:", error);
+    const json = extractJson(response);
+    if (json && typeof json.rootCause === "string" && json.rootCause.trim().length > 10) {
+        const confidence = Number(json.confidence);
+        return {
+            rootCause: json.rootCause.trim().substring(0, 1000),
+            rootCauseProbability: confidence >= 0 && confidence <= 1 ? confidence : 0.75,
+        };
+    }
+
+    const text = response.replace(/[*`#]+/g, "").trim();
+
+    // Everything after ROOT_CAUSE: up to the first blank line
+    const rootCauseMatch = text.match(/ROOT[_ ]CAUSE\s*:\s*([\s\S]+?)(?:\n\s*\n|$)/i);
+    const rootCause = (rootCauseMatch ? rootCauseMatch[1] : text)
+        .replace(/\s+/g, " ")
+        .trim()
+        .substring(0, 300);
+
+    if (rootCause.length <= (rootCauseMatch ? 10 : 20)) {
         return null;
     }
+
+    // Estimate probability based on response quality (AI responses typically high confidence)
+    const probability = rootCauseMatch && rootCause.length > 50 ? 0.85 : 0.75;
+    return { rootCause, rootCauseProbability: probability };
 }
 
 /**
  * Rule-based root cause analysis fallback
  * 
  * Uses keyword pattern matching on log messages to identify probable root causes.
- * Called when NVIDIA NIM APIs are unavailable or fail.
+ * Called when no LLM provider is available or every model fails.
  * 
  * @param {object} incident - Incident document
  * @param {array} logs - Array of log documents
@@ -647,4 +500,106 @@ function analyzeRootCauseFallback(incident, logs) {
     return { rootCause, rootCauseProbability: probability };
 }
 
-module.exports = { analyzeSeverity, analyzeCategory, analyzeRootCause };
+/**
+ * Prompt for the structured analysis
+ * 
+ * Log entries carry their ids so the model can cite them as evidence.
+ */
+function buildAnalysisPrompt(incident, logs) {
+    const logLines = logs
+        .slice(0, 30)
+        .map((l) => `${l._id} [${(l.level || "info").toUpperCase()}] ${String(l.message).substring(0, 300)}`)
+        .join("\n");
+
+    return `You are an incident analysis assistant. Analyze the incident below and respond with ONLY a JSON object, no other text:
+{
+  "severity": "high" | "medium" | "low",
+  "category": ${VALID_CATEGORIES.map((cat) => `"${cat}"`).join(" | ")},
+  "rootCause": "concise explanation of the most likely root cause",
+  "confidence": number between 0 and 1,
+  "suggestedActions": [{ "action": "snake_case_id", "description": "what an engineer should do", "confidence": number between 0 and 1 }],
+  "evidenceLogIds": ["ids of the log entries that support the root cause"]
+}
+
+Incident Title: ${incident.title || "Unknown"}
+Incident Description: ${incident.description || "No description"}
+Current Severity: ${incident.severity || "unknown"}
+Current Category: ${incident.category || "unknown"}
+Total Logs: ${logs.length}
+
+Log Entries (id [LEVEL] message):
+${logLines || "(none)"}`;
+}
+
+/**
+ * Normalize a structured analysis before validation
+ * 
+ * Models often capitalize enum values or give confidence as a percentage.
+ */
+function normalizeAnalysis(value) {
+    const normalized = { ...value };
+    for (const field of ["severity", "category"]) {
+        if (typeof normalized[field] === "string") normalized[field] = normalized[field].trim().toLowerCase();
+    }
+    if (typeof normalized.confidence === "string") normalized.confidence = Number(normalized.confidence);
+    if (normalized.confidence > 1 && normalized.confidence <= 100) normalized.confidence /= 100;
+    return normalized;
+}
+
+/**
+ * Analyze an incident with a single structured-output call
+ * 
+ * Strategy:
+ * 1. Try each provider/model of the "analysis" chain in order; a response
+ *    only counts if it contains a JSON object matching ANALYSIS_SCHEMA
+ * 2. Return null so the caller falls back to the per-field calls
+ * 
+ * Evidence log ids the model made up (not among `logs`) are dropped.
+ * 
+ * @param {object} incident - Incident document from database
+ * @param {array} logs - Log documents associated with the incident
+ * @param {array} [calls] - Collects the LLM requests made (see LlmRouter.complete)
+ * @param {object} [options] - { signal }: cancels the LLM requests (see LlmRouter.complete)
+ * @returns {Promise<object|null>} - { severity, category, rootCause, confidence, suggestedActions, evidenceLogIds, model }, or null
+ */
+async function analyzeIncidentStructured(incident, logs, calls, { signal } = {}) {
+    console.log("📊 [AI Analysis] Starting structured analysis...");
+
+    if (!llmRouter.isAvailable("analysis")) {
+        console.log("⚠️ [AI Analysis] No LLM provider available for structured analysis");
+        return null;
+    }
+
+    const completion = await llmRouter.complete(
+        "analysis",
+        buildAnalysisPrompt(incident, logs),
+        (response) => parseStructured(response, ANALYSIS_SCHEMA, normalizeAnalysis),
+        { calls, signal }
+    );
+    if (!completion) {
+        console.log("🟠 [AI Analysis] Structured analysis failed. Switching to per-field analysis...");
+        return null;
+    }
+
+    const logIds = new Set(logs.map((l) => l._id.toString()));
+    const result = completion.result;
+    console.log(`✅ [AI Analysis] ${completion.model} completed structured analysis`);
+
+    return {
+        severity: result.severity,
+        category: result.category,
+        rootCause: result.rootCause.trim(),
+        confidence: result.confidence,
+        suggestedActions: result.suggestedActions,
+        evidenceLogIds: [...new Set(result.evidenceLogIds)].filter((id) => logIds.has(id)),
+        model: `${completion.provider}/${completion.model}`,
+    };
+}
+
+module.exports = {
+    PROMPT_VERSION,
+    analyzeIncidentStructured,
+    analyzeSeverity,
+    analyzeCategory,
+    analyzeRootCause,
+};
@@ -0,0 +1,72 @@
+/**
+ * Request body schemas for /api/incidents
+ */
+
+const NOTES = { type: "string", maxLength: 2000 };
+
+// PATCH /api/incidents/:id/status
+const updateStatusSchema = {
+    type: "object",
+    properties: {
+        // Auto-resolution is disabled - only engineers can resolve incidents
+        status: { type: "string", enum: ["open", "investigating", "resolved"] },
+        notes: NOTES,
+    },
+    required: ["status"],
+    additionalProperties: false,
+};
+
+// POST /api/incidents/:id/acknowledge
+const acknowledgeSchema = {
+    type: "object",
+    properties: {
+        notes: NOTES,
+    },
+    additionalProperties: false,
+};
+
+// POST /api/incidents/:id/assign
+const assignSchema = {
+    type: "object",
+    properties: {
+        assignee: { type: "string", format: "email" },
+        notes: NOTES,
+    },
+    required: ["assignee"],
+    additionalProperties: false,
+};
+
+// POST /api/incidents/:id/approve-action
+// `action` is a recommendation from the AI analysis; extra fields (confidence, ...) are kept
+const approveActionSchema = {
+    type: "object",
+    properties: {
+        action: {
+            type: "object",
+            properties: {
+                action: { type: "string", minLength: 1 },
+                description: { type: "string", minLength: 1 },
+            },
+            required: ["action", "description"],
+        },
+    },
+    required: ["action"],
+    additionalProperties: false,
+};
+
+// POST /api/incidents/:id/analyses
+const requestAnalysisSchema = {
+    type: "object",
+    properties: {
+        force: { type: "boolean", default: false, description: "Run a new analysis even if a stored one matches the content" },
+    },
+    additionalProperties: false,
+};
+
+module.exports = {
+    updateStatusSchema,
+    acknowledgeSchema,
+    assignSchema,
+    approveActionSchema,
+    requestAnalysisSchema,
+};
@@ -0,0 +1,16 @@
+/**
+ * Request body schemas for /api/system/llm
+ */
+
+// POST /api/system/llm/reset
+const resetBreakersSchema = {
+    type: "object",
+    properties: {
+        model: { type: "string", minLength: 1, description: "\"provider/model\"; all breakers when omitted" },
+    },
+    additionalProperties: false,
+};
+
+module.exports = {
+    resetBreakersSchema,
+};
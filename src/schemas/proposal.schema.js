@@ -0,0 +1,16 @@
+/**
+ * Request body schemas for /api/proposals
+ */
+
+// POST /api/proposals/:id/approve and /api/proposals/:id/reject
+const decisionSchema = {
+    type: "object",
+    properties: {
+        notes: { type: "string", maxLength: 2000 },
+    },
+    additionalProperties: false,
+};
+
+module.exports = {
+    decisionSchema,
+};
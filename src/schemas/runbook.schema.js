@@ -0,0 +1,67 @@
+/**
+ * Request body schemas for /api/runbooks and runbook runs
+ *
+ * Executor-specific requirements (url vs command) are checked by the
+ * Runbook model.
+ */
+
+const executor = {
+    type: "object",
+    properties: {
+        type: { type: "string", enum: ["http", "webhook", "command"] },
+        method: { type: "string", enum: ["GET", "POST", "PUT", "PATCH", "DELETE"] },
+        url: { type: "string", minLength: 1, maxLength: 2048 },
+        headers: { type: "object", additionalProperties: { type: "string" } },
+        body: {},
+        secret: { type: "string", minLength: 1 },
+        command: { type: "string", minLength: 1 },
+        args: { type: "array", items: { type: "string" } },
+    },
+    required: ["type"],
+    additionalProperties: false,
+};
+
+const runbookProperties = {
+    action: { type: "string", pattern: "^[a-z0-9_]+$", maxLength: 100 },
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string", maxLength: 2000 },
+    enabled: { type: "boolean" },
+    executor,
+    timeout: { type: "integer", minimum: 1000, maximum: 600000 },
+};
+
+// POST /api/runbooks
+const createRunbookSchema = {
+    type: "object",
+    properties: runbookProperties,
+    required: ["action", "name", "executor"],
+    additionalProperties: false,
+};
+
+// PATCH /api/runbooks/:id (executor keys are merged one by one, so `type`
+// may be left out)
+const updateRunbookSchema = {
+    type: "object",
+    properties: {
+        ...runbookProperties,
+        executor: { ...executor, required: [] },
+    },
+    additionalProperties: false,
+};
+
+// POST /api/incidents/:id/runbook-runs
+const startRunSchema = {
+    type: "object",
+    properties: {
+        action: { type: "string", pattern: "^[a-z0-9_]+$" },
+        dryRun: { type: "boolean", default: false },
+    },
+    required: ["action"],
+    additionalProperties: false,
+};
+
+module.exports = {
+    createRunbookSchema,
+    updateRunbookSchema,
+    startRunSchema,
+};
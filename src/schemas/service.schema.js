@@ -0,0 +1,143 @@
+/**
+ * Request body schemas for /api/services
+ *
+ * Mirror the Service model (src/models/Service.js); Mongoose still applies
+ * its own validators on save.
+ */
+
+const WINDOW = { type: "string", pattern: "^\\d+[mhd]$" };
+
+const probe = {
+    type: "object",
+    properties: {
+        name: { type: "string", minLength: 1 },
+        path: { type: "string", pattern: "^/" },
+        method: { type: "string", enum: ["GET", "HEAD", "POST"] },
+        headers: { type: "object", additionalProperties: { type: "string" } },
+        body: {},
+        expectedStatus: { type: "array", items: { type: "integer", minimum: 100, maximum: 599 }, minItems: 1 },
+        assertions: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    path: { type: "string", minLength: 1 },
+                    operator: { type: "string", enum: ["equals", "notEquals", "in", "exists", "contains", "matches"] },
+                    value: {},
+                },
+                required: ["path"],
+                additionalProperties: false,
+            },
+        },
+        timeout: { type: "integer", minimum: 100, maximum: 60000 },
+        criticality: { type: "string", enum: ["critical", "major", "minor"] },
+        category: { type: "string", enum: ["performance", "database", "authentication", "network", "deployment"] },
+    },
+    required: ["name"],
+    additionalProperties: false,
+};
+
+const threshold = (countField) => ({
+    type: "object",
+    properties: {
+        [countField]: { type: "integer", minimum: 1, maximum: 50 },
+        window: { type: "integer", minimum: 1, maximum: 50 },
+    },
+    additionalProperties: false,
+});
+
+const monitoring = {
+    type: "object",
+    properties: {
+        interval: { type: "integer", minimum: 10000 },
+        jitter: { type: "integer", minimum: 0 },
+        timeout: { type: "integer", minimum: 100, maximum: 60000 },
+        failureThreshold: threshold("failures"),
+        recoveryThreshold: threshold("successes"),
+        flapDetection: {
+            type: "object",
+            properties: {
+                enabled: { type: "boolean" },
+                window: { type: "integer", minimum: 3, maximum: 50 },
+                threshold: { type: "number", minimum: 0.1, maximum: 1 },
+            },
+            additionalProperties: false,
+        },
+    },
+    additionalProperties: false,
+};
+
+const slo = {
+    type: "object",
+    properties: {
+        name: { type: "string", minLength: 1 },
+        type: { type: "string", enum: ["availability", "latency"] },
+        target: { type: "number", minimum: 0, maximum: 99.999 },
+        latencyThreshold: { type: "number", minimum: 1 },
+        window: WINDOW,
+        burnRateAlerts: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    longWindow: WINDOW,
+                    shortWindow: WINDOW,
+                    threshold: { type: "number", minimum: 0 },
+                    severity: { type: "string", enum: ["low", "medium", "high"] },
+                },
+                required: ["longWindow", "shortWindow", "threshold"],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ["name", "target"],
+    if: { properties: { type: { const: "latency" } }, required: ["type"] },
+    then: { required: ["latencyThreshold"] },
+    additionalProperties: false,
+};
+
+const serviceProperties = {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    url: { type: "string", pattern: "^https?://", maxLength: 2048 },
+    healthEndpoint: { type: "string", pattern: "^/" },
+    probes: { type: "array", items: probe },
+    monitoring,
+    slos: { type: "array", items: slo },
+    description: { type: "string", maxLength: 2000 },
+    category: { type: "string", enum: ["api", "database", "cache", "queue", "storage", "monitoring", "other"] },
+    metadata: {
+        type: "object",
+        properties: {
+            tags: { type: "array", items: { type: "string" } },
+            owner: { type: "string" },
+            team: { type: "string" },
+            environment: { type: "string", enum: ["production", "staging", "development"] },
+        },
+        additionalProperties: false,
+    },
+};
+
+// POST /api/services
+const createServiceSchema = {
+    type: "object",
+    properties: serviceProperties,
+    required: ["name", "url"],
+    additionalProperties: false,
+};
+
+// PATCH /api/services/:id
+// Every monitoring property (including the nested threshold and flap
+// settings) is applied key by key, so a partial object keeps the other values
+const updateServiceSchema = {
+    type: "object",
+    properties: {
+        ...serviceProperties,
+        enabled: { type: "boolean" },
+    },
+    additionalProperties: false,
+};
+
+module.exports = {
+    createServiceSchema,
+    updateServiceSchema,
+};
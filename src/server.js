@@ -2,6 +2,9 @@ require("dotenv").config();
 const app = require("./app");
 const connectDB = require("./config/db");
 const monitoringService = require("./services/monitoring.service");
+const escalationService = require("./services/escalation.service");
+const analysisJobService = require("./services/analysisJob.service");
+const { ensureBootstrapAdmin } = require("./services/auth.service");
 
 const PORT = process.env.PORT || 5000;
 
@@ -17,6 +20,11 @@ async function startServer() {
         }
         
         console.log("✅ MongoDB connected");
+
+        if (!process.env.JWT_SECRET) {
+            console.warn("⚠️ JWT_SECRET is not set - authenticated API routes will respond with 503");
+        }
+        await ensureBootstrapAdmin();
         
         // Start the HTTP server only after DB connection is established
         const server = app.listen(PORT, () => {
@@ -25,12 +33,22 @@ async function startServer() {
             // Start monitoring service after both DB and server are ready
             console.log("🔄 Starting continuous monitoring service...");
             monitoringService.start();
+
+            // Page on-call for incidents nobody has picked up
+            escalationService.start();
+
+            // Run queued AI analysis jobs
+            analysisJobService.start().catch((error) => {
+                console.error("❌ Error starting analysis worker:", error);
+            });
         });
         
         // Graceful shutdown
         process.on("SIGTERM", () => {
             console.log("SIGTERM signal received: closing HTTP server");
             monitoringService.stop();
+            escalationService.stop();
+            analysisJobService.stop();
             server.close(() => {
                 console.log("HTTP server closed");
                 process.exit(0);
@@ -40,6 +58,8 @@ async function startServer() {
         process.on("SIGINT", () => {
             console.log("SIGINT signal received: closing HTTP server");
             monitoringService.stop();
+            escalationService.stop();
+            analysisJobService.stop();
             server.close(() => {
                 console.log("HTTP server closed");
                 process.exit(0);
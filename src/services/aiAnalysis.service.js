@@ -1,20 +1,28 @@
 const Incident = require("../models/Incident");
 const Log = require("../models/Log");
 const {
+    analyzeIncidentStructured,
     analyzeSeverity,
     analyzeCategory,
     analyzeRootCause,
 } = require("../nvidia/navidia.client");
+const { llmRouter } = require("../llm/router");
+
+// Upper bound on the LLM part of one analysis (the structured chain plus the
+// per-field chains could otherwise add up to minutes); fields still missing
+// at the deadline come from the rule-based analysis
+const ANALYSIS_DEADLINE = parseInt(process.env.LLM_ANALYSIS_DEADLINE_MS, 10) || 60000;
 
 /**
  * Centralized AI Analysis Service (READ-ONLY)
  * 
- * This service provides AI-powered incident analysis using NVIDIA NIM APIs.
+ * This service provides AI-powered incident analysis using the configured LLM providers.
  * It is designed to be strictly read-only - it never modifies database state.
  * 
  * Key Design Principles:
  * 1. READ-ONLY: All operations are queries only, no mutations
- * 2. NVIDIA NIM Integration: Uses Llama 3.1 and Mistral models via NVIDIA NIM API
+ * 2. LLM Integration: OpenAI-compatible providers (NVIDIA NIM by default) with per-task fallback chains;
+ *    one structured-output call for the whole analysis, with per-field calls as the fallback
  * 3. Advisory Only: Returns recommendations, never auto-applies changes
  * 4. Human-in-the-Loop: Engineers must explicitly approve any actions via REST APIs
  * 
@@ -42,12 +50,33 @@ async function analyzeIncidentReadOnly(incidentId) {
 
     const logs = await Log.find({ incidentId }).sort({ createdAt: -1 });
 
-    // Build free-text context for the LLM
-    const text = `
+    return analyzeIncidentData(incident, logs);
+}
+
+/**
+ * Free-text context for the LLM
+ */
+function buildAnalysisText(incident, logs) {
+    return `
         ${incident.title || ""}.
         ${incident.description || ""}.
         ${logs.map((l) => l.message).join(" ")}
     `.trim();
+}
+
+/**
+ * Analyze an already loaded incident and its logs (READ-ONLY)
+ * 
+ * @param {object} incident - Incident document
+ * @param {array} logs - Log documents of the incident, newest first
+ * @param {object} [options] - { calls }: array collecting the LLM requests made
+ * @returns {Promise<object>} Analysis result object (see analyzeIncidentReadOnly);
+ *   LLM requests stop after LLM_ANALYSIS_DEADLINE_MS (default 60s)
+ * @throws {Error} If there is insufficient data for analysis
+ */
+async function analyzeIncidentData(incident, logs, { calls } = {}) {
+    const incidentId = incident._id;
+    const text = buildAnalysisText(incident, logs);
 
     if (!text || text.length < 10) {
         throw new Error("Insufficient data for analysis");
@@ -59,17 +88,141 @@ async function analyzeIncidentReadOnly(incidentId) {
     console.log(`📊 [AI Analysis] Analyzing ${logs.length} log entries`);
     console.log("=".repeat(60));
 
-    // Call NVIDIA NIM APIs for AI analysis (with automatic fallbacks)
-    // These functions try NVIDIA models first, then fall back to rule-based analysis
-    const severity = await analyzeSeverity(text);
-    const category = await analyzeCategory(text);
-    const { rootCause, rootCauseProbability } = await analyzeRootCause(
-        incident,
-        logs
+    // One structured call for the whole analysis; if it fails, the per-field
+    // calls try each configured model in order, then fall back to rule-based analysis
+    const signal = AbortSignal.timeout(ANALYSIS_DEADLINE);
+    const structured = await analyzeIncidentStructured(incident, logs, calls, { signal });
+
+    let fields;
+    if (structured) {
+        fields = {
+            severity: structured.severity,
+            category: structured.category,
+            rootCause: structured.rootCause,
+            rootCauseProbability: structured.confidence,
+        };
+    } else {
+        if (signal.aborted) {
+            console.log(`⏱️ [AI Analysis] ${ANALYSIS_DEADLINE}ms deadline reached - using rule-based analysis`);
+        }
+        fields = {
+            severity: await analyzeSeverity(text, calls, { signal }),
+            category: await analyzeCategory(text, calls, { signal }),
+            ...await analyzeRootCause(incident, logs, calls, { signal }),
+        };
+    }
+
+    const analysis = await buildAnalysis(incident, logs, fields, structured);
+
+    console.log("=".repeat(60));
+    console.log(
+        `✅ [AI Analysis] READ-ONLY analysis complete for incident: ${incidentId}`
     );
+    console.log("=".repeat(60) + "\n");
+
+    return analysis;
+}
+
+/**
+ * Stream an analysis while it is computed (READ-ONLY)
+ * 
+ * Runs the per-field analysis and reports each step through `emit(event, data)`:
+ *  - progress { step: "severity", severity } and { step: "category", category }
+ *  - attempt { task, provider, model } before each root-cause request
+ *    (tokens of an earlier attempt are void)
+ *  - token { text } as the model generates the root cause
+ *  - progress { step: "rootCause", rootCause, rootCauseProbability }
+ * 
+ * When no LLM provider is available the rule-based analysis runs without
+ * emitting anything; the caller sends the result as a single event. The LLM
+ * requests share the analysis deadline (see analyzeIncidentData).
+ * 
+ * @param {object} incident - Incident document
+ * @param {array} logs - Log documents of the incident, newest first
+ * @param {function} emit - Called with (event, data)
+ * @param {object} [options] - { calls, signal }: LLM request collector; abort signal
+ * @returns {Promise<object|null>} Analysis result object, or null if aborted
+ * @throws {Error} If there is insufficient data for analysis
+ */
+async function streamIncidentAnalysis(incident, logs, emit, { calls, signal } = {}) {
+    const llmAvailable = ["severity", "category", "rootCause"].some((task) => llmRouter.isAvailable(task));
+    if (!llmAvailable) {
+        return analyzeIncidentData(incident, logs, { calls });
+    }
+
+    const text = buildAnalysisText(incident, logs);
+    if (!text || text.length < 10) {
+        throw new Error("Insufficient data for analysis");
+    }
+
+    console.log(`🚀 [AI Analysis] Streaming READ-ONLY analysis for incident: ${incident._id}`);
+
+    // The deadline only cuts the LLM requests short; a client abort ends the stream
+    const deadline = AbortSignal.timeout(ANALYSIS_DEADLINE);
+    const llmSignal = signal ? AbortSignal.any([signal, deadline]) : deadline;
+
+    const severity = await analyzeSeverity(text, calls, { signal: llmSignal });
+    if (signal?.aborted) return null;
+    emit("progress", { step: "severity", severity });
+
+    const category = await analyzeCategory(text, calls, { signal: llmSignal });
+    if (signal?.aborted) return null;
+    emit("progress", { step: "category", category });
+
+    const { rootCause, rootCauseProbability } = await analyzeRootCause(incident, logs, calls, {
+        signal: llmSignal,
+        onAttempt: (attempt) => emit("attempt", attempt),
+        onToken: (token) => emit("token", { text: token }),
+    });
+    if (signal?.aborted) return null;
+    emit("progress", { step: "rootCause", rootCause, rootCauseProbability });
+
+    return buildAnalysis(incident, logs, { severity, category, rootCause, rootCauseProbability });
+}
+
+/**
+ * Recompute the read-only signals of a stored analysis result
+ * 
+ * The AI fields (severity, category, root cause, evidence and the model's
+ * suggested actions) are kept; the trend, status suggestion, rule-based
+ * actions and related incidents depend on the current time and on other
+ * incidents, so a cached result gets them fresh.
+ * 
+ * @param {object} result - Stored result of analyzeIncidentData / streamIncidentAnalysis
+ * @returns {Promise<object>} Analysis result object
+ */
+async function refreshAnalysis(incident, logs, result) {
+    const ai = result.aiAnalysis;
+    const structured = ai.analysisMode === "structured"
+        ? {
+            suggestedActions: ai.suggestedActions.filter((a) => a.source === "model"),
+            evidenceLogIds: ai.evidenceLogIds,
+            model: ai.model,
+        }
+        : null;
+
+    return buildAnalysis(incident, logs, {
+        severity: ai.aiSeverity,
+        category: ai.aiCategory,
+        rootCause: ai.rootCause,
+        rootCauseProbability: ai.rootCauseProbability,
+    }, structured);
+}
+
+/**
+ * Assemble the analysis result from the AI fields and the read-only signals
+ * 
+ * @param {object} fields - { severity, category, rootCause, rootCauseProbability }
+ * @param {object|null} [structured] - Result of the structured call, if it succeeded
+ */
+async function buildAnalysis(incident, logs, fields, structured = null) {
+    const { severity, category, rootCause, rootCauseProbability } = fields;
 
     const relatedIncidentIds = await findRelatedIncidents(incident, logs);
-    const suggestedActions = generateSuggestedActions(incident, logs, rootCause);
+    const suggestedActions = mergeSuggestedActions(
+        generateSuggestedActions(incident, logs, rootCause),
+        structured?.suggestedActions || []
+    );
     const trendAnalysis = analyzeTrend(logs);
 
     // Derive a SAFE, advisory status suggestion
@@ -80,7 +233,7 @@ async function analyzeIncidentReadOnly(incidentId) {
         trendAnalysis
     );
 
-    const analysis = {
+    return {
         incident: {
             id: incident._id,
             title: incident.title,
@@ -93,10 +246,13 @@ async function analyzeIncidentReadOnly(incidentId) {
             aiCategory: category,
             rootCause,
             rootCauseProbability,
+            evidenceLogIds: structured?.evidenceLogIds || [],
             relatedIncidentIds,
             suggestedActions,
             trendAnalysis,
             statusSuggestion,
+            analysisMode: structured ? "structured" : "per_field",
+            model: structured?.model || null,
         },
         explanation: `AI analyzed ${logs.length} log entries. Detected ${severity.toLowerCase()} severity issue in ${category} category. Root cause: ${rootCause} (${(
             rootCauseProbability * 100
@@ -105,14 +261,6 @@ async function analyzeIncidentReadOnly(incidentId) {
         errorCount: logs.filter((l) => l.level === "error").length,
         warningCount: logs.filter((l) => l.level === "warning").length,
     };
-
-    console.log("=".repeat(60));
-    console.log(
-        `✅ [AI Analysis] READ-ONLY analysis complete for incident: ${incidentId}`
-    );
-    console.log("=".repeat(60) + "\n");
-
-    return analysis;
 }
 
 // ============================================================================
@@ -252,6 +400,31 @@ function generateSuggestedActions(incident, logs, rootCause) {
     return actions;
 }
 
+/**
+ * Add the model's suggested actions to the rule-based ones
+ * 
+ * Model suggestions always require approval and are marked `source: "model"`;
+ * an action id the rules already suggest keeps the rule-based entry.
+ */
+function mergeSuggestedActions(ruleActions, modelActions) {
+    const actions = [...ruleActions];
+    const seen = new Set(actions.map((a) => a.action));
+
+    for (const suggestion of modelActions) {
+        if (seen.has(suggestion.action)) continue;
+        seen.add(suggestion.action);
+        actions.push({
+            action: suggestion.action,
+            description: suggestion.description,
+            confidence: suggestion.confidence ?? 0.6,
+            requiresApproval: true,
+            source: "model",
+        });
+    }
+
+    return actions;
+}
+
 /**
  * Analyze log trends to detect system degradation
  * 
@@ -327,6 +500,10 @@ function deriveStatusSuggestion(incident, logs, severity, trendAnalysis) {
 }
 
 module.exports = {
+    ANALYSIS_DEADLINE,
     analyzeIncidentReadOnly,
+    analyzeIncidentData,
+    streamIncidentAnalysis,
+    refreshAnalysis,
 };
 
@@ -0,0 +1,416 @@
+const crypto = require("crypto");
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+const Analysis = require("../models/Analysis");
+const {
+    ANALYSIS_DEADLINE,
+    analyzeIncidentData,
+    streamIncidentAnalysis,
+    refreshAnalysis,
+} = require("./aiAnalysis.service");
+const { PROMPT_VERSION } = require("../nvidia/navidia.client");
+const { llmRouter } = require("../llm/router");
+
+/**
+ * Analysis Job Service
+ *
+ * Runs AI analyses as persisted, versioned jobs instead of computing and
+ * discarding them on every call:
+ * - POST /api/incidents/:id/analyses queues a job; the worker runs queued
+ *   jobs in the background (ANALYSIS_WORKER_CONCURRENCY at a time)
+ * - every analysis is stored with its result, the provider/model that
+ *   produced it, the prompt version, each LLM request's latency and the
+ *   token usage
+ * - results are cached by a hash of the incident and log content (plus the
+ *   prompt version and LLM chain): reanalysing unchanged content returns the
+ *   stored analysis without any LLM call (with its time- and
+ *   incident-dependent signals recomputed, see refreshAnalysis)
+ * - the MCP analyzeIncident tool and the SSE stream
+ *   (GET /api/incidents/:id/analysis/stream) use the same cache and store
+ *   what they compute
+ */
+
+const ANALYSIS_TASKS = ["analysis", "severity", "category", "rootCause"];
+
+// A running job started longer ago than this is no longer worked on by any
+// process (analyses stop waiting for the LLM at ANALYSIS_DEADLINE)
+const STALE_AFTER = ANALYSIS_DEADLINE + 60 * 1000;
+
+/**
+ * Hash of everything an analysis is computed from
+ *
+ * @param {object} incident - Incident document
+ * @param {array} logs - Log documents of the incident
+ * @returns {string} sha256 hex digest
+ */
+function computeContentHash(incident, logs) {
+    const content = {
+        promptVersion: PROMPT_VERSION,
+        // A different model may well say something different
+        chains: ANALYSIS_TASKS.map((task) => llmRouter.getChain(task).map((entry) => `${entry.provider}/${entry.model}`)),
+        incident: {
+            title: incident.title || "",
+            description: incident.description || "",
+            severity: incident.severity || null,
+            category: incident.category || null,
+            status: incident.status || null,
+            serviceId: incident.serviceId ? incident.serviceId.toString() : null,
+        },
+        logs: logs
+            .map((log) => [log._id.toString(), log.level, log.message])
+            .sort((a, b) => a[0].localeCompare(b[0])),
+    };
+
+    return crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+}
+
+/**
+ * Who requested an analysis (REST user, or MCP user / API key)
+ */
+function describeRequester(requester = {}) {
+    return {
+        requestedBy: requester.user?.email || requester.apiKey?.name,
+        requestedByUserId: requester.user?._id,
+    };
+}
+
+/**
+ * Summarize the LLM requests of an analysis
+ */
+function summarizeCalls(calls, result) {
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    for (const call of calls) {
+        for (const field of Object.keys(usage)) {
+            usage[field] += call.usage?.[field] || 0;
+        }
+    }
+
+    // The request that produced the result: the structured call, or the
+    // last successful per-field call
+    const answered = calls.filter((call) => call.ok);
+    const producer = result.aiAnalysis.analysisMode === "structured"
+        ? answered.find((call) => call.task === "analysis")
+        : answered[answered.length - 1];
+
+    return {
+        llmCalls: calls,
+        usage,
+        latency: calls.reduce((sum, call) => sum + (call.latency || 0), 0),
+        analysisMode: answered.length > 0 ? result.aiAnalysis.analysisMode : "rule_based",
+        provider: producer?.provider,
+        model: producer?.model,
+    };
+}
+
+class AnalysisJobService {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+        this.pollInterval = 5000; // Pick up queued jobs every 5 seconds (and right after queueing)
+        this.concurrency = Math.max(1, parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY, 10) || 1);
+        this.active = 0;
+    }
+
+    /**
+     * Start the worker
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log("⚠️ Analysis worker already running");
+            return;
+        }
+
+        this.isRunning = true;
+        this.intervalId = setInterval(() => {
+            this.failStaleJobs();
+            this.processQueue();
+        }, this.pollInterval);
+        await this.failStaleJobs();
+        this.processQueue();
+
+        console.log(`✅ Analysis worker started (concurrency ${this.concurrency})`);
+    }
+
+    /**
+     * Stop picking up jobs (running jobs finish)
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.isRunning = false;
+        console.log("🛑 Analysis worker stopped");
+    }
+
+    /**
+     * Fail jobs whose process stopped before finishing them
+     *
+     * Only jobs running for longer than any analysis can take: other
+     * replicas and the stdio MCP process run jobs of their own.
+     */
+    async failStaleJobs() {
+        try {
+            const stale = await Analysis.updateMany(
+                { status: "running", startedAt: { $lt: new Date(Date.now() - STALE_AFTER) } },
+                { status: "failed", error: "Interrupted before the analysis finished", finishedAt: new Date() }
+            );
+            if (stale.modifiedCount > 0) {
+                console.log(`⚠️ Marked ${stale.modifiedCount} interrupted analysis job(s) as failed`);
+            }
+        } catch (error) {
+            console.error("❌ Error failing interrupted analysis jobs:", error);
+        }
+    }
+
+    async loadLogs(incident) {
+        return Log.find({ incidentId: incident._id }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Latest successful analysis of exactly this content
+     *
+     * Rule-based results (no model answered) aren't reused, so the next
+     * request tries the models again. The returned result has fresh
+     * read-only signals (trend, status suggestion, related incidents).
+     */
+    async findCached(incident, logs, contentHash) {
+        const cached = await Analysis.findOne({
+            incidentId: incident._id,
+            contentHash,
+            promptVersion: PROMPT_VERSION,
+            status: "succeeded",
+            analysisMode: { $ne: "rule_based" },
+        }).sort({ version: -1 });
+
+        // Served, not saved: the stored result stays what was computed at the time
+        if (cached) cached.result = await refreshAnalysis(incident, logs, cached.result);
+        return cached;
+    }
+
+    /**
+     * Create an analysis with the incident's next version number
+     */
+    async createAnalysis(fields) {
+        for (let attempt = 0; ; attempt++) {
+            const latest = await Analysis.findOne({ incidentId: fields.incidentId }).sort({ version: -1 }).select("version");
+            try {
+                return await Analysis.create({ ...fields, version: (latest?.version || 0) + 1, promptVersion: PROMPT_VERSION });
+            } catch (error) {
+                // Another analysis took the version number
+                if (error.code !== 11000 || attempt >= 4) throw error;
+            }
+        }
+    }
+
+    /**
+     * Queue an analysis of an incident
+     *
+     * @param {object} incident - Incident document
+     * @param {object} requester - { user } or { apiKey }
+     * @param {object} options - { force: skip the cache, source: "rest" | "mcp" }
+     * @returns {Promise<{analysis: object, cached: boolean, queued: boolean}>}
+     *   cached: a stored analysis of the same content; queued: false when a job
+     *   for the same content was already queued or running
+     */
+    async enqueue(incident, requester, { force = false, source = "rest" } = {}) {
+        const logs = await this.loadLogs(incident);
+        const contentHash = computeContentHash(incident, logs);
+
+        if (!force) {
+            const cached = await this.findCached(incident, logs, contentHash);
+            if (cached) return { analysis: cached, cached: true, queued: false };
+        }
+
+        const pending = await Analysis.findOne({
+            incidentId: incident._id,
+            contentHash,
+            status: { $in: ["queued", "running"] },
+        });
+        if (pending) return { analysis: pending, cached: false, queued: false };
+
+        const analysis = await this.createAnalysis({
+            incidentId: incident._id,
+            contentHash,
+            source,
+            ...describeRequester(requester),
+        });
+
+        this.processQueue();
+        return { analysis, cached: false, queued: true };
+    }
+
+    /**
+     * Analyze an incident now, reusing a stored analysis of the same content
+     * (used by the MCP analyzeIncident tool)
+     *
+     * @returns {Promise<object>} The analysis result, with an `analysisRecord` summary
+     * @throws {Error} If the incident is not found or the analysis fails
+     */
+    async analyzeNow(incidentId, requester) {
+        const incident = await Incident.findById(incidentId);
+        if (!incident) {
+            throw new Error("Incident not found");
+        }
+
+        const logs = await this.loadLogs(incident);
+        const contentHash = computeContentHash(incident, logs);
+
+        let analysis = await this.findCached(incident, logs, contentHash);
+        const cached = Boolean(analysis);
+        if (!cached) {
+            analysis = await this.createAnalysis({
+                incidentId: incident._id,
+                contentHash,
+                source: "mcp",
+                status: "running",
+                startedAt: new Date(),
+                ...describeRequester(requester),
+            });
+            analysis = await this.run(analysis, incident, logs);
+            if (analysis.status === "failed") {
+                throw new Error(analysis.error);
+            }
+        }
+
+        return {
+            ...analysis.result,
+            analysisRecord: {
+                id: analysis._id,
+                version: analysis.version,
+                createdAt: analysis.createdAt,
+                provider: analysis.provider,
+                model: analysis.model,
+                promptVersion: analysis.promptVersion,
+                cached,
+            },
+        };
+    }
+
+    /**
+     * Stream an analysis of an incident (see streamIncidentAnalysis), reusing
+     * a stored analysis of the same content
+     *
+     * @param {object} incident - Incident document
+     * @param {object} requester - { user } or { apiKey }
+     * @param {function} emit - Called with (event, data) for progress and tokens
+     * @param {object} options - { force: skip the cache, signal: aborts when the client disconnects }
+     * @returns {Promise<{analysis: object, cached: boolean}|null>} null if aborted
+     */
+    async stream(incident, requester, emit, { force = false, signal } = {}) {
+        const logs = await this.loadLogs(incident);
+        const contentHash = computeContentHash(incident, logs);
+
+        if (!force) {
+            const cached = await this.findCached(incident, logs, contentHash);
+            if (cached) return { analysis: cached, cached: true };
+        }
+
+        const job = await this.createAnalysis({
+            incidentId: incident._id,
+            contentHash,
+            source: "stream",
+            status: "running",
+            startedAt: new Date(),
+            ...describeRequester(requester),
+        });
+
+        const calls = [];
+        let result;
+        try {
+            result = await streamIncidentAnalysis(incident, logs, emit, { calls, signal });
+        } catch (error) {
+            await this.finish(job, { status: "failed", error: error.message, llmCalls: calls });
+            throw error;
+        }
+
+        if (!result) {
+            await this.finish(job, { status: "failed", error: "Client disconnected before the analysis finished", llmCalls: calls });
+            return null;
+        }
+
+        const analysis = await this.finish(job, { status: "succeeded", result, ...summarizeCalls(calls, result) });
+        return { analysis, cached: false };
+    }
+
+    /**
+     * Claim and run queued jobs up to the concurrency limit
+     */
+    async processQueue() {
+        while (this.isRunning && this.active < this.concurrency) {
+            this.active++;
+            let job;
+            try {
+                job = await Analysis.findOneAndUpdate(
+                    { status: "queued" },
+                    { status: "running", startedAt: new Date() },
+                    { sort: { queuedAt: 1 }, new: true }
+                );
+            } catch (error) {
+                console.error("❌ Error claiming analysis job:", error);
+            }
+
+            if (!job) {
+                this.active--;
+                return;
+            }
+
+            this.runJob(job)
+                .catch((error) => console.error(`❌ Error running analysis job ${job._id}:`, error))
+                .finally(() => {
+                    this.active--;
+                    this.processQueue();
+                });
+        }
+    }
+
+    async runJob(job) {
+        const incident = await Incident.findById(job.incidentId);
+        if (!incident) {
+            return this.finish(job, { status: "failed", error: "Incident not found" });
+        }
+        return this.run(job, incident, await this.loadLogs(incident));
+    }
+
+    /**
+     * Run an analysis and store its outcome
+     *
+     * The stored hash is that of the content actually analysed (it may have
+     * changed since the job was queued).
+     */
+    async run(job, incident, logs) {
+        console.log(`🧠 [Analysis] Running analysis v${job.version} for incident ${incident._id}`);
+        const calls = [];
+        try {
+            const result = await analyzeIncidentData(incident, logs, { calls });
+            return await this.finish(job, {
+                status: "succeeded",
+                contentHash: computeContentHash(incident, logs),
+                result,
+                ...summarizeCalls(calls, result),
+            });
+        } catch (error) {
+            return this.finish(job, { status: "failed", error: error.message, llmCalls: calls });
+        }
+    }
+
+    async finish(job, outcome) {
+        const finishedAt = new Date();
+        const finished = await Analysis.findByIdAndUpdate(
+            job._id,
+            {
+                ...outcome,
+                finishedAt,
+                duration: job.startedAt ? finishedAt - job.startedAt : undefined,
+            },
+            { new: true }
+        );
+        console.log(`${outcome.status === "succeeded" ? "✅" : "❌"} [Analysis] Analysis v${job.version} ${outcome.status}${outcome.error ? ` - ${outcome.error}` : ""}`);
+        return finished;
+    }
+}
+
+// Singleton instance
+const analysisJobService = new AnalysisJobService();
+
+module.exports = analysisJobService;
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+
+/**
+ * API Key Service
+ *
+ * Scoped keys for machine callers and MCP clients. Keys look like
+ * `iak_<random>`; only their SHA-256 hash is stored.
+ *
+ * Scopes:
+ * - events:ingest           POST /api/system/events
+ * - mcp:tools:<toolName>    one read-only MCP tool
+ * - mcp:tools:*             every read-only MCP tool
+ * - mcp:propose:<toolName>  one proposal tool (proposeStatusChange, proposeAction)
+ * - mcp:propose:*           every proposal tool (never granted by mcp:tools:*)
+ * - mcp:resources           every MCP resource (read and subscribe)
+ * - *                       everything
+ */
+
+const KEY_PREFIX = "iak_";
+const DISPLAY_PREFIX_LENGTH = 12;
+
+function hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function isApiKey(token) {
+    return typeof token === "string" && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Whether a set of scopes grants `required`
+ * A scope ending in "*" grants everything under its prefix.
+ */
+function hasScope(scopes = [], required) {
+    return scopes.some((scope) =>
+        scope === required || (scope.endsWith("*") && required.startsWith(scope.slice(0, -1)))
+    );
+}
+
+/**
+ * Issue a new key
+ *
+ * @param {object} data - { name, scopes, expiresAt }
+ * @param {object} [user] - Admin issuing the key
+ * @returns {Promise<{apiKey: object, key: string}>} The stored key and its plaintext (shown once)
+ */
+async function createApiKey({ name, scopes, expiresAt }, user) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const apiKey = await ApiKey.create({
+        name,
+        scopes,
+        expiresAt,
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashKey(key),
+        createdBy: user?._id,
+    });
+
+    return { apiKey, key };
+}
+
+/**
+ * Look up a presented key
+ *
+ * @returns {Promise<{apiKey: object|null, reason?: string}>}
+ */
+async function findActiveApiKey(key) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+
+    if (!apiKey) return { apiKey: null, reason: "Invalid API key" };
+    if (apiKey.revokedAt) return { apiKey: null, reason: "API key has been revoked" };
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return { apiKey: null, reason: "API key has expired" };
+
+    return { apiKey };
+}
+
+/**
+ * Record key usage (fire-and-forget)
+ */
+function touchApiKey(apiKey, ip) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip }).catch((error) => {
+        console.error(`Error recording API key usage for ${apiKey.prefix}:`, error);
+    });
+}
+
+module.exports = {
+    isApiKey,
+    hasScope,
+    createApiKey,
+    findActiveApiKey,
+    touchApiKey,
+};
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+
+/**
+ * Auth Service
+ *
+ * Password hashing (scrypt), JWT issuance/verification and the bootstrap
+ * admin account.
+ *
+ * Environment:
+ * - JWT_SECRET: signing secret (required - authentication is disabled without it)
+ * - JWT_EXPIRES_IN: token lifetime (default "12h")
+ * - ADMIN_EMAIL / ADMIN_PASSWORD: admin created on startup when no users exist
+ */
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Higher roles include every permission of the lower ones
+const ROLE_RANK = { viewer: 0, responder: 1, admin: 2 };
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, "hex");
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @throws {Error} If the password is too weak
+ */
+function validatePassword(password) {
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+function isConfigured() {
+    return Boolean(process.env.JWT_SECRET);
+}
+
+/**
+ * Issue an access token for a user
+ *
+ * @returns {{token: string, expiresIn: string}}
+ */
+function issueToken(user) {
+    const expiresIn = process.env.JWT_EXPIRES_IN || "12h";
+    const token = jwt.sign(
+        { sub: user._id.toString(), email: user.email, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn }
+    );
+    return { token, expiresIn };
+}
+
+/**
+ * @returns {object} Decoded token payload
+ * @throws {Error} If the token is invalid or expired
+ */
+function verifyToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+/**
+ * Whether a role grants at least the permissions of `minRole`
+ */
+function hasRole(role, minRole) {
+    return (ROLE_RANK[role] ?? -1) >= ROLE_RANK[minRole];
+}
+
+/**
+ * Check credentials
+ *
+ * @returns {Promise<object|null>} The active user, or null if the credentials are wrong
+ */
+async function authenticateUser(email, password) {
+    if (typeof email !== "string" || typeof password !== "string") return null;
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select("+passwordHash");
+    if (!user || !user.active) return null;
+    if (!(await verifyPassword(password, user.passwordHash))) return null;
+
+    user.lastLoginAt = new Date();
+    await user.save();
+    return user;
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no users yet
+ */
+async function ensureBootstrapAdmin() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return null;
+
+    if (await User.exists({})) return null;
+
+    validatePassword(ADMIN_PASSWORD);
+    const admin = await User.create({
+        email: ADMIN_EMAIL,
+        name: "Administrator",
+        role: "admin",
+        passwordHash: await hashPassword(ADMIN_PASSWORD),
+    });
+    console.log(`👤 Created bootstrap admin ${admin.email}`);
+    return admin;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    validatePassword,
+    isConfigured,
+    issueToken,
+    verifyToken,
+    hasRole,
+    authenticateUser,
+    ensureBootstrapAdmin,
+};
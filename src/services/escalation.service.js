@@ -0,0 +1,185 @@
+const Incident = require("../models/Incident");
+const Service = require("../models/Service");
+const EscalationPolicy = require("../models/EscalationPolicy");
+const { findPolicyForService, resolveLevelTargets } = require("./oncall.service");
+const { dispatchToTargets } = require("./notification.service");
+
+/**
+ * Escalation Service
+ *
+ * Pages the escalation policy of an incident's service while the incident
+ * stays "open". Moving it to "investigating" (or resolving it) stops the
+ * escalation.
+ *
+ * For each open incident:
+ * - first pass: attach the service's policy and page level 0
+ * - when a level's timeoutMinutes elapse: page the next level and record an
+ *   `escalated` event in the incident timeline
+ * - after the last level: start over if the policy repeats, else stop
+ * - no matching policy: nothing is paged; the lookup is retried on every check
+ */
+class EscalationService {
+    constructor() {
+        this.isRunning = false;
+        this.intervalId = null;
+        this.checkInterval = 60000; // Check every 60 seconds (1 minute)
+    }
+
+    /**
+     * Start periodic escalation checks
+     */
+    start() {
+        if (this.isRunning) {
+            console.log("⚠️ Escalation service already running");
+            return;
+        }
+
+        this.isRunning = true;
+        this.intervalId = setInterval(async () => {
+            await this.processOpenIncidents();
+        }, this.checkInterval);
+
+        // Immediate first check
+        this.processOpenIncidents();
+
+        console.log(`✅ Escalation service started (checks every ${this.checkInterval / 1000}s)`);
+    }
+
+    /**
+     * Stop periodic escalation checks
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.isRunning = false;
+        console.log("🛑 Escalation service stopped");
+    }
+
+    /**
+     * Advance escalation for every open incident that still needs it
+     */
+    async processOpenIncidents() {
+        try {
+            const incidents = await Incident.find({
+                status: "open",
+                "escalation.exhausted": { $ne: true },
+            });
+
+            for (const incident of incidents) {
+                try {
+                    await this.processIncident(incident);
+                } catch (error) {
+                    console.error(`❌ Error escalating incident ${incident._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error("❌ Error processing escalations:", error);
+        }
+    }
+
+    /**
+     * Start or advance escalation for one incident
+     */
+    async processIncident(incident, now = new Date()) {
+        // First pass: find the policy and page level 0
+        if (!incident.escalation?.policyId) {
+            const service = incident.serviceId ? await Service.findById(incident.serviceId) : null;
+            const policy = await findPolicyForService(service);
+
+            // Nothing to page yet - look again on the next check, so a policy
+            // created or widened while the incident is open still applies
+            if (!policy) return;
+
+            await this.pageLevel(incident, policy, 0, 0, "escalation_started", now);
+            return;
+        }
+
+        const policy = await EscalationPolicy.findById(incident.escalation.policyId);
+        if (!policy) {
+            // The policy was deleted - start over with whatever policy matches now
+            await Incident.updateOne({ _id: incident._id, status: "open" }, { $unset: { escalation: 1 } });
+            return;
+        }
+
+        const { level, cycle = 0, levelStartedAt } = incident.escalation;
+        const currentLevel = policy.levels[level];
+        const timeoutMs = (currentLevel?.timeoutMinutes || 0) * 60 * 1000;
+        if (currentLevel && now.getTime() - levelStartedAt.getTime() < timeoutMs) {
+            return; // Still waiting for acknowledgement
+        }
+
+        if (level + 1 < policy.levels.length) {
+            await this.pageLevel(incident, policy, level + 1, cycle, "escalated", now);
+        } else if (cycle < policy.repeat) {
+            await this.pageLevel(incident, policy, 0, cycle + 1, "escalated", now);
+        } else {
+            await Incident.updateOne({ _id: incident._id }, {
+                "escalation.exhausted": true,
+                $push: {
+                    timeline: {
+                        timestamp: now,
+                        event: "escalation_exhausted",
+                        status: incident.status,
+                        actor: "system",
+                        details: { policy: policy.name, levels: policy.levels.length, cycles: cycle + 1 },
+                    },
+                },
+            });
+            console.log(`⛔ Escalation exhausted for incident ${incident._id} (policy: ${policy.name})`);
+        }
+    }
+
+    /**
+     * Page one level of a policy and record it on the incident
+     */
+    async pageLevel(incident, policy, levelIndex, cycle, event, now) {
+        const { people, channelIds } = await resolveLevelTargets(policy.levels[levelIndex]);
+        const details = {
+            policy: policy.name,
+            policyId: policy._id.toString(),
+            level: levelIndex,
+            cycle,
+            recipients: people.map((p) => p.name),
+            channels: channelIds.map((id) => id.toString()),
+        };
+
+        // Only move on if the incident is still open (an engineer may have just picked it up)
+        const updated = await Incident.findOneAndUpdate(
+            { _id: incident._id, status: "open" },
+            {
+                escalation: {
+                    policyId: policy._id,
+                    level: levelIndex,
+                    cycle,
+                    levelStartedAt: now,
+                    exhausted: false,
+                },
+                "metadata.lastUpdatedAt": now,
+                $push: {
+                    timeline: {
+                        timestamp: now,
+                        event,
+                        status: "open",
+                        actor: "system",
+                        details,
+                    },
+                },
+            },
+            { new: true }
+        );
+        if (!updated) return;
+
+        dispatchToTargets("escalated", updated, details, { channelIds, people }).catch((error) => {
+            console.error(`❌ [Notify] Error paging level ${levelIndex} for incident ${incident._id}:`, error);
+        });
+
+        console.log(`📟 ${event === "escalation_started" ? "Paged" : "Escalated"} incident ${incident._id} to level ${levelIndex} of ${policy.name}: ${details.recipients.join(", ") || "no on-call person"}`);
+    }
+}
+
+// Singleton instance
+const escalationService = new EscalationService();
+
+module.exports = escalationService;
@@ -0,0 +1,208 @@
+const mongoose = require("mongoose");
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+const Service = require("../models/Service");
+const monitoringService = require("./monitoring.service");
+
+/**
+ * Event Ingestion Service
+ *
+ * Accepts events pushed by monitored applications (POST /api/system/events)
+ * so failures are reported the moment they happen instead of on the next
+ * health poll.
+ *
+ * Rules:
+ * - Every event must reference a registered service (by id or by name)
+ * - warning/error events open or update the service's incident using the same
+ *   dedup rule as the health poller (one open incident per service)
+ * - info events are appended to the open incident if there is one, and
+ *   otherwise skipped (logs always belong to an incident)
+ */
+
+const MAX_BATCH_SIZE = 100;
+const VALID_LEVELS = ["info", "warning", "error"];
+const VALID_CATEGORIES = Incident.schema.path("category").enumValues;
+
+/**
+ * Validate and normalize a single raw event
+ *
+ * @param {object} raw - Event as received in the request body
+ * @returns {{event: object|null, error: string|null}}
+ */
+function normalizeEvent(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { event: null, error: "Event must be an object" };
+    }
+
+    const { serviceId, service, level = "error", message, tags = [], timestamp } = raw;
+
+    if (!serviceId && !service) {
+        return { event: null, error: "Either 'serviceId' or 'service' (name) is required" };
+    }
+    if (serviceId && !mongoose.isValidObjectId(serviceId)) {
+        return { event: null, error: "'serviceId' must be a valid ObjectId" };
+    }
+    if (service !== undefined && (typeof service !== "string" || !service.trim())) {
+        return { event: null, error: "'service' must be a non-empty string" };
+    }
+    if (!VALID_LEVELS.includes(level)) {
+        return { event: null, error: `'level' must be one of: ${VALID_LEVELS.join(", ")}` };
+    }
+    if (!message || typeof message !== "string") {
+        return { event: null, error: "'message' must be a non-empty string" };
+    }
+    if (!Array.isArray(tags) || tags.some(t => typeof t !== "string")) {
+        return { event: null, error: "'tags' must be an array of strings" };
+    }
+
+    const occurredAt = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(occurredAt.getTime())) {
+        return { event: null, error: "'timestamp' must be a valid date" };
+    }
+
+    return {
+        event: { serviceId, service: service?.trim(), level, message: message.trim(), tags, occurredAt },
+        error: null,
+    };
+}
+
+/**
+ * Resolve the Service document an event refers to
+ */
+async function findServiceForEvent(event) {
+    if (event.serviceId) {
+        return Service.findById(event.serviceId);
+    }
+    return Service.findOne({ name: event.service });
+}
+
+/**
+ * Severity for a batch of failure events from one service
+ *
+ * Mirrors determineSeverityFromEndpoints: several errors at once are high,
+ * a single error is medium, warnings alone are low.
+ */
+function determineSeverityFromEvents(failureEvents) {
+    const errorCount = failureEvents.filter(e => e.level === "error").length;
+    if (errorCount >= 2) return "high";
+    if (errorCount === 1) return "medium";
+    return "low";
+}
+
+/**
+ * Category for a batch of failure events, taken from the first tag that
+ * matches an incident category (defaults to "performance" like the poller)
+ */
+function determineCategoryFromEvents(failureEvents) {
+    for (const event of failureEvents) {
+        const match = event.tags.find(tag => VALID_CATEGORIES.includes(tag.toLowerCase()));
+        if (match) return match.toLowerCase();
+    }
+    return "performance";
+}
+
+function toLogEntry(service, event) {
+    return {
+        message: event.message,
+        level: event.level,
+        serviceId: service._id,
+        tags: event.tags,
+        occurredAt: event.occurredAt,
+    };
+}
+
+/**
+ * Ingest a batch of events
+ *
+ * Events are grouped per service and processed in timestamp order. Invalid
+ * events and events for unknown services are rejected individually; the rest
+ * of the batch is still processed.
+ *
+ * @param {array} rawEvents - Events from the request body
+ * @returns {Promise<object>} Summary: accepted/skipped/rejected counts and touched incidents
+ */
+async function ingestEvents(rawEvents) {
+    const rejected = [];
+    const byService = new Map();
+
+    for (let index = 0; index < rawEvents.length; index++) {
+        const { event, error } = normalizeEvent(rawEvents[index]);
+        if (error) {
+            rejected.push({ index, error });
+            continue;
+        }
+
+        const service = await findServiceForEvent(event);
+        if (!service) {
+            rejected.push({ index, error: `Service not found: ${event.serviceId || event.service}` });
+            continue;
+        }
+
+        const key = service._id.toString();
+        if (!byService.has(key)) {
+            byService.set(key, { service, events: [] });
+        }
+        byService.get(key).events.push(event);
+    }
+
+    let accepted = 0;
+    let skipped = 0;
+    const incidents = [];
+
+    for (const { service, events } of byService.values()) {
+        events.sort((a, b) => a.occurredAt - b.occurredAt);
+        const failureEvents = events.filter(e => e.level !== "info");
+
+        if (failureEvents.length > 0) {
+            const { incident, created } = await monitoringService.openOrUpdateServiceIncident(service, {
+                title: `${service.name} - Reported Failure`,
+                description: `Service reported: ${failureEvents[0].message}`,
+                severity: determineSeverityFromEvents(failureEvents),
+                category: determineCategoryFromEvents(failureEvents),
+                details: {
+                    url: service.url,
+                    source: "event",
+                    eventCount: events.length,
+                },
+                logs: events.map(e => toLogEntry(service, e)),
+            });
+
+            accepted += events.length;
+            incidents.push({ incidentId: incident._id, serviceId: service._id, created });
+            console.log(`${created ? "🔔 Created" : "📝 Updated"} incident for ${service.name} from ${events.length} pushed event(s)`);
+            continue;
+        }
+
+        // Only info events - attach to the open incident if there is one
+        const openIncident = await Incident.findOne({
+            serviceId: service._id,
+            status: { $in: ["open", "investigating"] },
+        });
+
+        if (!openIncident) {
+            skipped += events.length;
+            continue;
+        }
+
+        await Log.insertMany(events.map(e => ({ ...toLogEntry(service, e), incidentId: openIncident._id })));
+        await Incident.findByIdAndUpdate(openIncident._id, {
+            "metadata.lastUpdatedAt": new Date(),
+            $inc: { "metadata.logCount": events.length },
+        });
+
+        accepted += events.length;
+        incidents.push({ incidentId: openIncident._id, serviceId: service._id, created: false });
+    }
+
+    return {
+        accepted,
+        skipped,
+        rejected,
+        incidents,
+    };
+}
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    ingestEvents,
+};
@@ -0,0 +1,264 @@
+const HealthCheckResult = require("../models/HealthCheckResult");
+const HealthCheckRollup = require("../models/HealthCheckRollup");
+
+/**
+ * Health History Service
+ *
+ * Persists every health check the MonitoringService runs and answers
+ * uptime/latency questions about a service.
+ *
+ * Storage:
+ * - HealthCheckResult: one document per check, TTL-expired after
+ *   HEALTH_CHECK_RETENTION_DAYS (default 7)
+ * - HealthCheckRollup: hourly buckets (counts + latency histogram), updated
+ *   on write and kept for HEALTH_ROLLUP_RETENTION_DAYS (default 90)
+ *
+ * Windows that fit in raw retention are computed exactly from raw results;
+ * longer windows use the rollups (percentiles and outages become approximate).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const WINDOWS = {
+    "24h": 24 * HOUR_MS,
+    "7d": 7 * 24 * HOUR_MS,
+    "30d": 30 * 24 * HOUR_MS,
+};
+
+const { LATENCY_BUCKETS } = HealthCheckRollup;
+
+function histogramKey(responseTime) {
+    const bound = LATENCY_BUCKETS.find((b) => responseTime <= b);
+    return bound === undefined ? "le_inf" : `le_${bound}`;
+}
+
+function startOfHour(date) {
+    return new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+}
+
+/**
+ * Record the outcome of one service check
+ *
+ * @param {object} service - Service document
+ * @param {array} endpointResults - Probe results from healthProbe.service
+ * @param {Date} [checkedAt] - When the check ran
+ * @returns {Promise<object>} The stored HealthCheckResult
+ */
+async function recordCheck(service, endpointResults, checkedAt = new Date()) {
+    const healthy = endpointResults.every((r) => r.healthy);
+    const responseTime = Math.max(0, ...endpointResults.map((r) => r.responseTime || 0));
+
+    const result = await HealthCheckResult.create({
+        serviceId: service._id,
+        checkedAt,
+        healthy,
+        responseTime,
+        probes: endpointResults.map((r) => ({
+            name: r.name,
+            endpoint: r.endpoint,
+            method: r.method,
+            healthy: r.healthy,
+            status: typeof r.status === "number" ? r.status : undefined,
+            responseTime: r.responseTime,
+            error: r.error,
+            data: r.data,
+        })),
+    });
+
+    await HealthCheckRollup.updateOne(
+        { serviceId: service._id, bucketStart: startOfHour(checkedAt) },
+        {
+            $inc: {
+                checks: 1,
+                healthyChecks: healthy ? 1 : 0,
+                latencySum: responseTime,
+                [`latencyHistogram.${histogramKey(responseTime)}`]: 1,
+            },
+            $min: { latencyMin: responseTime },
+            $max: { latencyMax: responseTime },
+        },
+        { upsert: true }
+    );
+
+    return result;
+}
+
+/**
+ * Exact percentile (nearest-rank) of a sorted array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Approximate percentile from merged histogram counts (bucket upper bound)
+ */
+function histogramPercentile(histogram, total, p, max) {
+    if (total === 0) return null;
+    const target = Math.ceil((p / 100) * total);
+    let seen = 0;
+    for (const bound of LATENCY_BUCKETS) {
+        seen += histogram[`le_${bound}`] || 0;
+        if (seen >= target) return bound;
+    }
+    return max ?? null;
+}
+
+/**
+ * Group consecutive unhealthy checks into outages
+ *
+ * An outage starts at its first failed check and ends at the next healthy
+ * check (or is still ongoing if the latest check failed).
+ */
+function outagesFromResults(results) {
+    const outages = [];
+    let current = null;
+
+    for (const result of results) {
+        if (!result.healthy) {
+            if (!current) {
+                current = { start: result.checkedAt, end: null, failedChecks: 0, errors: new Set() };
+            }
+            current.failedChecks++;
+            for (const probe of result.probes || []) {
+                if (!probe.healthy && probe.error) current.errors.add(`${probe.name}: ${probe.error}`);
+            }
+        } else if (current) {
+            current.end = result.checkedAt;
+            outages.push(current);
+            current = null;
+        }
+    }
+    if (current) outages.push(current);
+
+    return outages.map((o) => ({
+        start: o.start,
+        end: o.end,
+        ongoing: o.end === null,
+        durationMs: (o.end || new Date()).getTime() - o.start.getTime(),
+        failedChecks: o.failedChecks,
+        errors: [...o.errors].slice(0, 5),
+    }));
+}
+
+async function uptimeFromRaw(serviceId, since) {
+    const results = await HealthCheckResult.find({ serviceId, checkedAt: { $gte: since } })
+        .sort({ checkedAt: 1 })
+        .select("checkedAt healthy responseTime probes.name probes.healthy probes.error")
+        .lean();
+
+    const latencies = results.map((r) => r.responseTime || 0).sort((a, b) => a - b);
+    const healthyChecks = results.filter((r) => r.healthy).length;
+
+    return {
+        source: "raw",
+        checks: results.length,
+        healthyChecks,
+        latency: {
+            p50: percentile(latencies, 50),
+            p95: percentile(latencies, 95),
+            p99: percentile(latencies, 99),
+            avg: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            max: latencies.length ? latencies[latencies.length - 1] : null,
+        },
+        outages: outagesFromResults(results),
+    };
+}
+
+async function uptimeFromRollups(serviceId, since) {
+    const rollups = await HealthCheckRollup.find({ serviceId, bucketStart: { $gte: startOfHour(since) } })
+        .sort({ bucketStart: 1 })
+        .lean();
+
+    const histogram = {};
+    let checks = 0;
+    let healthyChecks = 0;
+    let latencySum = 0;
+    let latencyMax = null;
+
+    for (const rollup of rollups) {
+        checks += rollup.checks;
+        healthyChecks += rollup.healthyChecks;
+        latencySum += rollup.latencySum;
+        latencyMax = Math.max(latencyMax ?? 0, rollup.latencyMax ?? 0);
+        for (const [key, count] of Object.entries(rollup.latencyHistogram || {})) {
+            histogram[key] = (histogram[key] || 0) + count;
+        }
+    }
+
+    // Hour-granular outages: contiguous hours that had at least one failed check
+    const outages = [];
+    let current = null;
+    for (const rollup of rollups) {
+        const failed = rollup.checks - rollup.healthyChecks;
+        const hourEnd = new Date(rollup.bucketStart.getTime() + HOUR_MS);
+        if (failed > 0) {
+            if (current && current.end.getTime() === rollup.bucketStart.getTime()) {
+                current.end = hourEnd;
+                current.failedChecks += failed;
+            } else {
+                current = { start: rollup.bucketStart, end: hourEnd, failedChecks: failed };
+                outages.push(current);
+            }
+        }
+    }
+
+    return {
+        source: "rollup",
+        checks,
+        healthyChecks,
+        latency: {
+            p50: histogramPercentile(histogram, checks, 50, latencyMax),
+            p95: histogramPercentile(histogram, checks, 95, latencyMax),
+            p99: histogramPercentile(histogram, checks, 99, latencyMax),
+            avg: checks ? Math.round(latencySum / checks) : null,
+            max: latencyMax,
+        },
+        outages: outages.map((o) => ({
+            start: o.start,
+            end: o.end,
+            durationMs: o.end.getTime() - o.start.getTime(),
+            failedChecks: o.failedChecks,
+            approximate: true,
+        })),
+    };
+}
+
+/**
+ * Uptime and latency summary for a service over a window
+ *
+ * @param {string} serviceId - Service MongoDB ObjectId
+ * @param {string} window - "24h", "7d" or "30d"
+ * @returns {Promise<object>} Availability percentage, latency percentiles, outages
+ * @throws {Error} If the window is not supported
+ */
+async function getUptime(serviceId, window = "24h") {
+    const windowMs = WINDOWS[window];
+    if (!windowMs) {
+        throw new Error(`Invalid window '${window}'. Must be one of: ${Object.keys(WINDOWS).join(", ")}`);
+    }
+
+    const until = new Date();
+    const since = new Date(until.getTime() - windowMs);
+    const useRaw = windowMs <= HealthCheckResult.RETENTION_DAYS * 24 * HOUR_MS;
+
+    const stats = useRaw ? await uptimeFromRaw(serviceId, since) : await uptimeFromRollups(serviceId, since);
+
+    return {
+        window,
+        from: since,
+        to: until,
+        ...stats,
+        availability: stats.checks > 0
+            ? Number(((stats.healthyChecks / stats.checks) * 100).toFixed(3))
+            : null,
+    };
+}
+
+module.exports = {
+    WINDOWS,
+    recordCheck,
+    getUptime,
+};
@@ -0,0 +1,237 @@
+const axios = require("axios");
+const dns = require("dns");
+
+// Configure DNS to prefer IPv4
+dns.setDefaultResultOrder("ipv4first");
+
+/**
+ * Health Probe Service
+ *
+ * Runs the health probes declared on a Service and decides whether each one
+ * passed. Used by both the MonitoringService and POST /api/services/:id/test
+ * so manual tests and background monitoring apply the same criteria.
+ *
+ * A probe passes when:
+ * - the request completes within its timeout,
+ * - the response status is in `expectedStatus`, and
+ * - every body assertion holds.
+ *
+ * Services without custom probes get a single default probe on their
+ * `healthEndpoint`, with the classic criteria: HTTP 200 and a body `status`
+ * of "healthy" or "degraded".
+ */
+
+const DEFAULT_TIMEOUT = 5000;
+
+// Helper function to normalize localhost URLs to use 127.0.0.1
+function normalizeLocalhostUrl(url) {
+    if (!url) return url;
+    // Replace localhost with 127.0.0.1 to avoid IPv6 resolution issues
+    return url.replace(/localhost/g, "127.0.0.1").replace(/::1/g, "127.0.0.1");
+}
+
+/**
+ * Build the default probe for a service without custom probes
+ */
+function defaultProbe(service) {
+    return {
+        name: "overall health",
+        path: service.healthEndpoint || "/health",
+        method: "GET",
+        headers: {},
+        expectedStatus: [200],
+        assertions: [{ path: "$.status", operator: "in", value: ["healthy", "degraded"] }],
+        timeout: DEFAULT_TIMEOUT,
+        criticality: "critical",
+    };
+}
+
+/**
+ * Get the probes to run for a service
+ *
+ * @param {object} service - Service document
+ * @returns {array} Plain probe objects
+ */
+function getServiceProbes(service) {
+    const probes = service.probes || [];
+    if (probes.length === 0) {
+        return [defaultProbe(service)];
+    }
+    return probes.map((probe) => (typeof probe.toObject === "function" ? probe.toObject() : probe));
+}
+
+/**
+ * Resolve a simple JSONPath expression against a value
+ *
+ * Supports the dotted/bracketed subset used in probe assertions:
+ * `$`, `$.a.b`, `$.items[0].status`, `$['key with spaces']`.
+ *
+ * @returns {{found: boolean, value: any}}
+ */
+function resolveJsonPath(data, path) {
+    if (!path || path === "$") {
+        return { found: true, value: data };
+    }
+
+    const tokens = [];
+    const re = /\.([^.[\]]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/g;
+    const expr = path.startsWith("$") ? path.slice(1) : `.${path}`;
+    let match;
+    let consumed = 0;
+    while ((match = re.exec(expr)) !== null) {
+        if (match.index !== consumed) break;
+        tokens.push(match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[3] ?? match[4]));
+        consumed = re.lastIndex;
+    }
+    if (consumed !== expr.length) {
+        return { found: false, value: undefined };
+    }
+
+    let current = data;
+    for (const token of tokens) {
+        if (current === null || typeof current !== "object" || !(token in current)) {
+            return { found: false, value: undefined };
+        }
+        current = current[token];
+    }
+    return { found: true, value: current };
+}
+
+/**
+ * Evaluate a single body assertion
+ *
+ * @returns {string|null} Failure message, or null if the assertion holds
+ */
+function checkAssertion(data, assertion) {
+    const { path, operator = "equals", value } = assertion;
+    const { found, value: actual } = resolveJsonPath(data, path);
+
+    switch (operator) {
+        case "exists":
+            return found === (value !== false) ? null : `${path} ${value === false ? "should not exist" : "is missing"}`;
+        case "equals":
+            return found && actual === value ? null : `${path} expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`;
+        case "notEquals":
+            return !found || actual !== value ? null : `${path} should not equal ${JSON.stringify(value)}`;
+        case "in":
+            return found && Array.isArray(value) && value.includes(actual)
+                ? null
+                : `${path} expected one of ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`;
+        case "contains":
+            if (found && typeof actual === "string" && actual.includes(String(value))) return null;
+            if (found && Array.isArray(actual) && actual.includes(value)) return null;
+            return `${path} does not contain ${JSON.stringify(value)}`;
+        case "matches":
+            try {
+                return found && new RegExp(value).test(String(actual)) ? null : `${path} does not match /${value}/`;
+            } catch (error) {
+                return `${path} has invalid pattern: ${error.message}`;
+            }
+        default:
+            return `Unknown assertion operator '${operator}'`;
+    }
+}
+
+/**
+ * Describe a request error the same way the monitor always has
+ */
+function describeRequestError(error, url) {
+    if (error.code === "ECONNREFUSED") return `Service unreachable: Connection refused on ${url}`;
+    if (error.code === "ECONNRESET") return `Service connection reset: ${url}`;
+    if (error.code === "ETIMEDOUT" || error.code === "ECONNABORTED") return `Service timed out: ${url}`;
+    return error.message;
+}
+
+/**
+ * Run one probe against a service
+ *
+ * Never throws: request failures are reported as unhealthy results.
+ *
+ * @param {object} service - Service document
+ * @param {object} probe - Plain probe object
+ * @returns {Promise<object>} Probe result
+ */
+async function runProbe(service, probe) {
+    // Normalize URL to use 127.0.0.1 instead of localhost
+    const baseUrl = normalizeLocalhostUrl(service.url.replace(/\/$/, "")); // Remove trailing slash
+    const url = `${baseUrl}${probe.path}`;
+    const expectedStatus = probe.expectedStatus?.length ? probe.expectedStatus : [200];
+    const headers = probe.headers instanceof Map ? Object.fromEntries(probe.headers) : probe.headers || {};
+    const startTime = Date.now();
+
+    const base = {
+        endpoint: probe.path,
+        name: probe.name,
+        method: probe.method || "GET",
+        url,
+        criticality: probe.criticality || "major",
+        category: probe.category,
+    };
+
+    try {
+        const response = await axios.request({
+            url,
+            method: base.method,
+            headers,
+            data: base.method === "POST" ? probe.body : undefined,
+            timeout: probe.timeout || DEFAULT_TIMEOUT,
+            validateStatus: () => true, // Accept any status code
+        });
+        const responseTime = Date.now() - startTime;
+
+        const failures = [];
+        if (!expectedStatus.includes(response.status)) {
+            failures.push(`Expected status ${expectedStatus.join("/")}, got ${response.status}`);
+        }
+        for (const assertion of probe.assertions || []) {
+            const failure = checkAssertion(response.data, assertion);
+            if (failure) failures.push(failure);
+        }
+
+        return {
+            ...base,
+            healthy: failures.length === 0,
+            status: response.status,
+            responseTime,
+            data: response.data,
+            ...(failures.length > 0 ? { error: failures.join("; ") } : {}),
+        };
+    } catch (error) {
+        return {
+            ...base,
+            healthy: false,
+            responseTime: Date.now() - startTime,
+            error: describeRequestError(error, url),
+        };
+    }
+}
+
+/**
+ * Run all probes of a service concurrently
+ *
+ * Each probe's timeout is clamped to the service's `monitoring.timeout`, so
+ * a whole check never takes longer than that.
+ *
+ * @param {object} service - Service document
+ * @returns {Promise<array>} Probe results in probe order
+ */
+async function runServiceProbes(service) {
+    const serviceTimeout = service.monitoring?.timeout;
+    const probes = getServiceProbes(service).map((probe) => ({
+        ...probe,
+        timeout: serviceTimeout
+            ? Math.min(probe.timeout || DEFAULT_TIMEOUT, serviceTimeout)
+            : probe.timeout,
+    }));
+
+    return Promise.all(probes.map((probe) => runProbe(service, probe)));
+}
+
+module.exports = {
+    normalizeLocalhostUrl,
+    getServiceProbes,
+    resolveJsonPath,
+    checkAssertion,
+    runProbe,
+    runServiceProbes,
+};
@@ -0,0 +1,98 @@
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+
+/**
+ * Incident Statistics Service (READ-ONLY)
+ *
+ * System-wide incident statistics and per-incident history, shared by the
+ * REST API (GET /api/system/stats, GET /api/incidents/:id/history) and the
+ * MCP tools (getSystemStats, getIncidentHistory).
+ */
+
+function average(values) {
+    const known = values.filter((value) => typeof value === "number");
+    return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+/**
+ * Simplified system statistics (essential metrics only)
+ *
+ * @returns {Promise<{summary: object, metrics: object}>}
+ */
+async function getSystemStats() {
+    const totalIncidents = await Incident.countDocuments();
+    const openIncidents = await Incident.countDocuments({ status: { $in: ["open", "investigating"] } });
+    const resolvedIncidents = await Incident.countDocuments({ status: "resolved", resolvedBy: "engineer" });
+    const totalLogs = await Log.countDocuments();
+
+    // MTTA / MTTR over every incident that has the respective measurement
+    const [metrics] = await Incident.aggregate([
+        {
+            $group: {
+                _id: null,
+                mtta: { $avg: "$timeToAcknowledge" },
+                mttr: { $avg: "$resolutionTime" },
+                acknowledged: { $sum: { $cond: [{ $gt: ["$timeToAcknowledge", null] }, 1, 0] } },
+                resolved: { $sum: { $cond: [{ $gt: ["$resolutionTime", null] }, 1, 0] } },
+            },
+        },
+    ]);
+
+    return {
+        summary: {
+            totalIncidents,
+            openIncidents,
+            resolvedIncidents,
+            totalLogs,
+        },
+        metrics: {
+            mtta: metrics?.mtta ?? null, // in milliseconds
+            mttr: metrics?.mttr ?? null, // in milliseconds
+            acknowledgedIncidents: metrics?.acknowledged || 0,
+            resolvedIncidents: metrics?.resolved || 0,
+        },
+    };
+}
+
+/**
+ * Related (same category, still open) and similar (same category, resolved)
+ * incidents, with resolution statistics of the similar ones
+ *
+ * @param {object} incident - Incident document
+ * @returns {Promise<{relatedIncidents: array, similarIncidents: array, statistics: object}>}
+ */
+async function getIncidentHistory(incident) {
+    const relatedIncidents = await Incident.find({
+        category: incident.category,
+        status: { $in: ["open", "investigating"] },
+        _id: { $ne: incident._id },
+    })
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .select("title status severity createdAt resolvedAt");
+
+    const similarIncidents = await Incident.find({
+        category: incident.category,
+        status: "resolved",
+        _id: { $ne: incident._id },
+    })
+    .sort({ createdAt: -1 })
+    .limit(5)
+    .select("title status severity createdAt resolvedAt resolutionTime timeToAcknowledge");
+
+    return {
+        relatedIncidents,
+        similarIncidents,
+        statistics: {
+            averageResolutionTime: similarIncidents.length > 0
+                ? similarIncidents.reduce((sum, inc) => sum + (inc.resolutionTime || 0), 0) / similarIncidents.length
+                : null,
+            averageAcknowledgeTime: average(similarIncidents.map((inc) => inc.timeToAcknowledge)),
+        },
+    };
+}
+
+module.exports = {
+    getSystemStats,
+    getIncidentHistory,
+};
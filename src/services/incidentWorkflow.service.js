@@ -0,0 +1,142 @@
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+const { notifyIncidentEvent } = require("./notification.service");
+
+/**
+ * Incident Workflow Service
+ *
+ * Engineer-driven incident changes shared by the REST routes and approved
+ * proposals (src/services/proposal.service.js). Every change is recorded on
+ * the incident timeline and as a log, attributed to the engineer.
+ */
+
+/**
+ * Change the status of an incident (with timeline tracking)
+ *
+ * @param {object} incident - Incident document (before the change)
+ * @param {object} change - { status, notes }
+ * @param {object} user - Engineer making the change
+ * @param {object} [extraDetails] - Merged into the timeline details (e.g. { proposalId })
+ * @returns {Promise<object>} Updated incident
+ */
+async function changeIncidentStatus(incident, { status, notes }, user, extraDetails = {}) {
+    const oldStatus = incident.status;
+
+    // Update status and timeline
+    const updateData = {
+        status,
+        "metadata.lastUpdatedAt": new Date(),
+    };
+
+    // Re-opened incidents need a new acknowledgement and start escalating
+    // from the first level again (the earlier acknowledgement stays on the timeline)
+    if (status === "open" && oldStatus !== "open") {
+        updateData.$unset = { escalation: 1, acknowledgedAt: 1, acknowledgedBy: 1, timeToAcknowledge: 1 };
+    }
+
+    // Track resolution
+    if (status === "resolved" && oldStatus !== "resolved") {
+        updateData.resolvedAt = new Date();
+        updateData.resolutionTime = Date.now() - incident.createdAt;
+        updateData.resolvedBy = "engineer";
+    }
+
+    // Picking up an unacknowledged incident counts as acknowledging it
+    if (status === "investigating" && !incident.acknowledgedAt) {
+        const now = new Date();
+        updateData.acknowledgedAt = now;
+        updateData.acknowledgedBy = user.email;
+        updateData.timeToAcknowledge = now - incident.createdAt;
+    }
+
+    // Add timeline event
+    const timelineEvent = {
+        timestamp: new Date(),
+        event: "status_change",
+        status: status,
+        actor: user.email,
+        userId: user._id,
+        details: {
+            from: oldStatus,
+            to: status,
+            notes: notes || null,
+            ...extraDetails,
+        },
+    };
+
+    updateData.$push = { timeline: timelineEvent };
+
+    const updatedIncident = await Incident.findByIdAndUpdate(
+        incident._id,
+        updateData,
+        { new: true }
+    );
+
+    // System auto-creates log
+    await Log.create({
+        incidentId: incident._id,
+        message: `Status updated from ${oldStatus} to ${status} by ${user.email}${notes ? ` - ${notes}` : ""}`,
+        level: "info",
+        actor: user.email,
+    });
+
+    if (status !== oldStatus) {
+        notifyIncidentEvent(status === "resolved" ? "resolved" : "status_changed", updatedIncident, {
+            from: oldStatus,
+            to: status,
+            notes: notes || null,
+        });
+    }
+
+    return updatedIncident;
+}
+
+/**
+ * Record the approval of an AI-suggested action on the incident timeline
+ *
+ * @param {object} incident - Incident document
+ * @param {object} action - { action, description, ... } from the AI analysis
+ * @param {object} user - Engineer approving the action
+ * @param {object} [extraDetails] - Merged into the timeline details (e.g. { proposalId })
+ * @returns {Promise<object>} Updated incident
+ */
+async function recordApprovedAction(incident, action, user, extraDetails = {}) {
+    // Add timeline event
+    const timelineEvent = {
+        timestamp: new Date(),
+        event: "ai_action_approved",
+        status: incident.status,
+        actor: user.email,
+        userId: user._id,
+        details: {
+            action: action.action,
+            description: action.description,
+            approved: true,
+            ...extraDetails,
+        },
+    };
+
+    const updatedIncident = await Incident.findByIdAndUpdate(
+        incident._id,
+        {
+            $push: { timeline: timelineEvent },
+            "metadata.lastUpdatedAt": new Date(),
+        },
+        { new: true }
+    );
+
+    // System auto-creates log
+    await Log.create({
+        incidentId: incident._id,
+        message: `AI action approved: ${action.action} - ${action.description}`,
+        level: "info",
+        actor: user.email,
+    });
+
+    return updatedIncident;
+}
+
+module.exports = {
+    changeIncidentStatus,
+    recordApprovedAction,
+};
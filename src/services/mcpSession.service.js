@@ -0,0 +1,206 @@
+const crypto = require("crypto");
+const { resourceEvents } = require("./resourceEvents");
+
+/**
+ * MCP Session Service
+ *
+ * Sessions for the MCP Streamable HTTP transport:
+ * - created by `initialize`, identified by the `Mcp-Session-Id` header
+ * - bound to the principal (user or API key) that created them
+ * - one server-to-client SSE stream per session (GET); a new GET replaces the old stream
+ * - every server-initiated message gets an event id and is kept in a bounded
+ *   buffer, so a client reconnecting with `Last-Event-ID` receives what it missed
+ * - idle sessions without an open stream expire after SESSION_TTL_MS
+ *
+ * Changes from the resource event feed are pushed as
+ * `notifications/resources/updated` to the sessions subscribed to the URI
+ * (resources/subscribe):
+ * - incident://<id>         an incident was opened or changed
+ * - incidents://open        an incident was opened or changed
+ * - incident://<id>/logs    a log was appended to an incident
+ * - service://<id>/health   a health check of the service was recorded
+ *
+ * New incidents also change resources/list, announced to every session with
+ * `notifications/resources/list_changed`.
+ */
+
+const SESSION_TTL_MS = 30 * 60 * 1000;
+const MAX_BUFFERED_EVENTS = 100;
+const KEEP_ALIVE_MS = 25000;
+const SWEEP_INTERVAL_MS = 60000;
+
+class McpSessionService {
+    constructor() {
+        this.sessions = new Map();
+        this.keepAliveId = null;
+        this.sweepId = null;
+
+        resourceEvents.on("incident.created", (incident) => {
+            this.notifyResourceUpdated(`incident://${incident._id}`);
+            this.notifyResourceUpdated("incidents://open");
+            this.notifyResourceListChanged();
+        });
+        resourceEvents.on("incident.updated", (incidentId) => {
+            this.notifyResourceUpdated(`incident://${incidentId}`);
+            this.notifyResourceUpdated("incidents://open");
+        });
+        resourceEvents.on("log.created", (log) => {
+            if (log.incidentId) this.notifyResourceUpdated(`incident://${log.incidentId}/logs`);
+        });
+        resourceEvents.on("service.checked", (serviceId) => {
+            this.notifyResourceUpdated(`service://${serviceId}/health`);
+        });
+    }
+
+    /**
+     * Create a session for a principal ("user:<id>" or "apikey:<id>")
+     */
+    create(principal) {
+        const session = {
+            id: crypto.randomUUID(),
+            principal,
+            createdAt: new Date(),
+            lastSeenAt: new Date(),
+            protocolVersion: null,
+            clientInfo: null,
+            initialized: false,
+            subscriptions: new Set(), // resource URIs
+            nextEventId: 1,
+            events: [], // { id, message } - newest last
+            stream: null,
+        };
+
+        this.sessions.set(session.id, session);
+        this.startTimers();
+        return session;
+    }
+
+    /**
+     * Look up a session; sessions are only visible to the principal that created them
+     *
+     * @returns {object|null}
+     */
+    get(id, principal) {
+        const session = this.sessions.get(id);
+        if (!session || session.principal !== principal) return null;
+
+        session.lastSeenAt = new Date();
+        return session;
+    }
+
+    close(id) {
+        const session = this.sessions.get(id);
+        if (!session) return false;
+
+        if (session.stream) session.stream.end();
+        this.sessions.delete(id);
+        if (this.sessions.size === 0) this.stopTimers();
+        return true;
+    }
+
+    /**
+     * Attach the SSE stream of a session, replaying buffered events after lastEventId
+     *
+     * @param {object} session
+     * @param {object} res - Express response (SSE headers not yet sent)
+     * @param {string} [lastEventId] - Last-Event-ID header from a reconnecting client
+     */
+    attachStream(session, res, lastEventId) {
+        if (session.stream) session.stream.end();
+
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+            "Mcp-Session-Id": session.id,
+        });
+        res.flushHeaders();
+        session.stream = res;
+
+        const lastId = parseInt(lastEventId, 10);
+        if (!Number.isNaN(lastId)) {
+            for (const event of session.events) {
+                if (event.id > lastId) this.writeEvent(res, event);
+            }
+        }
+
+        res.on("close", () => {
+            if (session.stream === res) session.stream = null;
+            session.lastSeenAt = new Date();
+        });
+    }
+
+    writeEvent(res, event) {
+        res.write(`id: ${event.id}\nevent: message\ndata: ${JSON.stringify(event.message)}\n\n`);
+    }
+
+    /**
+     * Queue a server-initiated JSON-RPC message for a session
+     */
+    send(session, message) {
+        const event = { id: session.nextEventId++, message };
+        session.events.push(event);
+        if (session.events.length > MAX_BUFFERED_EVENTS) session.events.shift();
+
+        if (session.stream) this.writeEvent(session.stream, event);
+    }
+
+    notifyResourceUpdated(uri) {
+        for (const session of this.sessions.values()) {
+            if (!session.initialized || !session.subscriptions.has(uri)) continue;
+            this.send(session, {
+                jsonrpc: "2.0",
+                method: "notifications/resources/updated",
+                params: { uri },
+            });
+        }
+    }
+
+    notifyResourceListChanged() {
+        for (const session of this.sessions.values()) {
+            if (!session.initialized) continue;
+            this.send(session, {
+                jsonrpc: "2.0",
+                method: "notifications/resources/list_changed",
+            });
+        }
+    }
+
+    /**
+     * Drop idle sessions that have no open stream
+     */
+    sweep(now = Date.now()) {
+        for (const session of this.sessions.values()) {
+            if (!session.stream && now - session.lastSeenAt.getTime() > SESSION_TTL_MS) {
+                this.close(session.id);
+            }
+        }
+    }
+
+    startTimers() {
+        if (this.sweepId) return;
+
+        this.sweepId = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        // SSE comments keep proxies from closing quiet streams
+        this.keepAliveId = setInterval(() => {
+            for (const session of this.sessions.values()) {
+                if (session.stream) session.stream.write(": keep-alive\n\n");
+            }
+        }, KEEP_ALIVE_MS);
+
+        this.sweepId.unref();
+        this.keepAliveId.unref();
+    }
+
+    stopTimers() {
+        clearInterval(this.sweepId);
+        clearInterval(this.keepAliveId);
+        this.sweepId = null;
+        this.keepAliveId = null;
+    }
+}
+
+// Singleton instance
+const mcpSessionService = new McpSessionService();
+
+module.exports = mcpSessionService;
@@ -1,29 +1,36 @@
 const Incident = require("../models/Incident");
 const Log = require("../models/Log");
 const Service = require("../models/Service");
-const axios = require("axios");
-const dns = require("dns");
+const HealthCheckResult = require("../models/HealthCheckResult");
+const { runServiceProbes, getServiceProbes } = require("./healthProbe.service");
+const { recordCheck } = require("./healthHistory.service");
+const { getSloStatus } = require("./slo.service");
+const { notifyIncidentEvent } = require("./notification.service");
+const WorkerPool = require("./workerPool");
 
-// Configure DNS to prefer IPv4
-dns.setDefaultResultOrder("ipv4first");
-
-// Helper function to normalize localhost URLs to use 127.0.0.1
-function normalizeLocalhostUrl(url) {
-    if (!url) return url;
-    // Replace localhost with 127.0.0.1 to avoid IPv6 resolution issues
-    return url.replace(/localhost/g, "127.0.0.1").replace(/::1/g, "127.0.0.1");
-}
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
 
 /**
  * Continuous Monitoring Service
  * Monitors all registered services from the database and performs health checks
+ *
+ * Scheduling:
+ * - Every service has its own interval, jitter and timeout (Service.monitoring)
+ * - The service list is re-synced every `checkInterval`, so added, removed or
+ *   re-configured services are picked up without a restart
+ * - A ticker starts due checks; checks run concurrently in a bounded worker pool
  */
 class MonitoringService {
     constructor() {
         this.isRunning = false;
         this.intervalId = null;
-        this.checkInterval = 60000; // Check every 60 seconds (1 minute)
-        this.healthCheckInterval = 300000; // Full health check every 5 minutes (300 seconds)
+        this.tickIntervalId = null;
+        this.checkInterval = 60000; // Re-sync the service list every 60 seconds (1 minute)
+        this.healthCheckInterval = 300000; // Default per-service interval: 5 minutes (300 seconds)
+        this.tickInterval = 1000; // How often due checks are looked for
+        this.maxConcurrentChecks = parseInt(process.env.MONITORING_CONCURRENCY, 10) || 5;
+        this.pool = new WorkerPool(this.maxConcurrentChecks);
+        this.schedule = new Map(); // serviceId -> schedule entry
     }
 
     /**
@@ -38,15 +45,18 @@ class MonitoringService {
         this.isRunning = true;
         console.log("🔄 Starting continuous monitoring service...");
 
-        // Periodic health checks
+        // Periodic refresh of the monitored service list
         this.intervalId = setInterval(async () => {
-            await this.performHealthCheck();
-        }, this.healthCheckInterval);
+            await this.syncSchedule();
+        }, this.checkInterval);
+
+        // Start checks as they become due
+        this.tickIntervalId = setInterval(() => this.tick(), this.tickInterval);
 
-        // Immediate first check
-        this.performHealthCheck();
+        // Immediate first sync (first checks run within each service's jitter)
+        this.syncSchedule();
 
-        console.log(`✅ Monitoring service started (checks every ${this.healthCheckInterval / 1000}s)`);
+        console.log(`✅ Monitoring service started (up to ${this.maxConcurrentChecks} concurrent checks)`);
     }
 
     /**
@@ -57,114 +67,397 @@ class MonitoringService {
             clearInterval(this.intervalId);
             this.intervalId = null;
         }
+        if (this.tickIntervalId) {
+            clearInterval(this.tickIntervalId);
+            this.tickIntervalId = null;
+        }
+        this.pool.clear();
+        this.schedule.clear();
         this.isRunning = false;
         console.log("🛑 Monitoring service stopped");
     }
 
     /**
-     * Perform system health check
+     * Scheduling settings for a service, falling back to the global defaults
+     */
+    getServiceSchedule(service) {
+        return {
+            interval: service.monitoring?.interval || this.healthCheckInterval,
+            jitter: service.monitoring?.jitter ?? 0,
+            timeout: service.monitoring?.timeout,
+        };
+    }
+
+    /**
+     * Random delay in [0, jitter) milliseconds
+     */
+    randomJitter(jitter) {
+        return jitter > 0 ? Math.floor(Math.random() * jitter) : 0;
+    }
+
+    /**
+     * Sync the schedule with the enabled services in the database
+     *
+     * New services are scheduled within their jitter window, services whose
+     * interval changed are re-planned, disabled or deleted services are dropped.
      */
-    async performHealthCheck() {
+    async syncSchedule() {
         try {
-            console.log("🔍 Performing system health check...");
+            const services = await Service.find({ enabled: true }).select("name monitoring");
+            const seen = new Set();
+
+            for (const service of services) {
+                const id = service._id.toString();
+                const { interval, jitter, timeout } = this.getServiceSchedule(service);
+                seen.add(id);
+
+                const entry = this.schedule.get(id);
+                if (!entry) {
+                    this.schedule.set(id, {
+                        serviceId: id,
+                        serviceName: service.name,
+                        interval,
+                        jitter,
+                        timeout,
+                        nextRunAt: new Date(Date.now() + this.randomJitter(jitter)),
+                        lastRunAt: null,
+                        lastDurationMs: null,
+                        lastResult: null,
+                        running: false,
+                    });
+                    continue;
+                }
 
-            // Monitor external services (demo company server, etc.)
-            await this.monitorExternalServices();
+                if (entry.interval !== interval && entry.lastRunAt) {
+                    entry.nextRunAt = new Date(entry.lastRunAt.getTime() + interval + this.randomJitter(jitter));
+                }
+                Object.assign(entry, { serviceName: service.name, interval, jitter, timeout });
+            }
 
-            console.log("✅ Health check completed");
+            for (const id of this.schedule.keys()) {
+                if (!seen.has(id)) this.schedule.delete(id);
+            }
         } catch (error) {
-            console.error("❌ Error in health check:", error);
+            console.error("❌ Error syncing monitoring schedule:", error);
         }
     }
 
     /**
-     * Monitor external services - fetches all enabled services from database
-     * Checks multiple endpoints: /health (overall), /api, /db, /auth
+     * Queue every check that is due and not already running
      */
-    async monitorExternalServices() {
-        try {
-            // Fetch all enabled services from database
-            const services = await Service.find({ enabled: true });
+    tick() {
+        const now = Date.now();
+        for (const entry of this.schedule.values()) {
+            if (entry.running || entry.nextRunAt.getTime() > now) continue;
+
+            entry.running = true;
+            this.pool.run(() => this.runScheduledCheck(entry));
+        }
+    }
 
-            if (services.length === 0) {
-                console.log("📋 No services registered for monitoring");
+    /**
+     * Run one scheduled check and plan the next one
+     */
+    async runScheduledCheck(entry) {
+        const startedAt = new Date();
+        try {
+            const service = await Service.findById(entry.serviceId);
+            if (!service || !service.enabled) {
+                this.schedule.delete(entry.serviceId);
                 return;
             }
 
-            console.log(`🔍 Monitoring ${services.length} service(s)...`);
+            entry.lastResult = await this.checkService(service);
+        } catch (error) {
+            console.error(`❌ Error checking service ${entry.serviceName}:`, error);
+            entry.lastResult = "error";
+        } finally {
+            entry.running = false;
+            entry.lastRunAt = startedAt;
+            entry.lastDurationMs = Date.now() - startedAt.getTime();
+            entry.nextRunAt = new Date(startedAt.getTime() + entry.interval + this.randomJitter(entry.jitter));
+        }
+    }
 
-            for (const service of services) {
-                // Check multiple endpoints for comprehensive monitoring
-                const endpointsToCheck = [
-                    { path: "/health", name: "overall health" },
-                    { path: "/api", name: "API subsystem" },
-                    { path: "/db", name: "database subsystem" },
-                    { path: "/auth", name: "auth subsystem" }
-                ];
-
-                let hasAnyFailure = false;
-                const endpointResults = [];
-
-                for (const endpoint of endpointsToCheck) {
-                    // Normalize URL to use 127.0.0.1 instead of localhost
-                    const baseUrl = normalizeLocalhostUrl(service.url.replace(/\/$/, "")); // Remove trailing slash
-                    const healthUrl = `${baseUrl}${endpoint.path}`;
-                    try {
-                        const response = await axios.get(healthUrl, {
-                            timeout: 5000, // 5 second timeout
-                            validateStatus: () => true, // Accept any status code
-                        });
-
-                        const healthData = response.data;
-                        const isHealthy = response.status === 200 && 
-                                         (healthData?.status === "healthy" || healthData?.status === "degraded");
-
-                        endpointResults.push({
-                            endpoint: endpoint.path,
-                            name: endpoint.name,
-                            healthy: isHealthy,
-                            status: response.status,
-                            data: healthData
-                        });
-
-                        if (!isHealthy) {
-                            hasAnyFailure = true;
-                            console.log(`⚠️ ${service.name} - ${endpoint.name} is unhealthy (${endpoint.path})`);
-                        } else {
-                            console.log(`✅ ${service.name} - ${endpoint.name} is healthy`);
-                        }
-                    } catch (error) {
-                        hasAnyFailure = true;
-                        // Handle different types of connection errors
-                        const errorMessage = error.code === 'ECONNREFUSED' 
-                            ? `Service unreachable: Connection refused on ${baseUrl}${endpoint.path}`
-                            : error.code === 'ECONNRESET'
-                            ? `Service connection reset: ${baseUrl}${endpoint.path}`
-                            : error.code === 'ETIMEDOUT'
-                            ? `Service timed out: ${baseUrl}${endpoint.path}`
-                            : error.message;
-                                        
-                        endpointResults.push({
-                            endpoint: endpoint.path,
-                            name: endpoint.name,
-                            healthy: false,
-                            error: errorMessage
-                        });
-                        console.log(`❌ ${service.name} - ${endpoint.name} is unreachable (${endpoint.path}): ${errorMessage}`);
-                    }
-                }
+    /**
+     * Get per-service scheduling status (for GET /api/system/monitoring/status)
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            checkInterval: this.checkInterval,
+            healthCheckInterval: this.healthCheckInterval,
+            pool: this.pool.getStats(),
+            services: [...this.schedule.values()].map((entry) => ({ ...entry })),
+        };
+    }
 
-                // If any endpoint failed, create/update incident
-                if (hasAnyFailure) {
-                    await this.handleServiceEndpointFailures(service, endpointResults);
-                } else {
-                    // All endpoints are healthy - just log this but don't auto-resolve incidents
-                    await this.handleServiceHealthy(service);
-                }
+    /**
+     * Check one service: run its probes and create/update incidents
+     * Runs each service's configured probes (see healthProbe.service)
+     *
+     * Incidents follow the service's health state rather than single probe
+     * results: a failure only counts once the failure threshold is reached,
+     * recovery is reported once, and oscillation is collapsed into "flapping".
+     *
+     * @returns {Promise<string>} "healthy" or "unhealthy"
+     */
+    async checkService(service) {
+        const endpointResults = await runServiceProbes(service);
+        const hasAnyFailure = endpointResults.some(r => !r.healthy);
+
+        for (const result of endpointResults) {
+            if (result.healthy) {
+                console.log(`✅ ${service.name} - ${result.name} is healthy`);
+            } else if (result.status) {
+                console.log(`⚠️ ${service.name} - ${result.name} is unhealthy (${result.endpoint}): ${result.error}`);
+            } else {
+                console.log(`❌ ${service.name} - ${result.name} is unreachable (${result.endpoint}): ${result.error}`);
             }
+        }
+
+        // Persist the raw result for uptime/latency history (never blocks incident handling)
+        try {
+            await recordCheck(service, endpointResults);
+        } catch (error) {
+            console.error(`❌ Error recording health check for ${service.name}:`, error);
+        }
+
+        try {
+            await this.evaluateSlos(service, endpointResults);
         } catch (error) {
-            console.error("❌ Error fetching services for monitoring:", error);
+            console.error(`❌ Error evaluating SLOs for ${service.name}:`, error);
+        }
+
+        const { previousState, state } = await this.recordHealthResult(service, !hasAnyFailure);
+        if (previousState !== state) {
+            console.log(`🔀 ${service.name} health state: ${previousState} → ${state}`);
+        }
+
+        if (previousState === "flapping" && state !== "flapping") {
+            await this.handleServiceFlappingEnded(service, state);
+        }
+
+        if (state === "flapping") {
+            // One incident for the whole oscillation - no per-cycle logs
+            if (previousState !== "flapping") {
+                await this.handleServiceFlapping(service, endpointResults);
+            }
+        } else if (state === "failing") {
+            // Keep appending failures while the service stays down
+            if (hasAnyFailure) {
+                await this.handleServiceEndpointFailures(service, endpointResults);
+            }
+        } else if (state === "healthy" && previousState !== "healthy" && previousState !== "unknown") {
+            // Report recovery once - incidents stay open for engineer review
+            await this.handleServiceHealthy(service);
+        } else if (hasAnyFailure) {
+            console.log(`⏳ ${service.name} failure below threshold - no incident yet`);
+        }
+
+        return hasAnyFailure ? "unhealthy" : "healthy";
+    }
+
+    /**
+     * Evaluate the service's SLOs and raise an incident when a burn-rate
+     * alert starts firing (once per burn episode, not on every check)
+     */
+    async evaluateSlos(service, endpointResults) {
+        if (!service.slos || service.slos.length === 0) return;
+
+        const statuses = await getSloStatus(service);
+        for (const status of statuses) {
+            const wasAlerting = Boolean(service.slos.id(status.id)?.alertState?.alerting);
+            if (status.alerting === wasAlerting) continue;
+
+            await Service.updateOne(
+                { _id: service._id, "slos._id": status.id },
+                { $set: { "slos.$.alertState": { alerting: status.alerting, since: new Date() } } }
+            );
+
+            if (status.alerting) {
+                await this.handleSloBurnRateAlert(service, status, endpointResults);
+            } else {
+                console.log(`✅ ${service.name} - SLO "${status.name}" stopped burning error budget`);
+            }
+        }
+    }
+
+    /**
+     * Open or update the service incident for a firing SLO burn-rate alert
+     *
+     * The category comes from the failing probe: the current check's failures,
+     * or the most recent failed check if the current one passed.
+     */
+    async handleSloBurnRateAlert(service, sloStatus, endpointResults) {
+        const severityRank = { low: 0, medium: 1, high: 2 };
+        const firing = sloStatus.burnRateAlerts
+            .filter(a => a.firing)
+            .sort((a, b) => severityRank[b.severity] - severityRank[a.severity]);
+
+        let failedEndpoints = endpointResults.filter(r => !r.healthy);
+        if (failedEndpoints.length === 0) {
+            const lastFailure = await HealthCheckResult.findOne({ serviceId: service._id, healthy: false })
+                .sort({ checkedAt: -1 })
+                .lean();
+            const probesByName = Object.fromEntries(getServiceProbes(service).map(p => [p.name, p]));
+            failedEndpoints = (lastFailure?.probes || [])
+                .filter(p => !p.healthy)
+                .map(p => ({ ...probesByName[p.name], endpoint: p.endpoint, name: p.name }));
+        }
+
+        const category = failedEndpoints.length > 0
+            ? this.determineCategoryFromEndpoints(failedEndpoints)
+            : "performance";
+        const summary = `SLO "${sloStatus.name}" (${sloStatus.target}% ${sloStatus.type}) is burning error budget: ` +
+            firing.map(a => `${a.longBurnRate}x over ${a.longWindow} / ${a.shortBurnRate}x over ${a.shortWindow} (threshold ${a.threshold}x)`).join(", ");
+
+        const { incident, created } = await this.openOrUpdateServiceIncident(service, {
+            title: `${service.name} - SLO Burn Rate Alert`,
+            description: `${summary}. ${sloStatus.errorBudget.remaining}% of the error budget remains.`,
+            severity: firing[0]?.severity || "high",
+            category,
+            details: {
+                url: service.url,
+                slo: sloStatus.name,
+                burnRateAlerts: firing,
+                errorBudget: sloStatus.errorBudget
+            },
+            logs: [{ message: summary, level: "error" }]
+        });
+
+        console.log(`🔥 ${created ? "Created" : "Updated"} SLO burn-rate incident for ${service.name}: ${incident._id}`);
+    }
+
+    /**
+     * Derive the next health state from recent check outcomes
+     *
+     * @param {boolean[]} history - Check outcomes, oldest first (true = healthy)
+     * @param {string} currentState - "unknown", "healthy", "failing" or "flapping"
+     * @param {object} [config] - Service.monitoring settings
+     * @returns {string} Next state
+     */
+    evaluateHealthState(history, currentState, config = {}) {
+        const failure = { failures: 2, window: 3, ...config.failureThreshold };
+        const recovery = { successes: 2, window: 2, ...config.recoveryThreshold };
+        const flap = { enabled: true, window: 10, threshold: 0.5, ...config.flapDetection };
+
+        if (flap.enabled) {
+            const recent = history.slice(-flap.window);
+            let changes = 0;
+            for (let i = 1; i < recent.length; i++) {
+                if (recent[i] !== recent[i - 1]) changes++;
+            }
+            const changeRate = recent.length > 1 ? changes / (recent.length - 1) : 0;
+
+            // Hysteresis: enter at the threshold, leave only well below it
+            if (currentState === "flapping" ? changeRate >= flap.threshold / 2 : recent.length >= flap.window && changeRate >= flap.threshold) {
+                return "flapping";
+            }
+        }
+
+        const failures = history.slice(-failure.window).filter(ok => !ok).length;
+        if (failures >= failure.failures) return "failing";
+
+        const successes = history.slice(-recovery.window).filter(ok => ok).length;
+        if (successes >= recovery.successes) return "healthy";
+
+        // Not conclusive either way - a flapping service is still unstable
+        return currentState === "flapping" ? "failing" : currentState;
+    }
+
+    /**
+     * Append a check outcome to the service's history and persist the new state
+     *
+     * @returns {Promise<{previousState: string, state: string}>}
+     */
+    async recordHealthResult(service, healthy) {
+        const config = service.monitoring || {};
+        const maxHistory = Math.max(
+            config.failureThreshold?.window || 3,
+            config.recoveryThreshold?.window || 2,
+            config.flapDetection?.window || 10
+        );
+
+        const previousState = service.health?.state || "unknown";
+        const history = [...(service.health?.history || []), healthy].slice(-maxHistory);
+        const state = this.evaluateHealthState(history, previousState, config);
+
+        const now = new Date();
+        const update = {
+            "health.state": state,
+            "health.history": history,
+            "health.lastCheckedAt": now,
+        };
+        if (state !== previousState) {
+            update["health.stateChangedAt"] = now;
         }
+        await Service.updateOne({ _id: service._id }, { $set: update });
+
+        return { previousState, state };
+    }
+
+    /**
+     * Handle a service that started flapping - open (or mark) a single incident
+     */
+    async handleServiceFlapping(service, endpointResults) {
+        const failedEndpoints = endpointResults.filter(r => !r.healthy);
+
+        const { incident, created } = await this.openOrUpdateServiceIncident(service, {
+            title: `${service.name} - Flapping`,
+            description: `Service is oscillating between healthy and unhealthy. Individual failures are collapsed into this incident until it stabilizes.`,
+            severity: "medium",
+            category: failedEndpoints.length > 0 ? this.determineCategoryFromEndpoints(failedEndpoints) : "network",
+            details: { url: service.url, flapping: true },
+            logs: [{
+                message: `Service is flapping between healthy and unhealthy states`,
+                level: "warning"
+            }]
+        });
+
+        await Incident.findByIdAndUpdate(incident._id, {
+            flapping: true,
+            $push: {
+                timeline: {
+                    timestamp: new Date(),
+                    event: "flapping_detected",
+                    status: incident.status,
+                    actor: "system",
+                    details: { window: service.monitoring?.flapDetection?.window }
+                }
+            }
+        });
+
+        console.log(`🔁 ${created ? "Created" : "Marked"} flapping incident for ${service.name}: ${incident._id}`);
+    }
+
+    /**
+     * Handle a service that stopped flapping - clear the flag on its open incident
+     */
+    async handleServiceFlappingEnded(service, newState) {
+        const incident = await Incident.findOne({
+            serviceId: service._id,
+            status: { $in: ["open", "investigating"] },
+            flapping: true
+        });
+
+        if (!incident) return;
+
+        await Incident.findByIdAndUpdate(incident._id, {
+            flapping: false,
+            "metadata.lastUpdatedAt": new Date(),
+            $push: {
+                timeline: {
+                    timestamp: new Date(),
+                    event: "flapping_ended",
+                    status: incident.status,
+                    actor: "system",
+                    details: { state: newState }
+                }
+            }
+        });
+
+        console.log(`🔁 ${service.name} stopped flapping (now ${newState})`);
     }
 
     /**
@@ -173,18 +466,6 @@ class MonitoringService {
     async handleServiceEndpointFailures(service, endpointResults) {
         const failedEndpoints = endpointResults.filter(r => !r.healthy);
         const failedEndpointNames = failedEndpoints.map(e => e.name).join(", ");
-        
-        // Clean up old incidents for this service
-        const cleanedUpCount = await this.cleanupOldIncidents(service._id);
-        if (cleanedUpCount > 0) {
-            console.log(`🧹 Cleaned up ${cleanedUpCount} old incidents for service: ${service.name}`);
-        }
-        
-        // Check if we already have an open incident after cleanup
-        const existingIncident = await Incident.findOne({
-            serviceId: service._id,
-            status: { $in: ["open", "investigating"] }
-        });
 
         const failureDetails = {
             failedEndpoints: failedEndpoints.map(e => ({
@@ -197,35 +478,110 @@ class MonitoringService {
             successfulEndpoints: endpointResults.filter(r => r.healthy).map(e => e.name)
         };
 
-        if (existingIncident) {
-            // Update existing incident with new log
-            await Log.create({
-                incidentId: existingIncident._id,
-                message: `Health check failed for: ${failedEndpointNames}. Failed endpoints: ${failedEndpoints.map(e => e.endpoint).join(", ")}`,
+        // Existing incidents only get a short log; new incidents get the per-endpoint breakdown
+        const { incident, created } = await this.openOrUpdateServiceIncident(service, {
+            title: `${service.name} - Health Check Failed`,
+            description: `Service health check failed for: ${failedEndpointNames}. Check individual endpoints for details.`,
+            severity: this.determineSeverityFromEndpoints(failedEndpoints),
+            category: this.determineCategoryFromEndpoints(failedEndpoints),
+            details: {
+                url: service.url,
+                failedEndpoints: failureDetails.failedEndpoints,
+                successfulEndpoints: failureDetails.successfulEndpoints
+            },
+            errorCount: failedEndpoints.length,
+            logs: existing => [{
+                message: existing
+                    ? `Health check failed for: ${failedEndpointNames}. Failed endpoints: ${failedEndpoints.map(e => e.endpoint).join(", ")}`
+                    : `Health check failed for endpoints: ${failedEndpoints.map(e => `${e.name} (${e.endpoint})`).join(", ")}`,
                 level: "error"
-            });
-
-            await Incident.findByIdAndUpdate(existingIncident._id, {
-                "metadata.lastUpdatedAt": new Date(),
-                $inc: { "metadata.logCount": 1, "metadata.errorCount": 1 }
-            });
+            }]
+        });
 
+        if (created) {
+            console.log(`🔔 Created incident for ${service.name}: ${incident._id}`);
+        } else {
             console.log(`📝 Updated existing incident for ${service.name}`);
-            return;
         }
+    }
+
+    /**
+     * Open a new incident for a service, or append to the one already open
+     *
+     * Shared dedup rule for every incident source (health polling, pushed events):
+     * a service has at most one open/investigating incident at a time. When one
+     * exists, the new logs are appended to it and its counters bumped; otherwise
+     * a fresh incident is created with an `incident_detected` timeline entry.
+     *
+     * @param {object} service - Service document
+     * @param {object} options
+     * @param {string} options.title - Title used if a new incident is created
+     * @param {string} options.description - Description used if a new incident is created
+     * @param {string} options.severity - "low", "medium" or "high"
+     * @param {string} options.category - Incident category
+     * @param {object} [options.details] - Extra details for the detection timeline event
+     * @param {number} [options.errorCount] - Initial error count for a new incident
+     * @param {array|function} options.logs - Log entries ({ message, level, ... }) to append,
+     *   or a function receiving the existing incident (or null) and returning them
+     * @returns {Promise<{incident: object, created: boolean}>}
+     */
+    async openOrUpdateServiceIncident(service, { title, description, severity, category, details, errorCount, logs }) {
+        // Clean up old incidents for this service
+        const cleanedUpCount = await this.cleanupOldIncidents(service._id);
+        if (cleanedUpCount > 0) {
+            console.log(`🧹 Cleaned up ${cleanedUpCount} old incidents for service: ${service.name}`);
+        }
+
+        // Check if we already have an open incident after cleanup
+        const existingIncident = await Incident.findOne({
+            serviceId: service._id,
+            status: { $in: ["open", "investigating"] }
+        });
+
+        const logEntries = typeof logs === "function" ? logs(existingIncident) : logs;
+        const errorLogCount = logEntries.filter(l => l.level === "error").length;
 
-        // Determine severity based on failed endpoints
-        const severity = this.determineSeverityFromEndpoints(failedEndpoints);
-        const category = this.determineCategoryFromEndpoints(failedEndpoints);
+        if (existingIncident) {
+            // Update existing incident with new logs
+            await Log.insertMany(logEntries.map(l => ({ ...l, incidentId: existingIncident._id })));
+
+            const update = {
+                "metadata.lastUpdatedAt": new Date(),
+                $inc: { "metadata.logCount": logEntries.length, "metadata.errorCount": errorLogCount }
+            };
+
+            // Escalate (never downgrade) severity when the new failure is worse
+            const escalated = SEVERITY_RANK[severity] > SEVERITY_RANK[existingIncident.severity];
+            if (escalated) {
+                update.severity = severity;
+                update.$push = {
+                    timeline: {
+                        timestamp: new Date(),
+                        event: "severity_escalated",
+                        status: existingIncident.status,
+                        actor: "system",
+                        details: { from: existingIncident.severity, to: severity }
+                    }
+                };
+            }
+
+            const updatedIncident = await Incident.findByIdAndUpdate(existingIncident._id, update, { new: true });
+
+            if (escalated) {
+                notifyIncidentEvent("severity_escalated", updatedIncident, { from: existingIncident.severity, to: severity });
+            }
+
+            return { incident: updatedIncident, created: false };
+        }
 
         // Create new incident
-        const incidentData = {
-            title: `${service.name} - Health Check Failed`,
-            description: `Service health check failed for: ${failedEndpointNames}. Check individual endpoints for details.`,
+        const incident = await Incident.create({
+            title,
+            description,
             serviceId: service._id,
             serviceName: service.name,
-            severity: severity,
-            category: category,
+            severity,
+            category,
             source: "system",
             status: "open",
             timeline: [{
@@ -236,44 +592,36 @@ class MonitoringService {
                 details: {
                     service: service.name,
                     serviceId: service._id.toString(),
-                    url: service.url,
-                    failedEndpoints: failureDetails.failedEndpoints,
-                    successfulEndpoints: failureDetails.successfulEndpoints
+                    ...details
                 }
             }],
             metadata: {
                 firstDetectedAt: new Date(),
                 lastUpdatedAt: new Date(),
-                logCount: 1,
-                errorCount: failedEndpoints.length
+                logCount: logEntries.length,
+                errorCount: errorCount ?? errorLogCount
             }
-        };
+        });
 
-        const incident = await Incident.create(incidentData);
+        await Log.insertMany(logEntries.map(l => ({ ...l, incidentId: incident._id })));
 
-        await Log.create({
-            incidentId: incident._id,
-            message: `Health check failed for endpoints: ${failedEndpoints.map(e => `${e.name} (${e.endpoint})`).join(", ")}`,
-            level: "error"
-        });
+        notifyIncidentEvent("opened", incident);
 
-        console.log(`🔔 Created incident for ${service.name}: ${incident._id}`);
+        return { incident, created: true };
     }
 
     /**
      * Determine severity based on failed endpoints
      */
     determineSeverityFromEndpoints(failedEndpoints) {
-        // If /health (overall) or /db fails, it's high severity
-        const criticalEndpoints = failedEndpoints.filter(e => 
-            e.endpoint === "/health" || e.endpoint === "/db"
-        );
-        if (criticalEndpoints.length > 0) return "high";
-        
+        // If a critical probe fails, it's high severity
+        if (failedEndpoints.some(e => e.criticality === "critical")) return "high";
+
         // If multiple endpoints fail, it's high severity
         if (failedEndpoints.length >= 2) return "high";
-        
-        // Single non-critical endpoint failure is medium
+
+        // Single minor probe failure is low, anything else is medium
+        if (failedEndpoints.every(e => e.criticality === "minor")) return "low";
         return "medium";
     }
 
@@ -288,11 +636,15 @@ class MonitoringService {
             "/health": "performance"
         };
 
+        // Prefer the category declared on the probe, then the conventional path
+        const categories = failedEndpoints.map(e => e.category || endpointCategories[e.endpoint]);
+
         // Prioritize database and auth failures
-        if (failedEndpoints.some(e => e.endpoint === "/db")) return "database";
-        if (failedEndpoints.some(e => e.endpoint === "/auth")) return "authentication";
-        if (failedEndpoints.some(e => e.endpoint === "/api")) return "performance";
-        
+        if (categories.includes("database")) return "database";
+        if (categories.includes("authentication")) return "authentication";
+        if (categories.includes("network")) return "network";
+        if (categories.includes("deployment")) return "deployment";
+
         return "performance";
     }
 
@@ -305,7 +657,8 @@ class MonitoringService {
     }
     
     /**
-     * Handle when service is healthy - log the status but don't auto-resolve incidents
+     * Handle service recovery (called once when the state turns healthy) -
+     * log it but don't auto-resolve incidents
      */
     async handleServiceHealthy(service) {
         try {
@@ -323,16 +676,26 @@ class MonitoringService {
             for (const incident of openIncidents) {
                 await Log.create({
                     incidentId: incident._id,
-                    message: `Service is now healthy but incident remains open for engineer review`,
+                    message: `Service has recovered but incident remains open for engineer review`,
                     level: "info"
                 });
                 
-                // Update last updated timestamp but keep status unchanged
+                // Record recovery on the timeline but keep status unchanged
                 await Incident.findByIdAndUpdate(incident._id, {
-                    "metadata.lastUpdatedAt": new Date()
+                    "metadata.lastUpdatedAt": new Date(),
+                    $inc: { "metadata.logCount": 1 },
+                    $push: {
+                        timeline: {
+                            timestamp: new Date(),
+                            event: "service_recovered",
+                            status: incident.status,
+                            actor: "system",
+                            details: { service: service.name }
+                        }
+                    }
                 });
 
-                console.log(`ℹ️ Service ${service.name} is healthy but incident ${incident._id} remains open for engineer review`);
+                console.log(`ℹ️ Service ${service.name} recovered but incident ${incident._id} remains open for engineer review`);
             }
         } catch (error) {
             console.error("❌ Error handling healthy service:", error);
@@ -0,0 +1,346 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+const NotificationChannel = require("../models/NotificationChannel");
+const NotificationDelivery = require("../models/NotificationDelivery");
+
+/**
+ * Notification Dispatcher
+ *
+ * Sends incident lifecycle events to the configured NotificationChannels:
+ * - opened: a new incident was created
+ * - severity_escalated: an open incident's severity went up
+ * - status_changed: an engineer moved the incident to open/investigating
+ * - resolved: an engineer resolved the incident
+ * - escalated: an unacknowledged incident was paged to an escalation level
+ *
+ * Targets:
+ * - webhook: JSON POST, signed with HMAC-SHA256 (X-Signature-256) when a secret is set
+ * - slack: Slack-compatible incoming-webhook payload
+ * - email: SMTP via nodemailer (SMTP_* environment variables)
+ *
+ * Every delivery is recorded in NotificationDelivery (one document per channel
+ * and event, with all attempts). Failed attempts are retried with exponential
+ * backoff. Dispatching never blocks or fails the caller.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 4;
+const BASE_BACKOFF_MS = parseInt(process.env.NOTIFICATION_BACKOFF_MS, 10) || 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const SEVERITY_RANK = { low: 0, medium: 1, high: 2 };
+const SLACK_COLORS = { low: "#2eb886", medium: "#daa038", high: "#a30200" };
+
+let mailTransport = null;
+
+function getMailTransport() {
+    if (!mailTransport) {
+        if (!process.env.SMTP_HOST) {
+            throw permanentError("SMTP is not configured (SMTP_HOST is not set)");
+        }
+        mailTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+        });
+    }
+    return mailTransport;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build the channel-independent message for an incident event
+ */
+function buildMessage(event, incident, details = {}) {
+    const labels = {
+        opened: "Incident opened",
+        severity_escalated: "Incident severity escalated",
+        status_changed: "Incident status changed",
+        resolved: "Incident resolved",
+        escalated: "Incident escalated",
+    };
+
+    return {
+        event,
+        summary: `${labels[event] || event}: ${incident.title}`,
+        incident: {
+            id: incident._id.toString(),
+            title: incident.title,
+            description: incident.description,
+            status: incident.status,
+            severity: incident.severity,
+            category: incident.category,
+            serviceId: incident.serviceId?.toString(),
+            serviceName: incident.serviceName,
+            createdAt: incident.createdAt,
+        },
+        details,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+/**
+ * Whether a channel wants this event for this incident
+ */
+function channelMatches(channel, event, incident) {
+    if (!channel.events.includes(event)) return false;
+
+    const minSeverity = channel.filters?.minSeverity || "low";
+    if (SEVERITY_RANK[incident.severity] < SEVERITY_RANK[minSeverity]) return false;
+
+    const serviceIds = channel.filters?.serviceIds || [];
+    if (serviceIds.length > 0 && !serviceIds.some((id) => id.equals(incident.serviceId))) return false;
+
+    return true;
+}
+
+/**
+ * Error that should not be retried (e.g. 4xx from the receiver)
+ */
+function permanentError(message, statusCode) {
+    const error = new Error(message);
+    error.permanent = true;
+    error.statusCode = statusCode;
+    return error;
+}
+
+async function postJson(url, body, headers) {
+    const response = await axios.post(url, body, {
+        headers: { "Content-Type": "application/json", ...headers },
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true,
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+        return response.status;
+    }
+
+    const message = `Receiver responded with HTTP ${response.status}`;
+    if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        throw permanentError(message, response.status);
+    }
+    const error = new Error(message);
+    error.statusCode = response.status;
+    throw error;
+}
+
+async function sendWebhook(channel, message) {
+    const body = JSON.stringify(message);
+    const headers = channel.config.headers instanceof Map
+        ? Object.fromEntries(channel.config.headers)
+        : { ...channel.config.headers };
+
+    headers["X-Incident-Event"] = message.event;
+    if (channel.config.secret) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto
+            .createHmac("sha256", channel.config.secret)
+            .update(`${timestamp}.${body}`)
+            .digest("hex");
+        headers["X-Signature-Timestamp"] = timestamp;
+        headers["X-Signature-256"] = `sha256=${signature}`;
+    }
+
+    // Send the exact bytes that were signed
+    return postJson(channel.config.url, body, headers);
+}
+
+async function sendSlack(channel, message) {
+    const { incident } = message;
+    return postJson(channel.config.url, {
+        text: message.summary,
+        attachments: [{
+            color: SLACK_COLORS[incident.severity] || SLACK_COLORS.medium,
+            title: incident.title,
+            text: incident.description || "",
+            fields: [
+                { title: "Service", value: incident.serviceName || "-", short: true },
+                { title: "Status", value: incident.status, short: true },
+                { title: "Severity", value: incident.severity, short: true },
+                { title: "Category", value: incident.category || "-", short: true },
+            ],
+            footer: `Incident ${incident.id}`,
+            ts: Math.floor(Date.now() / 1000),
+        }],
+    });
+}
+
+async function sendEmail(channel, message) {
+    const { incident } = message;
+    const lines = [
+        message.summary,
+        "",
+        `Service:  ${incident.serviceName || "-"}`,
+        `Status:   ${incident.status}`,
+        `Severity: ${incident.severity}`,
+        `Category: ${incident.category || "-"}`,
+        "",
+        incident.description || "",
+        "",
+        `Incident ID: ${incident.id}`,
+    ];
+    if (Object.keys(message.details).length > 0) {
+        lines.push("", `Details: ${JSON.stringify(message.details, null, 2)}`);
+    }
+
+    await getMailTransport().sendMail({
+        from: process.env.SMTP_FROM || "incidents@localhost",
+        to: channel.config.to.join(", "),
+        subject: `[${incident.severity.toUpperCase()}] ${message.summary}`,
+        text: lines.join("\n"),
+    });
+    return undefined;
+}
+
+const SENDERS = {
+    webhook: sendWebhook,
+    slack: sendSlack,
+    email: sendEmail,
+};
+
+/**
+ * Send a message through a channel once
+ *
+ * @returns {Promise<number|undefined>} HTTP status code for HTTP targets
+ * @throws {Error} If delivery fails
+ */
+async function send(channel, message) {
+    const sender = SENDERS[channel.type];
+    if (!sender) {
+        throw permanentError(`Unsupported channel type '${channel.type}'`);
+    }
+    return sender(channel, message);
+}
+
+/**
+ * Deliver a message to one channel with retries, recording every attempt
+ */
+async function deliver(channel, incident, message) {
+    const delivery = await NotificationDelivery.create({
+        incidentId: incident._id,
+        channelId: channel._id,
+        channelName: channel.name,
+        channelType: channel.type,
+        event: message.event,
+    });
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        try {
+            const statusCode = await send(channel, message);
+            delivery.attempts.push({ success: true, statusCode });
+            delivery.status = "delivered";
+            delivery.deliveredAt = new Date();
+            await delivery.save();
+            return delivery;
+        } catch (error) {
+            delivery.attempts.push({ success: false, statusCode: error.statusCode, error: error.message });
+
+            if (error.permanent || attempt === MAX_ATTEMPTS) {
+                delivery.status = "failed";
+                await delivery.save();
+                console.log(`❌ [Notify] ${channel.name} failed for incident ${incident._id}: ${error.message}`);
+                return delivery;
+            }
+
+            await delivery.save();
+            await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1));
+        }
+    }
+    return delivery;
+}
+
+/**
+ * Dispatch an incident event to every matching channel
+ *
+ * @returns {Promise<array>} NotificationDelivery documents
+ */
+async function dispatch(event, incident, details = {}) {
+    const channels = await NotificationChannel.find({ enabled: true, events: event });
+    const targets = channels.filter((channel) => channelMatches(channel, event, incident));
+    if (targets.length === 0) return [];
+
+    const message = buildMessage(event, incident, details);
+    return Promise.all(targets.map((channel) => deliver(channel, incident, message)));
+}
+
+/**
+ * Dispatch an incident event to explicit targets (escalation levels)
+ *
+ * Channels are used regardless of their event subscriptions and filters;
+ * people are emailed directly.
+ *
+ * @param {string} event - Event name
+ * @param {object} incident - Incident document
+ * @param {object} details - Event-specific details
+ * @param {object} targets
+ * @param {array} [targets.channelIds] - NotificationChannel ids
+ * @param {array} [targets.people] - { name, email } objects
+ * @returns {Promise<array>} NotificationDelivery documents
+ */
+async function dispatchToTargets(event, incident, details, { channelIds = [], people = [] }) {
+    const channels = channelIds.length > 0
+        ? await NotificationChannel.find({ _id: { $in: channelIds }, enabled: true })
+        : [];
+
+    const emailTargets = people
+        .filter((person) => person.email)
+        .map((person) => ({
+            name: `on-call: ${person.name}`,
+            type: "email",
+            config: { to: [person.email] },
+        }));
+
+    const message = buildMessage(event, incident, details);
+    return Promise.all([...channels, ...emailTargets].map((channel) => deliver(channel, incident, message)));
+}
+
+/**
+ * Fire-and-forget notification for an incident lifecycle event
+ *
+ * @param {string} event - "opened", "severity_escalated", "status_changed" or "resolved"
+ * @param {object} incident - Incident document (after the change)
+ * @param {object} [details] - Event-specific details (e.g. { from, to })
+ */
+function notifyIncidentEvent(event, incident, details = {}) {
+    dispatch(event, incident, details).catch((error) => {
+        console.error(`❌ [Notify] Error dispatching '${event}' for incident ${incident._id}:`, error);
+    });
+}
+
+/**
+ * Send a one-off test message through a channel (not recorded, not retried)
+ *
+ * @returns {Promise<{delivered: boolean, statusCode?: number, error?: string}>}
+ */
+async function sendTestNotification(channel) {
+    const message = buildMessage("opened", {
+        _id: "test",
+        title: "Test notification",
+        description: `Test message for channel '${channel.name}'`,
+        status: "open",
+        severity: "low",
+        category: "performance",
+        serviceName: "test",
+        createdAt: new Date(),
+    }, { test: true });
+
+    try {
+        const statusCode = await send(channel, message);
+        return { delivered: true, statusCode };
+    } catch (error) {
+        return { delivered: false, statusCode: error.statusCode, error: error.message };
+    }
+}
+
+module.exports = {
+    notifyIncidentEvent,
+    dispatch,
+    dispatchToTargets,
+    sendTestNotification,
+};
@@ -0,0 +1,101 @@
+const Schedule = require("../models/Schedule");
+const EscalationPolicy = require("../models/EscalationPolicy");
+
+/**
+ * On-Call Service (READ-ONLY)
+ *
+ * Answers "who is on call" for a schedule and "which escalation policy
+ * covers this service".
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Who is on call for a schedule at a given time
+ *
+ * Overrides win over the rotation; among overlapping overrides the one
+ * created last wins.
+ *
+ * @param {object} schedule - Schedule document
+ * @param {Date} [at] - Point in time (default: now)
+ * @returns {{participant: object|null, source: string, shiftStart?: Date, shiftEnd?: Date}}
+ */
+function getOnCall(schedule, at = new Date()) {
+    const time = at.getTime();
+
+    const override = [...(schedule.overrides || [])]
+        .reverse()
+        .find((o) => o.start.getTime() <= time && time < o.end.getTime());
+    if (override) {
+        return { participant: override.participant, source: "override", shiftStart: override.start, shiftEnd: override.end };
+    }
+
+    const { participants = [], startAt, shiftHours = 168 } = schedule.rotation || {};
+    if (participants.length === 0 || !startAt || time < startAt.getTime()) {
+        return { participant: null, source: "none" };
+    }
+
+    const shiftMs = shiftHours * HOUR_MS;
+    const shiftIndex = Math.floor((time - startAt.getTime()) / shiftMs);
+    const shiftStart = new Date(startAt.getTime() + shiftIndex * shiftMs);
+
+    return {
+        participant: participants[shiftIndex % participants.length],
+        source: "rotation",
+        shiftStart,
+        shiftEnd: new Date(shiftStart.getTime() + shiftMs),
+    };
+}
+
+/**
+ * Find the escalation policy for a service via metadata.team, then metadata.owner
+ *
+ * @param {object} service - Service document (may be null)
+ * @returns {Promise<object|null>} EscalationPolicy document
+ */
+async function findPolicyForService(service) {
+    const team = service?.metadata?.team;
+    const owner = service?.metadata?.owner;
+
+    if (team) {
+        const policy = await EscalationPolicy.findOne({ teams: team }).sort({ createdAt: 1 });
+        if (policy) return policy;
+    }
+    if (owner) {
+        return EscalationPolicy.findOne({ owners: owner }).sort({ createdAt: 1 });
+    }
+    return null;
+}
+
+/**
+ * Resolve the targets of an escalation level into people and channels
+ *
+ * @param {object} level - Entry of EscalationPolicy.levels
+ * @returns {Promise<{people: array, channelIds: array}>}
+ */
+async function resolveLevelTargets(level) {
+    const people = [];
+    const channelIds = [];
+
+    for (const target of level.targets || []) {
+        if (target.type === "person" && target.person?.name) {
+            people.push({ name: target.person.name, email: target.person.email });
+        } else if (target.type === "channel" && target.channelId) {
+            channelIds.push(target.channelId);
+        } else if (target.type === "schedule" && target.scheduleId) {
+            const schedule = await Schedule.findById(target.scheduleId);
+            const onCall = schedule ? getOnCall(schedule) : null;
+            if (onCall?.participant) {
+                people.push({ name: onCall.participant.name, email: onCall.participant.email, schedule: schedule.name });
+            }
+        }
+    }
+
+    return { people, channelIds };
+}
+
+module.exports = {
+    getOnCall,
+    findPolicyForService,
+    resolveLevelTargets,
+};
@@ -0,0 +1,180 @@
+const Incident = require("../models/Incident");
+const Proposal = require("../models/Proposal");
+const { changeIncidentStatus, recordApprovedAction } = require("./incidentWorkflow.service");
+
+/**
+ * Proposal Service
+ *
+ * Keeps AI agents read-only while letting them help with incident hygiene:
+ * MCP propose* tools only record a Proposal (and an "ai_proposal" timeline
+ * entry). Nothing changes until an engineer approves the proposal through
+ * POST /api/proposals/:id/approve; the change is then applied as that
+ * engineer, with the proposal id on the resulting timeline entry.
+ */
+
+/**
+ * Who is calling the MCP tool, from the protocol context
+ */
+function describeProposer(context = {}) {
+    return {
+        transport: context.transport,
+        apiKeyId: context.apiKey?._id,
+        apiKeyName: context.apiKey?.name,
+        userId: context.user?._id,
+        userEmail: context.user?.email,
+        clientName: context.session?.clientInfo?.name,
+    };
+}
+
+/**
+ * Record a proposal for an incident
+ *
+ * @param {object} data - { incidentId, type, payload, rationale }
+ * @param {object} [context] - MCP protocol context of the proposing caller
+ * @returns {Promise<object>} The pending proposal
+ * @throws {Error} If the incident doesn't exist or the proposal can't apply to it
+ */
+async function createProposal({ incidentId, type, payload, rationale }, context) {
+    const incident = await Incident.findById(incidentId);
+    if (!incident) {
+        throw new Error("Incident not found");
+    }
+    if (incident.status === "resolved" && type === "action") {
+        throw new Error("Incident is already resolved");
+    }
+    if (type === "status_change" && incident.status === payload.status) {
+        throw new Error(`Incident is already ${payload.status}`);
+    }
+
+    const duplicate = await Proposal.findOne({
+        incidentId: incident._id,
+        type,
+        status: "pending",
+        ...(type === "status_change"
+            ? { "payload.status": payload.status }
+            : { "payload.action": payload.action }),
+    });
+    if (duplicate) {
+        throw new Error(`An equivalent proposal is already pending approval (${duplicate._id})`);
+    }
+
+    const proposal = await Proposal.create({
+        incidentId: incident._id,
+        type,
+        payload,
+        rationale,
+        proposedBy: describeProposer(context),
+    });
+
+    await Incident.updateOne(
+        { _id: incident._id },
+        {
+            $push: {
+                timeline: {
+                    timestamp: new Date(),
+                    event: "ai_proposal",
+                    status: incident.status,
+                    actor: "ai",
+                    details: {
+                        proposalId: proposal._id,
+                        type,
+                        ...payload,
+                        rationale: rationale || null,
+                    },
+                },
+            },
+        }
+    );
+
+    return proposal;
+}
+
+/**
+ * Move a pending proposal to approved/rejected
+ * Only one engineer can decide a proposal; later attempts get null.
+ *
+ * @returns {Promise<object|null>} The decided proposal, or null if it was no longer pending
+ */
+function claimProposal(proposal, status, user, notes) {
+    return Proposal.findOneAndUpdate(
+        { _id: proposal._id, status: "pending" },
+        {
+            status,
+            decidedBy: user.email,
+            decidedByUserId: user._id,
+            decidedAt: new Date(),
+            decisionNotes: notes || undefined,
+        },
+        { new: true }
+    );
+}
+
+/**
+ * Approve a pending proposal and apply it to the incident as the approving engineer
+ *
+ * @param {object} proposal - Pending proposal
+ * @param {object} incident - Incident the proposal belongs to
+ * @param {object} user - Approving engineer
+ * @param {string} [notes] - Approval notes
+ * @returns {Promise<{proposal: object, incident: object}|null>} null if the proposal was decided concurrently
+ */
+async function approveProposal(proposal, incident, user, notes) {
+    const approved = await claimProposal(proposal, "approved", user, notes);
+    if (!approved) return null;
+
+    // Apply the change to the incident as it is now, not as it was loaded
+    // before the claim (the timeline's "from" status and the acknowledgement
+    // and resolution fields depend on it)
+    const current = await Incident.findById(incident._id);
+    if (!current) return { proposal: approved, incident: null };
+
+    const details = { proposalId: approved._id, proposedBy: "ai" };
+    const updatedIncident = approved.type === "status_change"
+        ? await changeIncidentStatus(
+            current,
+            { status: approved.payload.status, notes: notes || approved.payload.notes },
+            user,
+            details
+        )
+        : await recordApprovedAction(current, approved.payload, user, details);
+
+    return { proposal: approved, incident: updatedIncident };
+}
+
+/**
+ * Reject a pending proposal (recorded on the incident timeline)
+ *
+ * @returns {Promise<object|null>} The rejected proposal, or null if it was decided concurrently
+ */
+async function rejectProposal(proposal, incident, user, notes) {
+    const rejected = await claimProposal(proposal, "rejected", user, notes);
+    if (!rejected) return null;
+
+    await Incident.updateOne(
+        { _id: incident._id },
+        {
+            $push: {
+                timeline: {
+                    timestamp: new Date(),
+                    event: "ai_proposal_rejected",
+                    status: incident.status,
+                    actor: user.email,
+                    userId: user._id,
+                    details: {
+                        proposalId: rejected._id,
+                        type: rejected.type,
+                        notes: notes || null,
+                    },
+                },
+            },
+        }
+    );
+
+    return rejected;
+}
+
+module.exports = {
+    createProposal,
+    approveProposal,
+    rejectProposal,
+};
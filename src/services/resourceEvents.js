@@ -0,0 +1,31 @@
+const { EventEmitter } = require("events");
+
+/**
+ * Resource Change Events
+ *
+ * In-process feed of incident, log and health check changes, fed by the
+ * Incident, Log and HealthCheckResult model hooks. Consumers (e.g. MCP sessions) subscribe to push updates
+ * instead of polling.
+ *
+ * Events:
+ * - incident.created (incident)
+ * - incident.updated (incidentId)
+ * - log.created (log)
+ * - service.checked (serviceId)
+ *
+ * Emitting never throws into the caller: listener errors are logged.
+ */
+const resourceEvents = new EventEmitter();
+
+function emitSafely(event, payload) {
+    try {
+        resourceEvents.emit(event, payload);
+    } catch (error) {
+        console.error(`❌ Error handling resource event '${event}':`, error);
+    }
+}
+
+module.exports = {
+    resourceEvents,
+    emitSafely,
+};
@@ -0,0 +1,270 @@
+const Incident = require("../models/Incident");
+const Log = require("../models/Log");
+const Service = require("../models/Service");
+const RunbookRun = require("../models/RunbookRun");
+const { EXECUTORS, describeRequest } = require("./runbookExecutors");
+
+/**
+ * Runbook Service
+ *
+ * Executes approved remediation actions through the runbook registry
+ * (Runbook: action id -> executor):
+ * - a run executes the latest engineer approval ("ai_action_approved"
+ *   timeline entry, from POST /api/incidents/:id/approve-action or an
+ *   approved action proposal); each approval can be executed once
+ * - dry-runs resolve and validate the request without executing it and
+ *   don't need an approval
+ * - runs execute in the background; pending and running runs can be cancelled
+ * - start, outcome and cancellation are recorded on the incident timeline and as logs
+ */
+class RunbookService {
+    constructor() {
+        this.active = new Map(); // runId -> AbortController of runs executing in this process
+    }
+
+    /**
+     * Latest approval of an action on an incident
+     *
+     * @returns {object|null} The "ai_action_approved" timeline entry
+     */
+    findApproval(incident, action) {
+        const approvals = (incident.timeline || []).filter(
+            (entry) => entry.event === "ai_action_approved" && entry.details?.action === action
+        );
+        return approvals[approvals.length - 1] || null;
+    }
+
+    /**
+     * Whether an approval was already executed (or is executing)
+     *
+     * A quick check for a friendly error; startRun claims the approval
+     * atomically (unique index), so concurrent requests can't both run it.
+     */
+    async isApprovalUsed(approval) {
+        return Boolean(await RunbookRun.exists({
+            "approval.timelineEntryId": approval._id,
+            $or: [
+                { claimsApproval: true },
+                // Runs recorded before approvals were claimed
+                { claimsApproval: { $exists: false }, dryRun: false, status: { $in: ["pending", "running", "succeeded"] } },
+            ],
+        }));
+    }
+
+    /**
+     * Template variables available to executors
+     */
+    async buildVars(runbook, incident, run, approval) {
+        const service = incident.serviceId
+            ? await Service.findById(incident.serviceId).select("name url category")
+            : null;
+
+        return {
+            incident: {
+                id: incident._id.toString(),
+                title: incident.title,
+                status: incident.status,
+                severity: incident.severity,
+                category: incident.category,
+                serviceId: incident.serviceId?.toString(),
+                serviceName: incident.serviceName,
+            },
+            service: service ? { id: service._id.toString(), name: service.name, url: service.url } : null,
+            action: {
+                action: runbook.action,
+                description: approval?.details?.description,
+            },
+            run: {
+                id: run._id.toString(),
+                dryRun: run.dryRun,
+                approvedBy: approval?.actor,
+            },
+        };
+    }
+
+    /**
+     * Start a run of a runbook for an incident
+     *
+     * @param {object} runbook - Runbook document
+     * @param {object} incident - Incident document
+     * @param {object} user - Engineer requesting the run
+     * @param {object} options - { dryRun, approval } (approval: timeline entry, required unless dryRun)
+     * @returns {Promise<object>} The run (pending; dry-runs are already finished)
+     * @throws {Error} With code 11000 if another run already claimed the approval
+     */
+    async startRun(runbook, incident, user, { dryRun = false, approval = null } = {}) {
+        const run = new RunbookRun({
+            runbookId: runbook._id,
+            action: runbook.action,
+            incidentId: incident._id,
+            dryRun,
+            approval: approval
+                ? {
+                    timelineEntryId: approval._id,
+                    proposalId: approval.details?.proposalId,
+                    approvedBy: approval.actor,
+                    approvedAt: approval.timestamp,
+                }
+                : undefined,
+            claimsApproval: dryRun ? undefined : true,
+            requestedBy: user.email,
+            requestedByUserId: user._id,
+        });
+
+        const executor = EXECUTORS[runbook.executor.type];
+        let request;
+        try {
+            request = executor.prepare(runbook, await this.buildVars(runbook, incident, run, approval));
+            run.request = describeRequest(request);
+        } catch (error) {
+            run.status = "failed";
+            run.claimsApproval = run.dryRun ? undefined : false;
+            run.error = error.message;
+            run.finishedAt = new Date();
+            await run.save();
+            await this.record(incident, run, "runbook_run_failed");
+            return run;
+        }
+
+        if (dryRun) {
+            run.status = "succeeded";
+            run.output = "Dry-run: request resolved, nothing was executed";
+            run.finishedAt = new Date();
+            await run.save();
+            await this.record(incident, run, "runbook_dry_run", user);
+            return run;
+        }
+
+        await run.save();
+        await this.record(incident, run, "runbook_run_started", user);
+
+        // Execute in the background; the caller polls the run
+        this.execute(run, runbook, incident, executor, request).catch((error) => {
+            console.error(`❌ [Runbook] Error executing run ${run._id}:`, error);
+        });
+        return run;
+    }
+
+    async execute(run, runbook, incident, executor, request) {
+        const controller = new AbortController();
+        this.active.set(run._id.toString(), controller);
+
+        const startedAt = new Date();
+        const claimed = await RunbookRun.findOneAndUpdate(
+            { _id: run._id, status: "pending" },
+            { status: "running", startedAt },
+            { new: true }
+        );
+        if (!claimed) {
+            this.active.delete(run._id.toString());
+            return; // cancelled before it started
+        }
+
+        let outcome;
+        try {
+            const result = await executor.execute(request, { signal: controller.signal, timeout: runbook.timeout });
+            outcome = { status: "succeeded", ...result };
+        } catch (error) {
+            outcome = {
+                status: "failed",
+                claimsApproval: false,
+                error: error.message,
+                output: error.output,
+                statusCode: error.statusCode,
+                exitCode: error.exitCode,
+            };
+        } finally {
+            this.active.delete(run._id.toString());
+        }
+
+        outcome.finishedAt = new Date();
+        outcome.duration = outcome.finishedAt - startedAt;
+
+        // A cancelled run keeps its "cancelled" status
+        const finished = await RunbookRun.findOneAndUpdate(
+            { _id: run._id, status: "running" },
+            outcome,
+            { new: true }
+        );
+        if (finished) {
+            await this.record(incident, finished, `runbook_run_${finished.status}`);
+        }
+    }
+
+    /**
+     * Cancel a pending or running run
+     *
+     * @returns {Promise<object|null>} The cancelled run, or null if it had already finished
+     */
+    async cancel(run, user) {
+        const now = new Date();
+        const cancelled = await RunbookRun.findOneAndUpdate(
+            { _id: run._id, status: { $in: ["pending", "running"] } },
+            {
+                status: "cancelled",
+                claimsApproval: false,
+                cancelledBy: user.email,
+                cancelledAt: now,
+                finishedAt: now,
+            },
+            { new: true }
+        );
+        if (!cancelled) return null;
+
+        // Abort the HTTP request / kill the command if it runs in this process
+        this.active.get(run._id.toString())?.abort();
+
+        const incident = await Incident.findById(run.incidentId);
+        if (incident) await this.record(incident, cancelled, "runbook_run_cancelled", user);
+        return cancelled;
+    }
+
+    /**
+     * Timeline entry and log for a run event
+     */
+    async record(incident, run, event, user = null) {
+        const actor = user ? user.email : "system";
+        const labels = {
+            runbook_dry_run: "dry-run completed",
+            runbook_run_started: "started",
+            runbook_run_succeeded: "succeeded",
+            runbook_run_failed: "failed",
+            runbook_run_cancelled: "cancelled",
+        };
+
+        await Incident.updateOne(
+            { _id: incident._id },
+            {
+                $push: {
+                    timeline: {
+                        timestamp: new Date(),
+                        event,
+                        status: incident.status,
+                        actor,
+                        userId: user?._id,
+                        details: {
+                            runId: run._id,
+                            action: run.action,
+                            dryRun: run.dryRun,
+                            approvedBy: run.approval?.approvedBy || null,
+                            error: run.error || null,
+                        },
+                    },
+                },
+                "metadata.lastUpdatedAt": new Date(),
+            }
+        );
+
+        await Log.create({
+            incidentId: incident._id,
+            message: `Runbook '${run.action}' ${labels[event] || event}${user ? ` by ${user.email}` : ""}${run.error ? ` - ${run.error}` : ""}`,
+            level: run.status === "failed" ? "error" : "info",
+            actor,
+        });
+    }
+}
+
+// Singleton instance
+const runbookService = new RunbookService();
+
+module.exports = runbookService;
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const axios = require("axios");
+
+/**
+ * Runbook Executors
+ *
+ * Each executor has two steps:
+ * - prepare(runbook, vars): resolves {{...}} templates and checks the
+ *   configuration; returns the request that would be executed (this is all
+ *   a dry-run does)
+ * - execute(request, { signal, timeout }): runs it and returns
+ *   { output, statusCode } or { output, exitCode }; throws on failure
+ *
+ * Executors:
+ * - http: any HTTP request (e.g. a service's restart or scale endpoint)
+ * - webhook: JSON POST of the run to an automation system, signed with
+ *   HMAC-SHA256 (X-Signature-256) when a secret is set
+ * - command: an executable from RUNBOOK_COMMAND_ALLOWLIST, run without a
+ *   shell in RUNBOOK_SANDBOX_DIR with a minimal environment
+ */
+
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+function truncate(text) {
+    const value = typeof text === "string" ? text : JSON.stringify(text ?? "");
+    return value.length > MAX_OUTPUT_LENGTH
+        ? `${value.slice(0, MAX_OUTPUT_LENGTH)}\n... (truncated)`
+        : value;
+}
+
+/**
+ * Replace {{path.to.value}} in strings (recursively in objects and arrays)
+ */
+function resolveTemplates(value, vars) {
+    if (typeof value === "string") {
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+            const resolved = key.split(".").reduce((obj, part) => obj?.[part], vars);
+            return resolved === undefined || resolved === null ? "" : String(resolved);
+        });
+    }
+    if (Array.isArray(value)) return value.map((item) => resolveTemplates(item, vars));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplates(item, vars)]));
+    }
+    return value;
+}
+
+function headersOf(executor) {
+    return executor.headers instanceof Map ? Object.fromEntries(executor.headers) : { ...executor.headers };
+}
+
+function getCommandAllowlist() {
+    return (process.env.RUNBOOK_COMMAND_ALLOWLIST || "")
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+}
+
+function getSandboxDir() {
+    return process.env.RUNBOOK_SANDBOX_DIR || path.join(os.tmpdir(), "incident-runbooks");
+}
+
+async function sendRequest({ method, url, headers, body }, { signal, timeout }) {
+    const response = await axios.request({
+        method,
+        url,
+        headers,
+        data: body,
+        timeout,
+        signal,
+        validateStatus: () => true,
+        transformResponse: [(data) => data], // keep the raw body as output
+    });
+
+    const output = truncate(response.data);
+    if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`Runbook endpoint responded with HTTP ${response.status}`);
+        error.statusCode = response.status;
+        error.output = output;
+        throw error;
+    }
+    return { output, statusCode: response.status };
+}
+
+const EXECUTORS = {
+    http: {
+        prepare(runbook, vars) {
+            const { executor } = runbook;
+            return {
+                type: "http",
+                method: executor.method || "POST",
+                url: resolveTemplates(executor.url, vars),
+                headers: resolveTemplates(headersOf(executor), vars),
+                body: resolveTemplates(executor.body, vars),
+            };
+        },
+        execute: (request, options) => sendRequest(request, options),
+    },
+
+    webhook: {
+        prepare(runbook, vars) {
+            const { executor } = runbook;
+            const body = JSON.stringify({
+                action: vars.action,
+                run: vars.run,
+                incident: vars.incident,
+                service: vars.service,
+                timestamp: new Date().toISOString(),
+            });
+
+            const headers = { "Content-Type": "application/json", ...resolveTemplates(headersOf(executor), vars) };
+            headers["X-Runbook-Action"] = runbook.action;
+            if (executor.secret) {
+                const timestamp = Math.floor(Date.now() / 1000).toString();
+                headers["X-Signature-Timestamp"] = timestamp;
+                headers["X-Signature-256"] = `sha256=${crypto
+                    .createHmac("sha256", executor.secret)
+                    .update(`${timestamp}.${body}`)
+                    .digest("hex")}`;
+            }
+
+            // Send the exact bytes that were signed
+            return { type: "webhook", method: "POST", url: resolveTemplates(executor.url, vars), headers, body };
+        },
+        execute: (request, options) => sendRequest(request, options),
+    },
+
+    command: {
+        prepare(runbook, vars) {
+            const { command, args = [] } = runbook.executor;
+            if (!getCommandAllowlist().includes(command)) {
+                throw new Error(`Command '${command}' is not in RUNBOOK_COMMAND_ALLOWLIST`);
+            }
+            return {
+                type: "command",
+                command,
+                // Passed as separate arguments without a shell, so values can't inject commands
+                args: args.map((arg) => resolveTemplates(arg, vars)),
+                cwd: getSandboxDir(),
+            };
+        },
+        async execute(request, { signal, timeout }) {
+            await fs.promises.mkdir(request.cwd, { recursive: true });
+
+            return new Promise((resolve, reject) => {
+                execFile(request.command, request.args, {
+                    cwd: request.cwd,
+                    env: { PATH: process.env.PATH, HOME: request.cwd },
+                    timeout,
+                    killSignal: "SIGKILL",
+                    maxBuffer: MAX_OUTPUT_LENGTH * 2,
+                    signal,
+                    windowsHide: true,
+                }, (error, stdout, stderr) => {
+                    const output = truncate([stdout, stderr].filter(Boolean).join("\n"));
+                    if (error) {
+                        error.exitCode = typeof error.code === "number" ? error.code : undefined;
+                        error.output = output;
+                        if (error.killed && !signal?.aborted) error.message = `Command timed out after ${timeout}ms`;
+                        return reject(error);
+                    }
+                    resolve({ output, exitCode: 0 });
+                });
+            });
+        },
+    },
+};
+
+/**
+ * Redact secrets from a prepared request before it is stored on the run
+ */
+function describeRequest(request) {
+    const headers = { ...request.headers };
+    for (const name of Object.keys(headers)) {
+        if (/authorization|signature|token|secret|api-key/i.test(name)) headers[name] = "********";
+    }
+    return request.headers ? { ...request, headers } : request;
+}
+
+module.exports = {
+    EXECUTORS,
+    describeRequest,
+};
@@ -0,0 +1,170 @@
+const HealthCheckResult = require("../models/HealthCheckResult");
+const HealthCheckRollup = require("../models/HealthCheckRollup");
+
+/**
+ * SLO Service (READ-ONLY)
+ *
+ * Computes service level indicators, remaining error budget and multi-window
+ * burn rates for the SLOs declared on a Service, from the health check
+ * history (see healthHistory.service).
+ *
+ * Definitions:
+ * - SLI: share of "good" checks in a window (percent)
+ * - Error budget: 100% - target; consumed = bad share / budget
+ * - Burn rate: bad share in a window / budget (1 = on track to spend exactly
+ *   the whole budget over the SLO window)
+ *
+ * An alert fires when both the long and the short window of a burn-rate rule
+ * exceed its threshold (the short window stops alerts once burning ends).
+ *
+ * Raising incidents from alerts is done by the MonitoringService; this module
+ * never writes.
+ */
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const HOUR_MS = UNIT_MS.h;
+
+/**
+ * Parse a duration like "5m", "6h" or "30d" into milliseconds
+ *
+ * @throws {Error} If the format is invalid
+ */
+function parseDuration(duration) {
+    const match = /^(\d+)([mhd])$/.exec(duration || "");
+    if (!match) {
+        throw new Error(`Invalid duration '${duration}' (expected e.g. 5m, 6h, 30d)`);
+    }
+    return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+/**
+ * Count total and good checks for an SLO since a point in time
+ *
+ * Uses raw results while they are retained, hourly rollups beyond that.
+ * Rollup-based latency counts treat a check as good when its histogram
+ * bucket bound is within the threshold.
+ *
+ * @returns {Promise<{total: number, good: number}>}
+ */
+async function countChecks(serviceId, slo, since) {
+    const rawRetentionMs = HealthCheckResult.RETENTION_DAYS * UNIT_MS.d;
+
+    if (Date.now() - since.getTime() <= rawRetentionMs) {
+        const filter = { serviceId, checkedAt: { $gte: since } };
+        const goodFilter = { ...filter, healthy: true };
+        if (slo.type === "latency") {
+            goodFilter.responseTime = { $lte: slo.latencyThreshold };
+        }
+
+        const [total, good] = await Promise.all([
+            HealthCheckResult.countDocuments(filter),
+            HealthCheckResult.countDocuments(goodFilter),
+        ]);
+        return { total, good };
+    }
+
+    const rollups = await HealthCheckRollup.find({
+        serviceId,
+        bucketStart: { $gte: new Date(Math.floor(since.getTime() / HOUR_MS) * HOUR_MS) },
+    }).lean();
+
+    let total = 0;
+    let good = 0;
+    for (const rollup of rollups) {
+        total += rollup.checks;
+        if (slo.type === "latency") {
+            // Latency and health are not correlated in rollups; bound by both
+            const fast = HealthCheckRollup.LATENCY_BUCKETS
+                .filter((bound) => bound <= slo.latencyThreshold)
+                .reduce((sum, bound) => sum + (rollup.latencyHistogram?.[`le_${bound}`] || 0), 0);
+            good += Math.min(fast, rollup.healthyChecks);
+        } else {
+            good += rollup.healthyChecks;
+        }
+    }
+    return { total, good };
+}
+
+/**
+ * Burn rate of the error budget over the last `duration`
+ *
+ * @returns {Promise<number|null>} Burn rate, or null without data
+ */
+async function burnRate(serviceId, slo, duration, budget) {
+    const since = new Date(Date.now() - parseDuration(duration));
+    const { total, good } = await countChecks(serviceId, slo, since);
+    if (total === 0) return null;
+    return Number((((total - good) / total) / budget).toFixed(3));
+}
+
+/**
+ * Evaluate one SLO
+ *
+ * @param {string} serviceId - Service MongoDB ObjectId
+ * @param {object} slo - SLO subdocument from Service.slos
+ * @returns {Promise<object>} SLI, error budget and burn-rate alert status
+ */
+async function evaluateSlo(serviceId, slo) {
+    const budget = (100 - slo.target) / 100;
+    const since = new Date(Date.now() - parseDuration(slo.window));
+    const { total, good } = await countChecks(serviceId, slo, since);
+
+    const badShare = total > 0 ? (total - good) / total : 0;
+    const consumed = total > 0 ? badShare / budget : 0;
+
+    const burnRateAlerts = [];
+    for (const rule of slo.burnRateAlerts || []) {
+        const longBurnRate = await burnRate(serviceId, slo, rule.longWindow, budget);
+        const shortBurnRate = await burnRate(serviceId, slo, rule.shortWindow, budget);
+        burnRateAlerts.push({
+            longWindow: rule.longWindow,
+            shortWindow: rule.shortWindow,
+            threshold: rule.threshold,
+            severity: rule.severity,
+            longBurnRate,
+            shortBurnRate,
+            firing: longBurnRate !== null && shortBurnRate !== null &&
+                longBurnRate >= rule.threshold && shortBurnRate >= rule.threshold,
+        });
+    }
+
+    return {
+        id: slo._id,
+        name: slo.name,
+        type: slo.type,
+        target: slo.target,
+        latencyThreshold: slo.type === "latency" ? slo.latencyThreshold : undefined,
+        window: slo.window,
+        checks: total,
+        sli: total > 0 ? Number(((good / total) * 100).toFixed(3)) : null,
+        met: total > 0 ? (good / total) * 100 >= slo.target : null,
+        errorBudget: {
+            budget: Number((budget * 100).toFixed(3)), // percent of checks allowed to be bad
+            consumed: Number((consumed * 100).toFixed(2)), // percent of the budget spent
+            remaining: Number((Math.max(0, 1 - consumed) * 100).toFixed(2)),
+        },
+        burnRateAlerts,
+        alerting: burnRateAlerts.some((a) => a.firing),
+        alertState: slo.alertState,
+    };
+}
+
+/**
+ * Evaluate every SLO of a service
+ *
+ * @param {object} service - Service document
+ * @returns {Promise<array>} One status object per SLO
+ */
+async function getSloStatus(service) {
+    const results = [];
+    for (const slo of service.slos || []) {
+        results.push(await evaluateSlo(service._id, slo));
+    }
+    return results;
+}
+
+module.exports = {
+    parseDuration,
+    evaluateSlo,
+    getSloStatus,
+};
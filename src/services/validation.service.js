@@ -0,0 +1,82 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+/**
+ * Validation Service
+ *
+ * JSON Schema (draft-07) validation shared by the MCP tools (`inputSchema`)
+ * and the REST request bodies (src/schemas). Defaults declared in a schema
+ * are filled in; values are never coerced, so "5" is not a valid integer.
+ *
+ * Errors come back as a flat list of per-field details:
+ *   [{ field: "limit", message: "must be <= 100", keyword: "maximum" }]
+ */
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, strict: false });
+addFormats(ajv);
+
+// Compiled validators, keyed by schema object
+const validators = new WeakMap();
+
+function getValidator(schema) {
+    let validator = validators.get(schema);
+    if (!validator) {
+        validator = ajv.compile(schema);
+        validators.set(schema, validator);
+    }
+    return validator;
+}
+
+/**
+ * Turn an Ajv error into { field, message, keyword }
+ * `field` is a dotted path ("slos.0.target"); "" means the value itself.
+ */
+function formatError(error) {
+    const path = error.instancePath.split("/").slice(1).map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+
+    if (error.keyword === "required") {
+        path.push(error.params.missingProperty);
+        return { field: path.join("."), message: "is required", keyword: error.keyword };
+    }
+    if (error.keyword === "additionalProperties") {
+        path.push(error.params.additionalProperty);
+        return { field: path.join("."), message: "is not allowed", keyword: error.keyword };
+    }
+    if (error.keyword === "enum") {
+        return {
+            field: path.join("."),
+            message: `must be one of: ${error.params.allowedValues.join(", ")}`,
+            keyword: error.keyword,
+        };
+    }
+    return { field: path.join("."), message: error.message, keyword: error.keyword };
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {object} schema - JSON Schema (compiled once and cached)
+ * @param {*} data - Value to validate; schema defaults are applied to it in place
+ * @returns {{valid: boolean, errors: array}} Per-field error details when invalid
+ */
+function validate(schema, data) {
+    const validator = getValidator(schema);
+    if (validator(data)) {
+        return { valid: true, errors: [] };
+    }
+    // "must match then schema" only repeats the errors reported for the `then` branch
+    const errors = validator.errors.filter((error) => error.keyword !== "if");
+    return { valid: false, errors: errors.map(formatError) };
+}
+
+/**
+ * One-line summary of validation errors, e.g. "limit must be <= 100; query is required"
+ */
+function describeErrors(errors) {
+    return errors.map((e) => (e.field ? `${e.field} ${e.message}` : e.message)).join("; ");
+}
+
+module.exports = {
+    validate,
+    describeErrors,
+};
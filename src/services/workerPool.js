@@ -0,0 +1,58 @@
+/**
+ * Bounded Worker Pool
+ *
+ * Runs async tasks with at most `concurrency` of them in flight; the rest wait
+ * in a FIFO queue. Used by the MonitoringService so one slow service cannot
+ * hold up the checks of every other service.
+ */
+class WorkerPool {
+    constructor(concurrency = 5) {
+        this.concurrency = Math.max(1, concurrency);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Queue a task
+     *
+     * @param {function(): Promise<any>} task - Async function to run
+     * @returns {Promise<any>} Resolves/rejects with the task's outcome
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * Drop tasks that have not started yet (running tasks are left to finish)
+     */
+    clear() {
+        this.queue = [];
+    }
+
+    getStats() {
+        return {
+            concurrency: this.concurrency,
+            active: this.active,
+            queued: this.queue.length,
+        };
+    }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,190 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { createLlmRouter } = require("../src/llm/router");
+
+/**
+ * LLM router against a local chat-completions stub
+ *
+ * Each provider is a path prefix on one stub server; `responders` decides
+ * what it answers and `requests` records which provider/model was called.
+ */
+
+let server;
+let baseUrl;
+let responders;
+let requests;
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let body = "";
+        req.on("data", (chunk) => { body += chunk; });
+        req.on("end", () => resolve(JSON.parse(body)));
+    });
+}
+
+function reply(res, status, body, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function answer(content) {
+    return (req, res) => reply(res, 200, {
+        choices: [{ message: { content } }],
+        usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+    });
+}
+
+function createRouter(providerNames, options = {}) {
+    return createLlmRouter({
+        providers: providerNames.map((name) => ({ name, baseUrl: `${baseUrl}/${name}`, timeout: 2000 })),
+        tasks: { default: providerNames.map((name) => ({ provider: name, model: `${name}-model` })) },
+        ...options,
+    });
+}
+
+before(async () => {
+    // The router logs every attempt
+    mock.method(console, "log", () => {});
+
+    server = http.createServer(async (req, res) => {
+        const provider = req.url.split("/")[1];
+        const body = await readBody(req);
+        requests.push({ provider, model: body.model, stream: Boolean(body.stream) });
+        responders[provider](req, res, body);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+beforeEach(() => {
+    responders = {};
+    requests = [];
+});
+
+test("falls back along the chain in order", async () => {
+    responders.first = (req, res) => reply(res, 500, { error: "down" });
+    responders.second = answer("not a severity");
+    responders.third = answer("HIGH");
+    const router = createRouter(["first", "second", "third"]);
+    const calls = [];
+
+    const completion = await router.complete(
+        "severity",
+        "Classify",
+        (text) => (["HIGH", "MEDIUM", "LOW"].includes(text) ? text.toLowerCase() : null),
+        { calls }
+    );
+
+    assert.deepStrictEqual(requests.map((r) => r.provider), ["first", "second", "third"]);
+    assert.strictEqual(completion.result, "high");
+    assert.strictEqual(completion.provider, "third");
+    assert.deepStrictEqual(completion.usage, { promptTokens: 10, completionTokens: 2, totalTokens: 12 });
+    assert.deepStrictEqual(calls.map((call) => [call.provider, call.ok]), [["first", false], ["second", false], ["third", true]]);
+    assert.strictEqual(calls[1].error, "Unexpected response");
+});
+
+test("returns null when every entry fails", async () => {
+    responders.first = (req, res) => reply(res, 400, { error: "bad request" });
+    const router = createRouter(["first"]);
+
+    assert.strictEqual(await router.complete("severity", "Classify"), null);
+});
+
+test("opens the breaker after repeated failures and skips the model", async () => {
+    responders.flaky = (req, res) => reply(res, 400, { error: "bad request" });
+    responders.backup = answer("ok");
+    const router = createRouter(["flaky", "backup"], { circuitBreaker: { failureThreshold: 2, cooldown: 60000 } });
+
+    await router.complete("severity", "a");
+    await router.complete("severity", "b");
+    assert.strictEqual(router.getBreaker({ provider: "flaky", model: "flaky-model" }).state, "open");
+
+    requests = [];
+    const completion = await router.complete("severity", "c");
+    assert.deepStrictEqual(requests.map((r) => r.provider), ["backup"]);
+    assert.strictEqual(completion.provider, "backup");
+});
+
+test("opens the breaker immediately on 429 for the Retry-After period", async () => {
+    responders.limited = (req, res) => reply(res, 429, { error: "slow down" }, { "Retry-After": "120" });
+    const router = createRouter(["limited"]);
+
+    const before = Date.now();
+    await router.complete("severity", "a");
+    const breaker = router.getBreaker({ provider: "limited", model: "limited-model" });
+
+    assert.strictEqual(breaker.state, "open");
+    assert.ok(breaker.nextAttemptAt - before >= 119000);
+    assert.strictEqual(router.isAvailable("severity"), false);
+});
+
+test("lets one probe through after the cooldown and closes on success", async () => {
+    let fail = true;
+    responders.recovering = (req, res) => (fail ? reply(res, 503, { error: "unavailable" }) : answer("ok")(req, res));
+    const router = createRouter(["recovering"], { circuitBreaker: { cooldown: 50 } });
+
+    await router.complete("severity", "a");
+    const breaker = router.getBreaker({ provider: "recovering", model: "recovering-model" });
+    assert.strictEqual(breaker.state, "open");
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    fail = false;
+    const completion = await router.complete("severity", "b");
+
+    assert.strictEqual(completion.result, "ok");
+    assert.strictEqual(breaker.state, "closed");
+});
+
+test("streams tokens parsed from the event stream", async () => {
+    responders.streaming = (req, res) => {
+        res.writeHead(200, { "Content-Type": "text/event-stream" });
+        const events = [
+            ": keep-alive\n\n",
+            `data: ${JSON.stringify({ choices: [{ delta: { content: "ROOT_CAUSE: Data" } }] })}\n\n`,
+            // An event split across chunks
+            `data: ${JSON.stringify({ choices: [{ delta: { content: "base pool" } }] })}`.slice(0, 20),
+            `data: ${JSON.stringify({ choices: [{ delta: { content: "base pool" } }] })}`.slice(20) + "\r\n\r\n",
+            `data: ${JSON.stringify({ choices: [{ delta: {} }], usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 } })}\n\n`,
+            "data: [DONE]\n\n",
+            `data: ${JSON.stringify({ choices: [{ delta: { content: " ignored" } }] })}\n\n`,
+        ];
+        let i = 0;
+        const next = () => {
+            if (i === events.length) return res.end();
+            res.write(events[i++]);
+            setTimeout(next, 5);
+        };
+        next();
+    };
+    const router = createRouter(["streaming"]);
+    const tokens = [];
+
+    const completion = await router.complete("rootCause", "Explain", (text) => text, {
+        onToken: (token) => tokens.push(token),
+    });
+
+    assert.strictEqual(requests[0].stream, true);
+    assert.deepStrictEqual(tokens, ["ROOT_CAUSE: Data", "base pool"]);
+    assert.strictEqual(completion.result, "ROOT_CAUSE: Database pool");
+    assert.deepStrictEqual(completion.usage, { promptTokens: 5, completionTokens: 3, totalTokens: 8 });
+});
+
+test("cancelling a request doesn't count against the breaker", async () => {
+    responders.slow = (req, res) => setTimeout(() => answer("late")(req, res), 500);
+    const router = createRouter(["slow"]);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    const completion = await router.complete("severity", "a", (text) => text, { signal: controller.signal });
+    const breaker = router.getBreaker({ provider: "slow", model: "slow-model" });
+
+    assert.strictEqual(completion, null);
+    assert.strictEqual(breaker.state, "closed");
+    assert.strictEqual(breaker.totals.requests, 0);
+});